@@ -0,0 +1,38 @@
+/**
+ * config.js — SMART - ACTIVE | Configuração do site
+ *
+ * Único lugar para chaves e endpoints de serviços externos. Os módulos
+ * recebem a fatia que precisam (ex.: SITE_CONFIG.forms) em vez de
+ * declarar credenciais no próprio código.
+ */
+
+export const SITE_CONFIG = Object.freeze({
+  /**
+   * Envio de formulários (newsletter).
+   * transport: 'emailjs' | 'json' | 'noop'
+   *   - emailjs → SDK do EmailJS, carregado sob demanda
+   *   - json    → POST application/json para json.endpoint
+   *   - noop    → não envia nada; para desenvolvimento local
+   */
+  forms: {
+    transport: 'emailjs',
+    retries:   2,
+    backoffMs: 800,
+
+    emailjs: {
+      serviceId:  'service_rkph8fe',
+      templateId: 'template_1ypfxkg',
+      publicKey:  'CKUdbbQoDpRLMSNDq',
+      sdkUrl:     'https://cdn.jsdelivr.net/npm/@emailjs/browser@4/dist/email.min.js',
+    },
+
+    json: {
+      endpoint: '/api/forms',
+      headers:  {},
+    },
+
+    noop: {
+      delayMs: 400,
+    },
+  },
+});
@@ -0,0 +1,160 @@
+/**
+ * core/booking.js — SMART - ACTIVE | Provedores de horários e reservas
+ *
+ * Formulários de agendamento conversam apenas com um SlotProvider, então a
+ * origem da disponibilidade pode ser trocada sem mexer na interface:
+ *   - createLocalSlotProvider — arquivo JSON + reservas em localStorage (padrão do site estático)
+ *   - createHTTPSlotProvider  — API REST (backend real ou servidor mock local)
+ * Reservar um horário lotado rejeita com SlotUnavailableError; cancelar
+ * devolve a vaga.
+ */
+
+import { fetchJSON } from './utils.js';
+
+/**
+ * @typedef {Object} Slot
+ * @property {string} id        — único por data (ex.: 'crossfit-mon-0600@2026-10-26')
+ * @property {string} date      — 'AAAA-MM-DD'
+ * @property {string} start     — 'HH:MM'
+ * @property {number} duration  — minutos
+ * @property {number} remaining — vagas livres (0 = lotado)
+ */
+
+/**
+ * @typedef {Object} Contact
+ * @property {string} name
+ * @property {string} phone
+ * @property {string} email
+ */
+
+/**
+ * @typedef {Object} Booking
+ * @property {string} id
+ * @property {string} slotId
+ * @property {string} createdAt — ISO 8601
+ */
+
+/**
+ * @typedef {Object} SlotProvider
+ * @property {(query: Record<string, string>) => Promise<Slot[]>} list
+ * @property {(slotId: string, contact: Contact) => Promise<Booking>} book
+ * @property {(bookingId: string) => Promise<void>} cancel — reserva inexistente não é erro
+ */
+
+/** O horário escolhido não aceita mais reservas (lotado ou já reservado pelo mesmo e-mail). */
+export class SlotUnavailableError extends Error {
+  constructor(message = 'Este horário não está mais disponível.') {
+    super(message);
+    this.name = 'SlotUnavailableError';
+  }
+}
+
+const bookingId = () =>
+  crypto.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+
+/* ════════════════════════════════════════════════════════════════════
+   PROVEDOR LOCAL (JSON + localStorage)
+   ════════════════════════════════════════════════════════════════════ */
+
+/**
+ * Disponibilidade calculada a partir de dados estáticos. `expand` transforma os
+ * dados carregados em horários com capacidade e ocupação conhecidas; as reservas
+ * feitas neste navegador são descontadas por cima.
+ *
+ * @param {Object} options
+ * @param {() => Promise<any>} options.load — carrega os dados (uma vez, com cache)
+ * @param {(data: any, query: Record<string, string>) => Array<Omit<Slot, 'remaining'> & { capacity: number, taken: number }>} options.expand
+ * @param {string} options.storageKey       — chave do localStorage das reservas
+ * @returns {SlotProvider}
+ */
+export const createLocalSlotProvider = ({ load, expand, storageKey }) => {
+  let data = null;
+  const known = new Map();
+
+  const readBookings = () => {
+    try {
+      return JSON.parse(localStorage.getItem(storageKey) ?? '[]');
+    } catch {
+      return [];
+    }
+  };
+
+  const remainingFor = (slot, bookings) =>
+    Math.max(0, slot.capacity - slot.taken - bookings.filter(b => b.slotId === slot.id).length);
+
+  const list = async (query) => {
+    data ??= await load();
+    const bookings = readBookings();
+
+    return expand(data, query).map(({ capacity, taken, ...slot }) => {
+      known.set(slot.id, { ...slot, capacity, taken });
+      return { ...slot, remaining: remainingFor({ ...slot, capacity, taken }, bookings) };
+    });
+  };
+
+  const book = async (slotId, contact) => {
+    const slot = known.get(slotId);
+    if (!slot) throw new Error(`Horário desconhecido: ${slotId}`);
+
+    // Relê as reservas: outra aba pode ter ocupado a última vaga
+    const bookings = readBookings();
+    if (remainingFor(slot, bookings) === 0) throw new SlotUnavailableError();
+
+    const email = contact.email.toLowerCase();
+    if (bookings.some(b => b.slotId === slotId && b.email === email)) {
+      throw new SlotUnavailableError('Você já tem uma reserva neste horário.');
+    }
+
+    const booking = { id: bookingId(), slotId, ...contact, email, createdAt: new Date().toISOString() };
+    localStorage.setItem(storageKey, JSON.stringify([...bookings, booking]));
+    return booking;
+  };
+
+  const cancel = async (id) => {
+    localStorage.setItem(storageKey, JSON.stringify(readBookings().filter(b => b.id !== id)));
+  };
+
+  return { list, book, cancel };
+};
+
+
+/* ════════════════════════════════════════════════════════════════════
+   PROVEDOR HTTP
+   GET  {base}/slots?{query}  → Slot[]
+   POST {base}/bookings       → Booking   (409 = horário indisponível)
+   DELETE {base}/bookings/:id → 204       (404 = já cancelada)
+   ════════════════════════════════════════════════════════════════════ */
+
+/**
+ * @param {string} baseUrl — ex.: 'http://localhost:4010/api'
+ * @returns {SlotProvider}
+ */
+export const createHTTPSlotProvider = (baseUrl) => {
+  const base = baseUrl.replace(/\/$/, '');
+
+  const list = (query) => fetchJSON(`${base}/slots?${new URLSearchParams(query)}`);
+
+  const book = async (slotId, contact) => {
+    const res = await fetch(`${base}/bookings`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify({ slotId, ...contact }),
+    });
+
+    if (res.status === 409) {
+      const { message } = await res.json().catch(() => ({}));
+      throw new SlotUnavailableError(message);
+    }
+    if (!res.ok) throw new Error(`${base}/bookings: HTTP ${res.status}`);
+    return res.json();
+  };
+
+  const cancel = async (id) => {
+    const url = `${base}/bookings/${encodeURIComponent(id)}`;
+    const res = await fetch(url, { method: 'DELETE' });
+    if (!res.ok && res.status !== 404) throw new Error(`${url}: HTTP ${res.status}`);
+  };
+
+  return { list, book, cancel };
+};
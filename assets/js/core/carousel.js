@@ -0,0 +1,368 @@
+/**
+ * core/carousel.js — SMART - ACTIVE | Carrossel reutilizável
+ *
+ * Trilho horizontal de slides com:
+ *   - Loop infinito sem salto: cópias dos slides nas duas pontas; ao terminar a
+ *     animação sobre uma cópia, o trilho volta em silêncio para o slide real
+ *   - Layout vindo do CSS: slides visíveis em --carousel-visible (mude nos media
+ *     queries) e espaçamento no gap do trilho — nada de breakpoints no JS
+ *   - Autoplay opcional que pausa com o ponteiro em cima, foco dentro, aba em
+ *     segundo plano ou arraste, com botão de pausar/retomar; desligado por padrão
+ *     para quem prefere menos movimento
+ *   - Arraste com ponteiro (mouse, toque, caneta) com inércia: um gesto rápido
+ *     passa mais de um slide
+ *   - Semântica de carrossel (region + aria-roledescription) e anúncio da
+ *     posição em região viva quando a navegação parte do usuário
+ * Slides com foco (Tab) entram na área visível automaticamente.
+ */
+
+import { t } from './i18n.js';
+import { debounce, prefersReducedMotion } from './utils.js';
+
+const DURATION  = 550;
+const EASING    = 'cubic-bezier(.4,0,.2,1)';
+const DRAG_MIN  = 6;   // px até o gesto virar arraste (abaixo disso é clique)
+const MOMENTUM  = 250; // ms de inércia projetados a partir da velocidade final
+const CLONE_ATTR = 'data-carousel-clone';
+
+const mod = (n, m) => ((n % m) + m) % m;
+
+/**
+ * @typedef {Object} CarouselOptions
+ * @property {HTMLElement} track            — elemento que recebe o transform; os filhos são os slides
+ * @property {HTMLElement} [viewport]       — área com overflow oculto (padrão: pai do trilho)
+ * @property {string}  [slideSelector]      — filtra os filhos do trilho (padrão: todos)
+ * @property {HTMLButtonElement} [prev]
+ * @property {HTMLButtonElement} [next]
+ * @property {HTMLElement} [dots]           — recebe um botão por slide
+ * @property {HTMLButtonElement} [playButton] — alterna o autoplay
+ * @property {number}  [autoplay=0]         — intervalo em ms; 0 desliga
+ * @property {boolean} [loop=true]
+ * @property {string}  [dotClass='carousel__dot']
+ */
+
+/**
+ * @param {HTMLElement} root — contêiner do carrossel (recebe role="region"; o nome vem do aria-label dele)
+ * @param {CarouselOptions} options
+ */
+export const createCarousel = (root, {
+  track, viewport = track.parentElement, slideSelector = '*', prev, next, dots, playButton,
+  autoplay = 0, loop = true, dotClass = 'carousel__dot',
+}) => {
+  let slides  = [];
+  let clones  = 0;
+  let visible = 1;
+  let pos     = 0; // posição no trilho, contando as cópias do início
+  let timer   = null;
+  let stopped = autoplay <= 0 || prefersReducedMotion(); // pausa escolhida pelo usuário (ou sem autoplay)
+  const holds = new Set(); // pausas temporárias: 'hover' | 'focus' | 'hidden' | 'drag'
+
+  const announcer = Object.assign(document.createElement('p'), { className: 'visually-hidden' });
+  announcer.setAttribute('aria-live', 'polite');
+  announcer.setAttribute('aria-atomic', 'true');
+  root.append(announcer);
+
+  root.setAttribute('role', 'region');
+  if (document.hidden) holds.add('hidden');
+
+  /* ── medidas (CSS manda) ── */
+
+  const readVisible = () =>
+    Math.max(1, parseInt(getComputedStyle(root).getPropertyValue('--carousel-visible'), 10) || 1);
+
+  const step = () => {
+    const first = track.children[0];
+    if (!first) return 0;
+    const gap = parseFloat(getComputedStyle(track).columnGap) || 0;
+    return first.getBoundingClientRect().width + gap;
+  };
+
+  const canLoop = () => loop && slides.length > visible;
+  const maxPos  = () => (canLoop() ? slides.length + clones : Math.max(0, slides.length - visible));
+  const index   = () => (slides.length ? mod(pos - clones, slides.length) : 0);
+
+  /* ── posição ── */
+
+  const place = (animate, dragOffset = 0) => {
+    track.style.transition = animate && !prefersReducedMotion() ? `transform ${DURATION}ms ${EASING}` : 'none';
+    track.style.transform  = `translate3d(${-pos * step() + dragOffset}px, 0, 0)`;
+  };
+
+  /** Sai de uma cópia para o slide real equivalente, sem animação. */
+  const normalize = () => {
+    if (!canLoop()) return;
+    const real = index() + clones;
+    if (real === pos) return;
+    pos = real;
+    place(false);
+    void track.offsetWidth; // aplica o salto antes da próxima transição
+  };
+
+  const sync = () => {
+    const current = index();
+    dots?.querySelectorAll(`.${dotClass}`).forEach((dot, i) => {
+      dot.classList.toggle('is-active', i === current);
+      if (i === current) dot.setAttribute('aria-current', 'true');
+      else dot.removeAttribute('aria-current');
+    });
+
+    const looping = canLoop();
+    if (prev) prev.disabled = !looping && pos <= 0;
+    if (next) next.disabled = !looping && pos >= maxPos();
+  };
+
+  const announce = () => {
+    if (slides.length) announcer.textContent = t('carousel.announce', { n: index() + 1, total: slides.length });
+  };
+
+  /**
+   * @param {number} target — posição no trilho
+   * @param {{ animate?: boolean, user?: boolean }} [options] user: anuncia a posição
+   */
+  const moveTo = (target, { animate = true, user = true } = {}) => {
+    normalize();
+    pos = Math.max(0, Math.min(target, maxPos()));
+    place(animate);
+    sync();
+    if (user) announce();
+    if (!animate || prefersReducedMotion()) normalize();
+  };
+
+  /**
+   * Vai para um slide real.
+   * @param {number} i
+   * @param {{ animate?: boolean, user?: boolean }} [options]
+   */
+  const goTo = (i, options) => {
+    if (!slides.length) return;
+    moveTo((canLoop() ? mod(i, slides.length) : i) + clones, options);
+  };
+
+  const go = (delta, options) => {
+    if (!slides.length) return;
+    normalize();
+    if (canLoop() || (pos + delta >= 0 && pos + delta <= maxPos())) moveTo(pos + delta, options);
+    else moveTo(delta > 0 ? 0 : maxPos(), options); // sem loop: volta ao início/fim
+  };
+
+  track.addEventListener('transitionend', (e) => {
+    if (e.target === track && e.propertyName === 'transform') normalize();
+  });
+
+  /* ── autoplay ── */
+
+  const schedule = () => {
+    clearInterval(timer);
+    timer = null;
+    if (!stopped && !holds.size && canLoop()) timer = setInterval(() => go(1, { user: false }), autoplay);
+  };
+
+  const hold = (reason, on) => {
+    if (on) holds.add(reason);
+    else holds.delete(reason);
+    schedule();
+  };
+
+  const syncPlayButton = () => {
+    if (!playButton) return;
+    playButton.hidden = autoplay <= 0 || !canLoop();
+    playButton.setAttribute('aria-label', t(stopped ? 'carousel.play' : 'carousel.pause'));
+    playButton.classList.toggle('is-paused', stopped);
+  };
+
+  // Retomar pelo botão vale mesmo com o foco nele (é um pedido explícito)
+  const play = () => {
+    if (autoplay <= 0) return;
+    stopped = false;
+    holds.delete('focus');
+    syncPlayButton();
+    schedule();
+  };
+  const pause = () => {
+    stopped = true;
+    syncPlayButton();
+    schedule();
+  };
+
+  root.addEventListener('pointerenter', (e) => { if (e.pointerType === 'mouse') hold('hover', true); });
+  root.addEventListener('pointerleave', (e) => { if (e.pointerType === 'mouse') hold('hover', false); });
+  root.addEventListener('focusin', (e) => { if (e.target !== playButton) hold('focus', true); });
+  root.addEventListener('focusout', (e) => { if (!root.contains(e.relatedTarget)) hold('focus', false); });
+  document.addEventListener('visibilitychange', () => hold('hidden', document.hidden));
+  playButton?.addEventListener('click', () => (stopped ? play() : pause()));
+
+  /* ── slides e cópias ── */
+
+  const labelSlides = () => {
+    slides.forEach((slide, i) => {
+      slide.setAttribute('role', 'group');
+      slide.setAttribute('aria-roledescription', t('carousel.slide'));
+      if (!slide.hasAttribute('aria-label') || slide.dataset.carouselLabel) {
+        slide.dataset.carouselLabel = 'true';
+        slide.setAttribute('aria-label', t('carousel.slideLabel', { n: i + 1, total: slides.length }));
+      }
+    });
+  };
+
+  /** Cópia visível, mas fora do Tab e da árvore de acessibilidade (o slide real já está lá). */
+  const cloneOf = (slide) => {
+    const copy = slide.cloneNode(true);
+    copy.setAttribute(CLONE_ATTR, '');
+    copy.setAttribute('aria-hidden', 'true');
+    copy.removeAttribute('id');
+    copy.querySelectorAll('[id]').forEach(el => el.removeAttribute('id'));
+    copy.querySelectorAll('a[href], button, input, select, textarea, [tabindex]').forEach(el => el.setAttribute('tabindex', '-1'));
+    return copy;
+  };
+
+  const buildClones = () => {
+    track.querySelectorAll(`[${CLONE_ATTR}]`).forEach(el => el.remove());
+    clones = canLoop() ? visible : 0;
+    if (!clones) return;
+    track.prepend(...slides.slice(-clones).map(cloneOf));
+    track.append(...slides.slice(0, clones).map(cloneOf));
+  };
+
+  const buildDots = () => {
+    if (!dots) return;
+    dots.innerHTML = '';
+    dots.hidden = slides.length <= visible;
+    slides.forEach((_, i) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = dotClass;
+      btn.setAttribute('aria-label', t('carousel.goTo', { n: i + 1 }));
+      btn.addEventListener('click', () => goTo(i));
+      dots.append(btn);
+    });
+  };
+
+  /**
+   * Relê os slides do trilho (conteúdo trocado, filtro, busca) e volta ao primeiro.
+   */
+  const refresh = () => {
+    slides  = [...track.children].filter(el => !el.hasAttribute(CLONE_ATTR) && el.matches(slideSelector));
+    visible = readVisible();
+    labelSlides();
+    buildClones();
+    buildDots();
+    pos = clones;
+    place(false);
+    sync();
+    syncPlayButton();
+    schedule();
+  };
+
+  /* ── arraste com inércia ── */
+
+  let drag = null;
+  let suppressClick = false;
+
+  const onPointerDown = (e) => {
+    if (e.button !== 0 || slides.length <= visible) return;
+    normalize();
+    drag = { id: e.pointerId, x: e.clientX, y: e.clientY, dx: 0, active: false, samples: [{ x: e.clientX, time: e.timeStamp }] };
+  };
+
+  const onPointerMove = (e) => {
+    if (!drag || e.pointerId !== drag.id) return;
+    drag.dx = e.clientX - drag.x;
+
+    if (!drag.active) {
+      if (Math.abs(drag.dx) < DRAG_MIN) return;
+      if (Math.abs(e.clientY - drag.y) > Math.abs(drag.dx)) { drag = null; return; } // rolagem vertical
+      drag.active = true;
+      viewport.setPointerCapture?.(e.pointerId);
+      root.classList.add('is-dragging');
+      hold('drag', true);
+    }
+
+    drag.samples = [...drag.samples.filter(s => e.timeStamp - s.time < 100), { x: e.clientX, time: e.timeStamp }];
+    place(false, drag.dx);
+  };
+
+  const onPointerUp = (e) => {
+    if (!drag || e.pointerId !== drag.id) return;
+    const { active, dx, samples } = drag;
+    drag = null;
+    if (!active) return;
+
+    root.classList.remove('is-dragging');
+    hold('drag', false);
+
+    const first = samples[0];
+    const last  = samples.at(-1);
+    const velocity = last.time > first.time ? (last.x - first.x) / (last.time - first.time) : 0; // px/ms
+    const size = step() || 1;
+    const moved = Math.round(-(dx + velocity * MOMENTUM) / size);
+    const clamped = Math.max(-visible, Math.min(visible, moved));
+
+    moveTo(pos + clamped); // 0 = volta para onde estava
+
+    // O clique que encerra o arraste não deve abrir links/botões do slide
+    suppressClick = true;
+    setTimeout(() => { suppressClick = false; }, 0);
+  };
+
+  viewport.addEventListener('pointerdown', onPointerDown);
+  viewport.addEventListener('pointermove', onPointerMove);
+  viewport.addEventListener('pointerup', onPointerUp);
+  viewport.addEventListener('pointercancel', onPointerUp);
+  viewport.addEventListener('dragstart', (e) => e.preventDefault()); // imagens e links nativamente arrastáveis
+  viewport.addEventListener('click', (e) => {
+    if (!suppressClick) return;
+    e.preventDefault();
+    e.stopPropagation();
+  }, true);
+
+  /* ── teclado, foco e botões ── */
+
+  root.addEventListener('keydown', (e) => {
+    if (e.target.closest('input, select, textarea')) return;
+    if (e.key === 'ArrowLeft')  { e.preventDefault(); go(-1); }
+    if (e.key === 'ArrowRight') { e.preventDefault(); go(1); }
+  });
+
+  // Tab até um slide fora da área visível: o carrossel anda até ele
+  track.addEventListener('focusin', (e) => {
+    const slide = slides.find(s => s.contains(e.target));
+    if (!slide) return;
+    const target = slides.indexOf(slide) + clones;
+    if (target < pos) moveTo(target);
+    else if (target > pos + visible - 1) moveTo(target - visible + 1);
+  });
+
+  // overflow: hidden ainda rola ao focar; o deslocamento é só pelo transform
+  viewport.addEventListener('scroll', () => { viewport.scrollLeft = 0; });
+
+  prev?.addEventListener('click', () => go(-1));
+  next?.addEventListener('click', () => go(1));
+
+  window.addEventListener('resize', debounce(() => {
+    const current = index();
+    if (readVisible() !== visible) {
+      refresh();
+      goTo(current, { animate: false, user: false });
+    } else {
+      place(false);
+    }
+  }, 150));
+
+  document.addEventListener('i18n:changed', () => {
+    root.setAttribute('aria-roledescription', t('carousel.roledescription'));
+    labelSlides();
+    dots?.querySelectorAll(`.${dotClass}`).forEach((dot, i) => dot.setAttribute('aria-label', t('carousel.goTo', { n: i + 1 })));
+    syncPlayButton();
+  });
+
+  root.setAttribute('aria-roledescription', t('carousel.roledescription'));
+  refresh();
+
+  return {
+    goTo, refresh, play, pause,
+    next: () => go(1),
+    prev: () => go(-1),
+    get index() { return index(); },
+    get playing() { return timer !== null; },
+  };
+};
@@ -0,0 +1,217 @@
+/**
+ * core/dialog.js — SMART - ACTIVE | Diálogos modais acessíveis
+ *
+ * Transforma um elemento da página em diálogo modal enquanto estiver aberto:
+ *   - role="dialog" + aria-modal="true" (o nome vem do aria-label/aria-labelledby do elemento)
+ *   - Foco preso no diálogo (Tab / Shift+Tab dão a volta) e devolvido a quem abriu
+ *   - Escape, botões [data-dialog-close] e clique no fundo fecham
+ *   - Resto da página com inert (fora do Tab e da árvore de acessibilidade)
+ *   - Rolagem da página travada, compensando a largura da barra de rolagem
+ * Ao fechar, tudo volta como estava — o mesmo elemento pode continuar sendo
+ * usado fora do modo modal (ex.: painel de detalhes inline).
+ *
+ * createHistoryEntry cuida da URL de diálogos com link direto (perfil do
+ * personal, lightbox, painel de detalhes): abrir cria uma entrada no histórico
+ * e fechar pelo usuário volta sobre ela, para o "Voltar" não reabrir o diálogo.
+ */
+
+const FOCUSABLE = [
+  'a[href]', 'area[href]', 'button:not([disabled])', 'input:not([disabled]):not([type="hidden"])',
+  'select:not([disabled])', 'textarea:not([disabled])', 'iframe', '[contenteditable="true"]',
+  '[tabindex]:not([tabindex="-1"])',
+].join(',');
+
+/** Diálogos abertos, do mais antigo ao do topo (só o do topo reage ao teclado). */
+const stack = [];
+
+/** @param {HTMLElement} root */
+const focusableIn = (root) =>
+  [...root.querySelectorAll(FOCUSABLE)].filter(el => !el.closest('[hidden], [inert]') && el.getClientRects().length);
+
+/**
+ * Aplica inert a tudo fora do elemento: irmãos dele e de cada ancestral até o <body>.
+ * Um diálogo aberto por cima de outro recebeu inert do de baixo; esse inert sai
+ * enquanto ele estiver aberto.
+ * @returns {() => void} desfaz exatamente o que foi alterado
+ */
+const inertOutside = (element) => {
+  const changed = [];
+  const released = [];
+  for (let node = element; node && node !== document.body; node = node.parentElement) {
+    if (node.hasAttribute('inert')) {
+      node.removeAttribute('inert');
+      released.push(node);
+    }
+    for (const sibling of node.parentElement?.children ?? []) {
+      if (sibling === node || sibling.hasAttribute('inert') || sibling.tagName === 'SCRIPT') continue;
+      sibling.setAttribute('inert', '');
+      changed.push(sibling);
+    }
+  }
+  return () => {
+    changed.forEach(el => el.removeAttribute('inert'));
+    released.forEach(el => el.setAttribute('inert', ''));
+  };
+};
+
+/** Trava a rolagem do documento. @returns {() => void} destrava */
+const lockScroll = () => {
+  const root = document.documentElement;
+  const { body } = document;
+  const previous = { overflow: root.style.overflow, paddingRight: body.style.paddingRight };
+  const scrollbar = window.innerWidth - root.clientWidth;
+
+  root.style.overflow = 'hidden';
+  if (scrollbar > 0) {
+    body.style.paddingRight = `${parseFloat(getComputedStyle(body).paddingRight) + scrollbar}px`;
+  }
+
+  return () => {
+    root.style.overflow = previous.overflow;
+    body.style.paddingRight = previous.paddingRight;
+  };
+};
+
+/**
+ * @typedef {Object} DialogOptions
+ * @property {string} [modalClass='is-modal'] — classe aplicada enquanto aberto (o CSS da página cuida do visual)
+ * @property {(reason: 'escape'|'button'|'backdrop') => void} [onClose]
+ *           — chamado quando o usuário fecha; close() chamado pelo código não dispara
+ */
+
+/**
+ * @param {HTMLElement} element
+ * @param {DialogOptions} [options]
+ */
+export const createDialog = (element, { modalClass = 'is-modal', onClose } = {}) => {
+  let opener = null;
+  let restoreInert = null;
+  let unlockScroll = null;
+  let previousAttrs = null;
+
+  const isTop = () => stack.at(-1) === api;
+
+  /** @param {'escape'|'button'|'backdrop'} reason */
+  const dismiss = (reason) => {
+    close();
+    onClose?.(reason);
+  };
+
+  const handleKeydown = (e) => {
+    if (!isTop()) return;
+
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      dismiss('escape');
+      return;
+    }
+    if (e.key !== 'Tab') return;
+
+    const items = focusableIn(element);
+    if (!items.length) {
+      e.preventDefault();
+      element.focus();
+      return;
+    }
+
+    const first = items[0];
+    const last  = items.at(-1);
+    const inside = element.contains(document.activeElement);
+
+    if (e.shiftKey && (document.activeElement === first || document.activeElement === element || !inside)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && (document.activeElement === last || !inside)) {
+      e.preventDefault();
+      first.focus();
+    }
+  };
+
+  // Rede de segurança para navegadores sem inert: o foco não sai do diálogo
+  const handleFocusIn = (e) => {
+    if (isTop() && !element.contains(e.target)) (focusableIn(element)[0] ?? element).focus();
+  };
+
+  const handleClick = (e) => {
+    if (e.target.closest('[data-dialog-close]')) dismiss('button');
+    else if (e.target === element) dismiss('backdrop');
+  };
+
+  /**
+   * Abre o diálogo.
+   * @param {{ opener?: HTMLElement|null, initialFocus?: HTMLElement|null }} [options]
+   *        opener: recebe o foco de volta ao fechar (padrão: elemento focado agora)
+   */
+  const open = ({ opener: from = document.activeElement, initialFocus = null } = {}) => {
+    if (stack.includes(api)) return;
+
+    opener = from instanceof HTMLElement ? from : null;
+    previousAttrs = ['role', 'aria-modal', 'tabindex'].map(name => [name, element.getAttribute(name)]);
+
+    element.setAttribute('role', 'dialog');
+    element.setAttribute('aria-modal', 'true');
+    if (!element.hasAttribute('tabindex')) element.setAttribute('tabindex', '-1');
+    element.classList.add(modalClass);
+
+    restoreInert = inertOutside(element);
+    unlockScroll = stack.length ? null : lockScroll();
+    stack.push(api);
+
+    document.addEventListener('keydown', handleKeydown);
+    document.addEventListener('focusin', handleFocusIn);
+    element.addEventListener('click', handleClick);
+
+    (initialFocus ?? focusableIn(element)[0] ?? element).focus({ preventScroll: true });
+  };
+
+  /** Fecha o diálogo e devolve o foco a quem abriu. Não chama onClose. */
+  const close = () => {
+    const index = stack.indexOf(api);
+    if (index === -1) return;
+    stack.splice(index, 1);
+
+    document.removeEventListener('keydown', handleKeydown);
+    document.removeEventListener('focusin', handleFocusIn);
+    element.removeEventListener('click', handleClick);
+
+    element.classList.remove(modalClass);
+    previousAttrs.forEach(([name, value]) => {
+      if (value === null) element.removeAttribute(name);
+      else element.setAttribute(name, value);
+    });
+
+    restoreInert?.();
+    unlockScroll?.();
+    restoreInert = unlockScroll = null;
+
+    if (opener?.isConnected) opener.focus();
+    opener = null;
+  };
+
+  const api = {
+    open, close,
+    get isOpen() { return stack.includes(api); },
+  };
+  return api;
+};
+
+/**
+ * Entrada de histórico de um diálogo com link direto.
+ * A entrada criada por push() leva a marca `key` no history.state; é por ela
+ * que leave() sabe se pode voltar ou se o visitante chegou pelo link.
+ * @param {string} key — ex.: 'teamProfile'
+ */
+export const createHistoryEntry = (key) => ({
+  /** Cria a entrada do diálogo aberto pelo usuário. */
+  push: (url) => history.pushState({ [key]: true }, '', url),
+
+  /**
+   * Sai da URL do diálogo: volta sobre a entrada criada por push() ou, se a
+   * entrada atual não é dele (link direto, restauração), a reescreve com `url`.
+   * @param {string|URL} url — URL sem o diálogo
+   */
+  leave: (url) => {
+    if (history.state?.[key]) history.back();
+    else history.replaceState(history.state, '', url);
+  },
+});
@@ -0,0 +1,291 @@
+/**
+ * core/forms.js — SMART - ACTIVE | Envio de formulários
+ *
+ * Camada de envio com adaptadores intercambiáveis (EmailJS, POST JSON, no-op),
+ * escolhidos pela configuração em config.js. Falhas transitórias (rede, 5xx,
+ * 429) são repetidas com backoff exponencial; as demais rejeitam na hora com
+ * SubmissionError, para a interface mostrar um erro real.
+ */
+
+/** Falha ao enviar um formulário. `retryable` indica se vale tentar de novo. */
+export class SubmissionError extends Error {
+  /**
+   * @param {string} message
+   * @param {{ retryable?: boolean, status?: number, cause?: unknown }} [details]
+   */
+  constructor(message, { retryable = false, status = 0, cause } = {}) {
+    super(message, { cause });
+    this.name = 'SubmissionError';
+    this.retryable = retryable;
+    this.status = status;
+  }
+}
+
+/**
+ * @typedef {Object} Submission
+ * @property {string} name                      — identifica o formulário (ex.: 'newsletter')
+ * @property {HTMLFormElement} [form]          — ausente em reenvios da fila offline
+ * @property {Record<string, string>} data      — campos já validados
+ */
+
+/**
+ * @typedef {Object} Transport
+ * @property {(submission: Submission) => Promise<unknown>} send
+ */
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const isRetryableStatus = (status) => status === 0 || status === 429 || status >= 500;
+
+
+/* ════════════════════════════════════════════════════════════════════
+   ADAPTADORES
+   ════════════════════════════════════════════════════════════════════ */
+
+const SDK_TIMEOUT_MS = 10000;
+let sdkPromise = null;
+
+/** Injeta o SDK do EmailJS uma única vez (rejeita se não carregar em SDK_TIMEOUT_MS). */
+const loadEmailJS = (url) => {
+  if (window.emailjs) return Promise.resolve(window.emailjs);
+
+  sdkPromise ??= new Promise((resolve, reject) => {
+    const script = Object.assign(document.createElement('script'), { src: url, async: true });
+    const timer  = setTimeout(() => {
+      script.remove();
+      reject(new Error(`Tempo esgotado ao carregar ${url}`));
+    }, SDK_TIMEOUT_MS);
+
+    script.onload  = () => {
+      clearTimeout(timer);
+      if (window.emailjs) resolve(window.emailjs);
+      else reject(new Error('emailjs ausente'));
+    };
+    script.onerror = () => {
+      clearTimeout(timer);
+      script.remove();
+      reject(new Error(`Falha ao carregar ${url}`));
+    };
+    document.head.appendChild(script);
+  }).catch(err => {
+    sdkPromise = null; // permite nova tentativa
+    throw new SubmissionError('Serviço de envio indisponível.', { retryable: true, cause: err });
+  });
+
+  return sdkPromise;
+};
+
+/**
+ * @param {{ serviceId: string, templateId: string, publicKey: string, sdkUrl: string }} options
+ * @returns {Transport}
+ */
+export const emailJSTransport = ({ serviceId, templateId, publicKey, sdkUrl }) => ({
+  send: async ({ form, data }) => {
+    const emailjs = await loadEmailJS(sdkUrl);
+    try {
+      // Reenvios da fila offline não têm mais o <form>: mandam só os campos
+      return await (form
+        ? emailjs.sendForm(serviceId, templateId, form, publicKey)
+        : emailjs.send(serviceId, templateId, data, publicKey));
+    } catch (err) {
+      // O SDK rejeita com { status, text }
+      const status = Number(err?.status) || 0;
+      throw new SubmissionError(err?.text || 'Falha no EmailJS.', {
+        status, retryable: isRetryableStatus(status), cause: err,
+      });
+    }
+  },
+});
+
+/**
+ * @param {{ endpoint: string, headers?: Record<string, string> }} options
+ * @returns {Transport}
+ */
+export const jsonTransport = ({ endpoint, headers = {} }) => ({
+  send: async ({ name, data }) => {
+    let res;
+    try {
+      res = await fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json', ...headers },
+        body: JSON.stringify({ form: name, ...data }),
+      });
+    } catch (err) {
+      // fetch só rejeita em falha de rede
+      throw new SubmissionError('Sem conexão com o servidor.', { retryable: true, cause: err });
+    }
+
+    if (!res.ok) {
+      throw new SubmissionError(`${endpoint}: HTTP ${res.status}`, {
+        status: res.status, retryable: isRetryableStatus(res.status),
+      });
+    }
+    return res.status === 204 ? null : res.json().catch(() => null);
+  },
+});
+
+/**
+ * Não envia nada: apenas simula a latência. Para desenvolvimento local.
+ * @param {{ delayMs?: number }} [options]
+ * @returns {Transport}
+ */
+export const noopTransport = ({ delayMs = 0 } = {}) => ({
+  send: async ({ name, data }) => {
+    await sleep(delayMs);
+    return { transport: 'noop', form: name, data };
+  },
+});
+
+const TRANSPORTS = {
+  emailjs: emailJSTransport,
+  json:    jsonTransport,
+  noop:    noopTransport,
+};
+
+
+/* ════════════════════════════════════════════════════════════════════
+   SUBMITTER
+   ════════════════════════════════════════════════════════════════════ */
+
+/**
+ * Cria a função de envio a partir da configuração (SITE_CONFIG.forms).
+ * `transport` pode ser o nome de um adaptador ou um objeto { send }.
+ *
+ * @param {Object} config
+ * @param {string|Transport} config.transport
+ * @param {number} [config.retries=2]    — tentativas extras em falhas transitórias
+ * @param {number} [config.backoffMs=800] — espera inicial; dobra a cada nova tentativa
+ * @returns {(submission: Submission) => Promise<unknown>}
+ */
+export const createSubmitter = (config) => {
+  const { transport, retries = 2, backoffMs = 800 } = config;
+  const factory = typeof transport === 'string' ? TRANSPORTS[transport] : null;
+
+  if (typeof transport === 'string' && !factory) {
+    throw new Error(`Transporte de formulário desconhecido: ${transport}`);
+  }
+  const adapter = factory ? factory(config[transport] ?? {}) : transport;
+
+  return async (submission) => {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await adapter.send(submission);
+      } catch (err) {
+        const error = err instanceof SubmissionError
+          ? err
+          : new SubmissionError(err?.message ?? 'Falha no envio.', { cause: err });
+
+        if (!error.retryable || attempt >= retries) throw error;
+        await sleep(backoffMs * 2 ** attempt);
+      }
+    }
+  };
+};
+
+
+/* ════════════════════════════════════════════════════════════════════
+   LIGAÇÃO COM O FORMULÁRIO
+   ════════════════════════════════════════════════════════════════════ */
+
+/** @typedef {'empty'|'invalid'|'sending'|'success'|'failed'|'queued'|'offline'|'flushed'} SubmissionOutcome */
+
+/**
+ * Liga um formulário ao envio: valida, envia pelo submitter (que já repete
+ * as falhas transitórias) e mostra cada desfecho na mensagem do formulário.
+ *   - Sem conexão, ou falha transitória depois das repetições → fila offline
+ *   - Falha definitiva → erro honesto, com o que foi digitado mantido nos campos
+ *   - Enquanto envia: aria-busy no formulário e botão de envio desabilitado
+ * A fila é reenviada agora (próxima visita) e sempre que a conexão voltar.
+ *
+ * @param {HTMLFormElement} form
+ * @param {Object} options
+ * @param {string} options.name — identifica o formulário (ex.: 'newsletter')
+ * @param {() => ({ data: Record<string, string>, key: string } | { error: SubmissionOutcome })} options.collect
+ *        — campos validados e a chave da fila (ex.: o e-mail), ou o erro de validação
+ * @param {(submission: Submission) => Promise<unknown>} options.submitter — de createSubmitter
+ * @param {{ enqueue: Function, flush: () => Promise<unknown[]> }} options.outbox — de createOutbox
+ * @param {Object} options.messages
+ * @param {HTMLElement|null} options.messages.element — onde o desfecho aparece
+ * @param {(outcome: SubmissionOutcome) => string} options.messages.text — lido na hora, no idioma atual
+ * @param {number} [options.messages.successMs=3500] — tempo na tela das confirmações
+ */
+export const bindSubmission = (form, { name, collect, submitter, outbox, messages }) => {
+  const { element, text, successMs = 3500 } = messages;
+  const button = form.querySelector('[type="submit"]');
+  let timer;
+
+  /**
+   * @param {SubmissionOutcome} outcome
+   * @param {'success'|'error'|'pending'} [type]
+   * @param {boolean} [persist=false] — mantém a mensagem até a próxima ação
+   */
+  const show = (outcome, type = 'success', persist = false) => {
+    if (!element) return;
+    clearTimeout(timer);
+    element.textContent = text(outcome);
+    element.classList.toggle('color-green', type === 'success');
+    element.classList.toggle('color-red', type === 'error');
+    if (persist) return;
+    timer = setTimeout(() => {
+      element.textContent = '';
+      element.classList.remove('color-green', 'color-red');
+    }, type === 'success' ? successMs : 3500);
+  };
+
+  const setBusy = (busy) => {
+    form.setAttribute('aria-busy', String(busy));
+    if (button) button.disabled = busy;
+  };
+
+  /**
+   * Guarda o envio na fila offline.
+   * @returns {Promise<boolean>} false quando o IndexedDB não está disponível
+   */
+  const queue = async (data, key) => {
+    try {
+      await outbox.enqueue({ name, data }, key);
+    } catch {
+      return false;
+    }
+    show('queued', 'success', true);
+    form.reset();
+    return true;
+  };
+
+  const onSubmit = async (e) => {
+    e.preventDefault();
+    const fields = collect();
+    if ('error' in fields) return show(fields.error, 'error');
+
+    const { data, key } = fields;
+    setBusy(true);
+
+    try {
+      // Sem conexão: nem tenta a rede, vai direto para a fila
+      if (!navigator.onLine) {
+        if (!(await queue(data, key))) show('offline', 'error', true);
+        return;
+      }
+
+      show('sending', 'pending', true);
+      try {
+        await submitter({ name, form, data });
+        show('success');
+        form.reset();
+      } catch (err) {
+        if (err.retryable && await queue(data, key)) return;
+        show('failed', 'error', true);
+      }
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const flush = async () => {
+    if ((await outbox.flush()).length) show('flushed');
+  };
+
+  form.addEventListener('submit', onSubmit);
+  window.addEventListener('online', flush);
+  flush();
+};
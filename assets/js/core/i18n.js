@@ -0,0 +1,198 @@
+/**
+ * core/i18n.js — SMART - ACTIVE | Internacionalização (PT-BR, EN, ES)
+ *
+ * - Catálogos em assets/js/i18n/<idioma>.js; o PT-BR vem junto (é o idioma
+ *   do HTML e o fallback), os demais são carregados sob demanda
+ * - t('chave.aninhada', { param }) com interpolação {param} e plural via
+ *   Intl.PluralRules quando a mensagem é { one, other } e há params.count
+ * - Números, moeda e datas formatados com Intl no idioma ativo
+ * - HTML marcado com data-i18n (texto) e data-i18n-attr="atributo:chave; ..."
+ * - Textos vindos de assets/data/*.json como { pt, en, es }, resolvidos por localize()
+ * - Idioma escolhido persiste em localStorage; mudanças disparam 'i18n:changed'
+ * Chaves ausentes caem para o PT-BR e, em desenvolvimento, geram um aviso no console.
+ */
+
+import ptBR from '../i18n/pt-BR.js';
+
+const STORAGE_KEY = 'smart-active-lang';
+const DEFAULT_LANG = 'pt-BR';
+
+/** Idiomas oferecidos no seletor e como carregar cada catálogo. */
+const LANGUAGES = {
+  'pt-BR': { label: 'PT', currency: 'BRL', load: async () => ptBR },
+  en:      { label: 'EN', currency: 'BRL', load: async () => (await import('../i18n/en.js')).default },
+  es:      { label: 'ES', currency: 'BRL', load: async () => (await import('../i18n/es.js')).default },
+};
+
+const isDev = location.protocol === 'file:' || ['localhost', '127.0.0.1', ''].includes(location.hostname);
+
+export const I18n = (() => {
+  const catalogs = { [DEFAULT_LANG]: ptBR };
+  const reported = new Set();
+  let lang = DEFAULT_LANG;
+
+  /** 'bmi.classify.normal' → valor no catálogo (ou undefined). */
+  const lookup = (catalog, key) =>
+    key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), catalog);
+
+  const report = (key) => {
+    if (!isDev || reported.has(`${lang}:${key}`)) return;
+    reported.add(`${lang}:${key}`);
+    console.warn(`[i18n] chave ausente em "${lang}": ${key}`);
+  };
+
+  /**
+   * Traduz uma chave.
+   * @param {string} key
+   * @param {Record<string, string|number>} [params] — valores para {placeholders}; count seleciona o plural
+   * @returns {string}
+   */
+  const t = (key, params = {}) => {
+    let message = lookup(catalogs[lang], key);
+
+    if (message === undefined) {
+      if (lang !== DEFAULT_LANG) report(key);
+      message = lookup(catalogs[DEFAULT_LANG], key);
+      if (message === undefined) {
+        report(key);
+        return key;
+      }
+    }
+
+    if (typeof message === 'object') {
+      const category = typeof params.count === 'number'
+        ? new Intl.PluralRules(lang).select(params.count)
+        : 'other';
+      message = (params.count === 0 && message.zero) || message[category] || message.other;
+    }
+
+    return String(message).replace(/\{(\w+)\}/g, (match, name) =>
+      name in params ? String(typeof params[name] === 'number' ? formatNumber(params[name]) : params[name]) : match);
+  };
+
+  /**
+   * @param {number} value
+   * @param {Intl.NumberFormatOptions} [options]
+   */
+  const formatNumber = (value, options) => new Intl.NumberFormat(lang, options).format(value);
+
+  /**
+   * Valores monetários sempre em reais; só a forma de escrever muda com o idioma.
+   * @param {number} value
+   * @param {Intl.NumberFormatOptions} [options]
+   */
+  const formatCurrency = (value, options = {}) => formatNumber(value, {
+    style: 'currency',
+    currency: LANGUAGES[lang].currency,
+    ...options,
+  });
+
+  /**
+   * @param {Date|number|string} date
+   * @param {Intl.DateTimeFormatOptions} [options]
+   */
+  const formatDate = (date, options) => new Intl.DateTimeFormat(lang, options).format(new Date(date));
+
+  /**
+   * Resolve um texto dos arquivos de dados no idioma ativo. Strings simples
+   * (nomes próprios, por exemplo) passam direto; o PT é o fallback.
+   * @param {string|Record<string, string>} value — 'Texto' ou { pt, en, es }
+   * @returns {string}
+   */
+  const localize = (value) => {
+    if (value == null || typeof value !== 'object') return value;
+    return value[lang] ?? value[lang.split('-')[0]] ?? value.pt;
+  };
+
+  /**
+   * Aplica as traduções ao HTML marcado.
+   * @param {ParentNode} [root=document]
+   */
+  const apply = (root = document) => {
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+      el.textContent = t(el.dataset.i18n);
+    });
+
+    root.querySelectorAll('[data-i18n-attr]').forEach(el => {
+      el.dataset.i18nAttr.split(';').forEach(pair => {
+        const [attr, key] = pair.split(':').map(s => s.trim());
+        if (attr && key) el.setAttribute(attr, t(key));
+      });
+    });
+  };
+
+  const syncSwitchers = () => {
+    document.querySelectorAll('[data-lang-switch] [data-lang]').forEach(btn => {
+      btn.setAttribute('aria-pressed', String(btn.dataset.lang === lang));
+    });
+  };
+
+  /**
+   * Troca o idioma ativo, carregando o catálogo se necessário.
+   * @param {string} code — 'pt-BR' | 'en' | 'es'
+   * @param {{ persist?: boolean }} [options]
+   */
+  const setLanguage = async (code, { persist = true } = {}) => {
+    const next = LANGUAGES[code] ? code : DEFAULT_LANG;
+
+    if (!catalogs[next]) {
+      try {
+        catalogs[next] = await LANGUAGES[next].load();
+      } catch {
+        return; // sem o catálogo, continua no idioma atual
+      }
+    }
+
+    lang = next;
+    document.documentElement.lang = lang;
+    if (persist) localStorage.setItem(STORAGE_KEY, lang);
+
+    apply();
+    syncSwitchers();
+    document.dispatchEvent(new CustomEvent('i18n:changed', { detail: { lang } }));
+  };
+
+  /** Idioma salvo, senão o primeiro idioma do navegador que o site oferece. */
+  const detect = () => {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (stored && LANGUAGES[stored]) return stored;
+
+    const preferred = navigator.languages ?? [navigator.language];
+    for (const tag of preferred) {
+      if (!tag) continue;
+      if (LANGUAGES[tag]) return tag;
+      const base = tag.split('-')[0];
+      if (base === 'pt') return DEFAULT_LANG;
+      if (LANGUAGES[base]) return base;
+    }
+    return DEFAULT_LANG;
+  };
+
+  /**
+   * Liga os seletores de idioma ([data-lang-switch] com botões [data-lang])
+   * e aplica o idioma detectado. O HTML já está em PT-BR, então nada muda
+   * até o catálogo de outro idioma carregar.
+   * @returns {Promise<void>}
+   */
+  const init = () => {
+    document.querySelectorAll('[data-lang-switch] [data-lang]').forEach(btn => {
+      btn.addEventListener('click', () => setLanguage(btn.dataset.lang));
+    });
+
+    const initial = detect();
+    syncSwitchers();
+    return initial === DEFAULT_LANG ? Promise.resolve() : setLanguage(initial, { persist: false });
+  };
+
+  return {
+    init, t, localize, setLanguage, apply, formatNumber, formatCurrency, formatDate,
+    get lang() { return lang; },
+    languages: Object.fromEntries(Object.entries(LANGUAGES).map(([code, { label }]) => [code, label])),
+  };
+})();
+
+/** Atalho para I18n.t. */
+export const t = (key, params) => I18n.t(key, params);
+
+/** Atalho para I18n.localize. */
+export const localize = (value) => I18n.localize(value);
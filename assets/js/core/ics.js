@@ -0,0 +1,205 @@
+/**
+ * core/ics.js — SMART - ACTIVE | Gerador de iCalendar (RFC 5545)
+ *
+ * Monta arquivos .ics inteiramente no navegador: eventos semanais (RRULE),
+ * horário local com TZID + VTIMEZONE, local, descrição e alarme (VALARM).
+ * Linhas terminam em CRLF e são dobradas em 75 octetos, como exige a RFC.
+ */
+
+const CRLF = '\r\n';
+const PRODID = '-//SMART ACTIVE//Agenda de Aulas//PT-BR';
+
+/** Dias da semana ISO (1 = segunda … 7 = domingo) → BYDAY da RFC 5545. */
+const BYDAY = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+/**
+ * Definições VTIMEZONE conhecidas. O Brasil não adota horário de verão desde
+ * 2019, então America/Sao_Paulo tem um único componente STANDARD em -03:00.
+ */
+const TIMEZONES = {
+  'America/Sao_Paulo': [
+    'BEGIN:VTIMEZONE',
+    'TZID:America/Sao_Paulo',
+    'BEGIN:STANDARD',
+    'DTSTART:19700101T000000',
+    'TZOFFSETFROM:-0300',
+    'TZOFFSETTO:-0300',
+    'TZNAME:-03',
+    'END:STANDARD',
+    'END:VTIMEZONE',
+  ],
+};
+
+/**
+ * @typedef {Object} CalendarEvent
+ * @property {string} uid          — identificador estável (o mesmo evento reimportado não duplica)
+ * @property {string} summary
+ * @property {string} date         — primeira ocorrência, 'AAAA-MM-DD' no fuso do calendário
+ * @property {string} start        — 'HH:MM'
+ * @property {number} duration     — minutos
+ * @property {number} [weekday]    — 1–7 (ISO); quando presente, repete semanalmente neste dia
+ * @property {string} [location]
+ * @property {string} [description]
+ * @property {number} [alarm]      — minutos de antecedência do lembrete (omitido = sem alarme)
+ */
+
+/**
+ * Escapa texto para valores TEXT (RFC 5545 §3.3.11).
+ * @param {unknown} value
+ * @returns {string}
+ */
+export const escapeText = (value) =>
+  String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/**
+ * Dobra uma linha de conteúdo em segmentos de no máximo 75 octetos UTF-8
+ * (RFC 5545 §3.1), sem partir caracteres multibyte.
+ * @param {string} line
+ * @returns {string}
+ */
+export const foldLine = (line) => {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  let bytes = 0;
+
+  for (const ch of line) {
+    const size = encoder.encode(ch).length;
+    // Linhas de continuação começam com um espaço, que conta no limite
+    const limit = parts.length ? 74 : 75;
+    if (bytes + size > limit) {
+      parts.push(current);
+      current = '';
+      bytes = 0;
+    }
+    current += ch;
+    bytes += size;
+  }
+  parts.push(current);
+
+  return parts.join(`${CRLF} `);
+};
+
+/** Date → '20261019T181400Z' (UTC, para DTSTAMP). */
+const formatUTC = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Soma minutos a uma data/hora local sem passar pelo fuso do navegador.
+ * @param {string} date  — 'AAAA-MM-DD'
+ * @param {string} time  — 'HH:MM'
+ * @param {number} [add=0]
+ * @returns {string} 'AAAAMMDDTHHMMSS'
+ */
+const formatLocal = (date, time, add = 0) => {
+  const [y, mo, d] = date.split('-').map(Number);
+  const [h, mi] = time.split(':').map(Number);
+  const dt = new Date(Date.UTC(y, mo - 1, d, h, mi + add));
+  return formatUTC(dt).replace('Z', '');
+};
+
+/**
+ * Data ('AAAA-MM-DD') e hora ('HH:MM') de agora em um fuso específico.
+ * @param {string} timeZone
+ * @param {Date} [now]
+ */
+const nowIn = (timeZone, now = new Date()) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone, year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+    }).formatToParts(now).map(({ type, value }) => [type, value])
+  );
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+};
+
+/**
+ * Próxima data, no fuso informado, que cai no dia da semana ISO. Hoje só conta
+ * se a aula ainda não começou; senão a primeira ocorrência é na semana seguinte.
+ * @param {number} weekday — 1 (segunda) … 7 (domingo)
+ * @param {string} timeZone
+ * @param {{ time?: string, now?: Date }} [options]
+ *        time: início da aula ('HH:MM'); sem ele, hoje sempre conta
+ * @returns {string} 'AAAA-MM-DD'
+ */
+export const nextWeekday = (weekday, timeZone, { time, now = new Date() } = {}) => {
+  const current = nowIn(timeZone, now);
+  const [y, m, d] = current.date.split('-').map(Number);
+  const day = new Date(Date.UTC(y, m - 1, d));
+  const isoToday = day.getUTCDay() || 7;
+
+  let ahead = (weekday - isoToday + 7) % 7;
+  if (ahead === 0 && time && time <= current.time) ahead = 7;
+
+  day.setUTCDate(day.getUTCDate() + ahead);
+  return day.toISOString().slice(0, 10);
+};
+
+/**
+ * @param {CalendarEvent} event
+ * @param {string} timeZone
+ * @param {string} stamp — DTSTAMP já formatado
+ * @returns {string[]}
+ */
+const eventLines = (event, timeZone, stamp) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART;TZID=${timeZone}:${formatLocal(event.date, event.start)}`,
+    `DTEND;TZID=${timeZone}:${formatLocal(event.date, event.start, event.duration)}`,
+  ];
+
+  if (event.weekday) lines.push(`RRULE:FREQ=WEEKLY;BYDAY=${BYDAY[event.weekday - 1]}`);
+
+  lines.push(`SUMMARY:${escapeText(event.summary)}`);
+  if (event.location)    lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+
+  if (event.alarm != null) {
+    lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `TRIGGER:-PT${event.alarm}M`,
+      `DESCRIPTION:${escapeText(event.summary)}`,
+      'END:VALARM',
+    );
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Gera o conteúdo de um arquivo .ics.
+ *
+ * @param {Object} options
+ * @param {CalendarEvent[]} options.events
+ * @param {string} [options.timezone='America/Sao_Paulo'] — precisa existir em TIMEZONES
+ * @param {string} [options.name]                         — X-WR-CALNAME exibido pelos apps
+ * @param {Date}   [options.now]                          — DTSTAMP (útil para saída determinística)
+ * @returns {string}
+ */
+export const buildCalendar = ({ events, timezone = 'America/Sao_Paulo', name, now = new Date() }) => {
+  const vtimezone = TIMEZONES[timezone];
+  if (!vtimezone) throw new Error(`Fuso sem VTIMEZONE definido: ${timezone}`);
+
+  const stamp = formatUTC(now);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    ...(name ? [`X-WR-CALNAME:${escapeText(name)}`] : []),
+    `X-WR-TIMEZONE:${timezone}`,
+    ...vtimezone,
+    ...events.flatMap(event => eventLines(event, timezone, stamp)),
+    'END:VCALENDAR',
+  ];
+
+  return lines.map(foldLine).join(CRLF) + CRLF;
+};
@@ -0,0 +1,25 @@
+/**
+ * core/index.js — SMART - ACTIVE | Ponto de entrada do núcleo compartilhado
+ *
+ * As páginas importam daqui; cada submódulo também pode ser importado
+ * diretamente quando só uma parte é necessária.
+ */
+
+export {
+  $, $$, debounce, escapeHTML, foldText, fetchJSON, downloadFile,
+  ScrollBus, createObserver, prefersReducedMotion,
+} from './utils.js';
+export { Nav } from './nav.js';
+export { ToastModule } from './toast.js';
+export { registerServiceWorker } from './pwa.js';
+export { buildCalendar, nextWeekday } from './ics.js';
+export { isValidEmail, formatPhoneBR, isValidPhoneBR, phoneDigits } from './validation.js';
+export { SlotUnavailableError, createLocalSlotProvider, createHTTPSlotProvider } from './booking.js';
+export {
+  SubmissionError, createSubmitter, bindSubmission, emailJSTransport, jsonTransport, noopTransport,
+} from './forms.js';
+export { createOutbox } from './outbox.js';
+export { I18n, t, localize } from './i18n.js';
+export { Theme, THEME_MODES } from './theme.js';
+export { createDialog, createHistoryEntry } from './dialog.js';
+export { createCarousel } from './carousel.js';
@@ -0,0 +1,124 @@
+/**
+ * core/nav.js — SMART - ACTIVE | Navegação compartilhada
+ *
+ * Estado de scroll do header, menu mobile, botão "voltar ao topo" e
+ * destaque opcional do link da seção visível. Cada página passa apenas
+ * os seletores e classes que diferem dos padrões (index.html / sobre.html).
+ */
+
+import { $, $$, ScrollBus } from './utils.js';
+
+/**
+ * @typedef {Object} NavOptions
+ * @property {string}  [header='#header']          — elemento que recebe a classe de scroll
+ * @property {string}  [menu='#nav-menu']          — container do menu mobile
+ * @property {string}  [toggle='#nav-toggle']      — botão que abre/fecha o menu
+ * @property {string}  [close='#nav-close']        — botão de fechar dentro do menu
+ * @property {string}  [links='.nav__link']        — links que fecham o menu ao clicar
+ * @property {string}  [scrollUp='#scroll-up']     — botão "voltar ao topo"
+ * @property {string}  [scrolledClass='bg-header'] — classe aplicada ao header após scrolledAt
+ * @property {number}  [scrolledAt=60]             — px de scroll para aplicar scrolledClass
+ * @property {string}  [openClass='show-menu']     — classe do menu aberto
+ * @property {number}  [scrollUpAt=400]            — px de scroll para exibir scrollUp
+ * @property {boolean} [spy=false]                 — destaca o link da section[id] visível
+ * @property {boolean} [swapIcon=false]            — troca o ícone <i> do toggle (menu ↔ close)
+ */
+
+/** @type {Required<NavOptions>} */
+const DEFAULTS = {
+  header:        '#header',
+  menu:          '#nav-menu',
+  toggle:        '#nav-toggle',
+  close:         '#nav-close',
+  links:         '.nav__link',
+  scrollUp:      '#scroll-up',
+  scrolledClass: 'bg-header',
+  scrolledAt:    60,
+  openClass:     'show-menu',
+  scrollUpAt:    400,
+  spy:           false,
+  swapIcon:      false,
+};
+
+export const Nav = (() => {
+  let opts = DEFAULTS;
+  let header, menu, toggle, closeBtn, scrollUp, links, sections;
+
+  /**
+   * Abre/fecha o menu mobile mantendo os atributos ARIA em sincronia.
+   * @param {boolean} isOpen
+   */
+  const setMenuState = (isOpen) => {
+    if (!menu) return;
+
+    menu.classList.toggle(opts.openClass, isOpen);
+    if (menu.hasAttribute('aria-hidden')) {
+      menu.setAttribute('aria-hidden', String(!isOpen));
+    }
+    toggle?.setAttribute('aria-expanded', String(isOpen));
+
+    if (opts.swapIcon) {
+      const icon = toggle?.querySelector('i');
+      if (icon) icon.className = isOpen ? 'ri-close-line' : 'ri-menu-line';
+    }
+  };
+
+  const isOpen    = () => !!menu?.classList.contains(opts.openClass);
+  const openMenu  = () => setMenuState(true);
+  const closeMenu = () => setMenuState(false);
+  const toggleMenu = () => setMenuState(!isOpen());
+
+  /** Destaca o link cuja seção contém a posição atual do scroll. */
+  const spySections = (y) => {
+    sections.forEach(sec => {
+      const top    = sec.offsetTop - 80;
+      const bottom = top + sec.offsetHeight;
+      const link   = $(`${opts.links}[href="#${sec.id}"]`);
+      link?.classList.toggle('active-link', y >= top && y < bottom);
+    });
+  };
+
+  const onScroll = () => {
+    const y = window.scrollY;
+
+    header?.classList.toggle(opts.scrolledClass, y >= opts.scrolledAt);
+    scrollUp?.classList.toggle('show-scroll', y >= opts.scrollUpAt);
+    if (opts.spy) spySections(y);
+  };
+
+  /**
+   * @param {NavOptions} [options]
+   */
+  const init = (options = {}) => {
+    opts = { ...DEFAULTS, ...options };
+
+    header   = $(opts.header);
+    menu     = $(opts.menu);
+    toggle   = $(opts.toggle);
+    closeBtn = $(opts.close);
+    scrollUp = $(opts.scrollUp);
+    links    = $$(opts.links);
+    sections = opts.spy ? $$('section[id]') : [];
+
+    toggle?.addEventListener('click', toggleMenu);
+    closeBtn?.addEventListener('click', closeMenu);
+    links.forEach(l => l.addEventListener('click', closeMenu));
+
+    // Fecha ao clicar fora (mobile)
+    document.addEventListener('click', e => {
+      if (isOpen() && !menu.contains(e.target) && !toggle?.contains(e.target)) {
+        closeMenu();
+      }
+    });
+
+    // Fecha com Escape
+    document.addEventListener('keydown', ({ key }) => {
+      if (key === 'Escape' && isOpen()) closeMenu();
+    });
+
+    ScrollBus.subscribe(onScroll);
+    onScroll(); // estado inicial
+  };
+
+  return { init, open: openMenu, close: closeMenu };
+})();
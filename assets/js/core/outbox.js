@@ -0,0 +1,126 @@
+/**
+ * core/outbox.js — SMART - ACTIVE | Fila offline de formulários
+ *
+ * Envios que falham por falta de conexão ficam guardados no IndexedDB e são
+ * reenviados quando o navegador volta a ficar online ou na próxima visita.
+ * Cada item tem uma chave (formulário + e-mail): reenfileirar o mesmo
+ * e-mail substitui o pedido anterior em vez de duplicá-lo.
+ */
+
+const DB_NAME    = 'smart-active';
+const DB_VERSION = 1;
+const STORE      = 'outbox';
+
+/** @type {Promise<IDBDatabase>|null} */
+let dbPromise = null;
+
+const openDB = () => {
+  dbPromise ??= new Promise((resolve, reject) => {
+    if (!('indexedDB' in window)) {
+      reject(new Error('IndexedDB indisponível'));
+      return;
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: 'key' });
+    req.onsuccess = () => resolve(req.result);
+    req.onerror   = () => reject(req.error);
+  }).catch(err => {
+    dbPromise = null;
+    throw err;
+  });
+  return dbPromise;
+};
+
+/**
+ * Executa uma operação no object store e resolve com o resultado do request.
+ * @param {IDBTransactionMode} mode
+ * @param {(store: IDBObjectStore) => IDBRequest} operation
+ */
+const withStore = async (mode, operation) => {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx  = db.transaction(STORE, mode);
+    const req = operation(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror    = () => reject(tx.error);
+    tx.onabort    = () => reject(tx.error);
+  });
+};
+
+/**
+ * @typedef {Object} QueuedSubmission
+ * @property {string} key        — 'newsletter:ana@exemplo.com'
+ * @property {string} name
+ * @property {Record<string, string>} data
+ * @property {string} queuedAt   — ISO 8601
+ * @property {number} attempts
+ */
+
+/**
+ * @param {Object} options
+ * @param {(submission: { name: string, data: Record<string, string> }) => Promise<unknown>} options.submit
+ *        — função de envio (createSubmitter); rejeita com SubmissionError
+ * @param {(sent: QueuedSubmission[]) => void} [options.onFlush] — chamado quando itens da fila são enviados
+ */
+export const createOutbox = ({ submit, onFlush }) => {
+  let flushing = null;
+
+  /**
+   * Guarda um envio para mais tarde. Rejeita se o IndexedDB não estiver disponível.
+   * @param {{ name: string, data: Record<string, string> }} submission
+   * @param {string} id — identifica o pedido para deduplicação (ex.: e-mail)
+   */
+  const enqueue = ({ name, data }, id) => withStore('readwrite', store => store.put({
+    key:      `${name}:${id.toLowerCase()}`,
+    name,
+    data,
+    queuedAt: new Date().toISOString(),
+    attempts: 0,
+  }));
+
+  /** @returns {Promise<number>} itens aguardando envio */
+  const size = () => withStore('readonly', store => store.count()).catch(() => 0);
+
+  const run = async () => {
+    /** @type {QueuedSubmission[]} */
+    const items = await withStore('readonly', store => store.getAll());
+    const sent = [];
+
+    for (const item of items) {
+      try {
+        await submit({ name: item.name, data: item.data });
+        await withStore('readwrite', store => store.delete(item.key));
+        sent.push(item);
+      } catch (err) {
+        if (err?.retryable === false) {
+          // Recusado pelo serviço (ex.: 4xx): reenviar não vai mudar o resultado
+          await withStore('readwrite', store => store.delete(item.key));
+        } else {
+          await withStore('readwrite', store => store.put({ ...item, attempts: item.attempts + 1 }));
+          break; // ainda sem conexão: o restante da fila espera o próximo 'online'
+        }
+      }
+    }
+
+    if (sent.length) onFlush?.(sent);
+    return sent;
+  };
+
+  /**
+   * Reenvia a fila (uma execução por vez).
+   * @returns {Promise<QueuedSubmission[]>} itens enviados com sucesso
+   */
+  const flush = () => {
+    if (!navigator.onLine) return Promise.resolve([]);
+    flushing ??= run().catch(() => []).finally(() => { flushing = null; });
+    return flushing;
+  };
+
+  /** Tenta esvaziar a fila agora (próxima visita) e sempre que a conexão voltar. */
+  const start = () => {
+    window.addEventListener('online', flush);
+    flush();
+  };
+
+  return { enqueue, flush, size, start };
+};
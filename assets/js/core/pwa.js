@@ -0,0 +1,53 @@
+/**
+ * core/pwa.js — SMART - ACTIVE | Registro do service worker
+ *
+ * Registra o sw.js da raiz (escopo = site inteiro) e avisa quando uma nova
+ * versão terminou de instalar e está esperando. Quem chama decide como
+ * perguntar ao usuário; aceitar ativa o novo worker e recarrega a página.
+ */
+
+/**
+ * @param {Object} options
+ * @param {(apply: () => void) => void} options.onUpdate — chamado com a função que aplica a atualização
+ * @param {string} [options.url='sw.js']
+ */
+export const registerServiceWorker = ({ onUpdate, url = 'sw.js' }) => {
+  if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+
+  let accepted = false;
+
+  /** @param {ServiceWorker} worker */
+  const promptUpdate = (worker) => onUpdate(() => {
+    accepted = true;
+    worker.postMessage({ type: 'SKIP_WAITING' });
+  });
+
+  // Recarrega só quando o usuário aceitou — a primeira instalação também troca o controller
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (accepted) location.reload();
+  });
+
+  window.addEventListener('load', async () => {
+    let registration;
+    try {
+      registration = await navigator.serviceWorker.register(url);
+    } catch {
+      return; // sem service worker o site continua funcionando normalmente
+    }
+
+    // Atualização já instalada em uma visita anterior
+    if (registration.waiting && navigator.serviceWorker.controller) {
+      promptUpdate(registration.waiting);
+    }
+
+    registration.addEventListener('updatefound', () => {
+      const worker = registration.installing;
+      worker?.addEventListener('statechange', () => {
+        // Com controller ativo, "installed" significa nova versão em espera
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+          promptUpdate(worker);
+        }
+      });
+    });
+  });
+};
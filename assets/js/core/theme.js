@@ -0,0 +1,141 @@
+/**
+ * core/theme.js — SMART - ACTIVE | Temas do site (escuro, claro, alto contraste, sistema)
+ *
+ * O tema resolvido fica em <html data-theme="dark|light|contrast"> e o modo
+ * escolhido em data-theme-mode. A primeira aplicação acontece no <head>, via
+ * theme-boot.js; aqui ficam os botões [data-theme-toggle], a persistência
+ * (mesma chave nas três páginas, sincronizada entre abas) e a reação ao
+ * sistema operacional quando o modo é "system".
+ *
+ * Toda mudança dispara 'theme:changed' em document com
+ * { mode, theme, isLight, source: 'user' | 'system' | 'storage' }.
+ */
+
+import { t } from './i18n.js';
+
+const STORAGE_KEY = 'smart-active-theme';
+
+/** Ordem de rotação do botão. */
+export const THEME_MODES = ['dark', 'light', 'contrast', 'system'];
+
+const ICONS = {
+  dark:     'ri-moon-line',
+  light:    'ri-sun-line',
+  contrast: 'ri-contrast-2-line',
+  system:   'ri-computer-line',
+};
+
+/** Cor da barra do navegador (<meta name="theme-color">) por tema resolvido. */
+const BAR_COLORS = {
+  dark:     '#080b0f',
+  light:    '#f4f6fb',
+  contrast: '#000000',
+};
+
+export const Theme = (() => {
+  const root = document.documentElement;
+  let mode = 'system';
+  let theme = 'dark';
+  let toggles = [];
+  let lightQuery, contrastQuery;
+
+  const isMode = (value) => THEME_MODES.includes(value);
+
+  /** Mesma regra do theme-boot.js. */
+  const resolve = (m) => {
+    if (m !== 'system') return m;
+    if (contrastQuery?.matches) return 'contrast';
+    return lightQuery?.matches ? 'light' : 'dark';
+  };
+
+  const nextMode = () => THEME_MODES[(THEME_MODES.indexOf(mode) + 1) % THEME_MODES.length];
+
+  /** Atualiza <html>, a cor da barra e os botões — sem disparar evento. */
+  const render = () => {
+    root.dataset.theme = theme;
+    root.dataset.themeMode = mode;
+    document.querySelector('meta[name="theme-color"]')?.setAttribute('content', BAR_COLORS[theme]);
+
+    const label = t('theme.toggle', {
+      current: t(`theme.modes.${mode}`),
+      next:    t(`theme.modes.${nextMode()}`),
+    });
+    toggles.forEach(btn => {
+      const icon = btn.querySelector('i');
+      if (icon) icon.className = ICONS[mode];
+      btn.setAttribute('aria-label', label);
+      btn.title = label;
+    });
+  };
+
+  /**
+   * @param {string} m
+   * @param {'user'|'system'|'storage'} source
+   */
+  const apply = (m, source) => {
+    mode  = isMode(m) ? m : 'system';
+    theme = resolve(mode);
+    render();
+    document.dispatchEvent(new CustomEvent('theme:changed', {
+      detail: { mode, theme, isLight: theme === 'light', source },
+    }));
+  };
+
+  /**
+   * Escolhe um modo e o salva para as três páginas.
+   * @param {'dark'|'light'|'contrast'|'system'} m
+   */
+  const set = (m) => {
+    if (!isMode(m)) return;
+    try {
+      localStorage.setItem(STORAGE_KEY, m);
+    } catch {
+      // sem armazenamento o tema vale só para esta página
+    }
+    apply(m, 'user');
+  };
+
+  /** Avança para o próximo modo (escuro → claro → alto contraste → sistema). */
+  const cycle = () => set(nextMode());
+
+  const onSystemChange = () => {
+    if (mode === 'system') apply('system', 'system');
+  };
+
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.toggle='[data-theme-toggle]'] — botões que alternam o modo
+   */
+  const init = ({ toggle = '[data-theme-toggle]' } = {}) => {
+    lightQuery    = window.matchMedia?.('(prefers-color-scheme: light)');
+    contrastQuery = window.matchMedia?.('(prefers-contrast: more)');
+    lightQuery?.addEventListener?.('change', onSystemChange);
+    contrastQuery?.addEventListener?.('change', onSystemChange);
+
+    let saved = null;
+    try {
+      saved = localStorage.getItem(STORAGE_KEY);
+    } catch {
+      // segue o sistema
+    }
+    mode  = isMode(saved) ? saved : 'system';
+    theme = resolve(mode);
+
+    toggles = [...document.querySelectorAll(toggle)];
+    toggles.forEach(btn => btn.addEventListener('click', cycle));
+
+    // Outra aba trocou o tema
+    window.addEventListener('storage', (e) => {
+      if (e.key === STORAGE_KEY) apply(e.newValue, 'storage');
+    });
+    document.addEventListener('i18n:changed', render);
+
+    render();
+  };
+
+  return {
+    init, set, cycle,
+    get mode() { return mode; },
+    get theme() { return theme; },
+  };
+})();
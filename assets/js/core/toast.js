@@ -0,0 +1,72 @@
+/**
+ * core/toast.js — SMART - ACTIVE | Notificações temporárias
+ *
+ * Exibe mensagens no <output id="toast"> de cada página. Opcionalmente
+ * com um botão de ação (ex.: "Atualizar" quando há nova versão do site);
+ * nesse caso o toast só some quando a ação é usada ou o tempo acaba.
+ */
+
+import { t } from './i18n.js';
+
+/**
+ * @typedef {Object} ToastOptions
+ * @property {number} [duration=2500] — ms; 0 mantém o toast até a ação ser usada
+ * @property {{ label: string, onClick: () => void }} [action]
+ */
+
+export const ToastModule = (() => {
+  let toastEl;
+  let hideTimer = null;
+
+  const hide = () => {
+    clearTimeout(hideTimer);
+    hideTimer = null;
+    toastEl?.classList.remove('is-visible', 'has-action');
+  };
+
+  /**
+   * Exibe uma mensagem temporária.
+   * @param {string} message
+   * @param {number|ToastOptions} [options=2500] — duração em ms ou opções
+   */
+  const show = (message, options = {}) => {
+    if (!toastEl) return;
+
+    const { duration = 2500, action } = typeof options === 'number' ? { duration: options } : options;
+    if (hideTimer) clearTimeout(hideTimer);
+
+    toastEl.textContent = message;
+    toastEl.classList.toggle('has-action', !!action);
+
+    if (action) {
+      const btn = Object.assign(document.createElement('button'), {
+        type: 'button',
+        className: 'toast__action',
+        textContent: action.label,
+      });
+      btn.addEventListener('click', () => {
+        hide();
+        action.onClick();
+      }, { once: true });
+      toastEl.append(' ', btn);
+    }
+
+    toastEl.classList.add('is-visible');
+    hideTimer = duration > 0 ? setTimeout(hide, duration) : null;
+  };
+
+  /**
+   * @param {string} [selector='#toast']
+   */
+  const init = (selector = '#toast') => {
+    toastEl = document.querySelector(selector);
+
+    // Escuta o evento de tema em vez de ser chamado diretamente pelo módulo de tema;
+    // só avisa quando foi o usuário quem trocou (não o sistema ou outra aba)
+    document.addEventListener('theme:changed', ({ detail }) => {
+      if (detail.source === 'user') show(t(`toast.theme.${detail.mode}`));
+    });
+  };
+
+  return { init, show, hide };
+})();
@@ -0,0 +1,158 @@
+/**
+ * core/utils.js — SMART - ACTIVE | Utilitários compartilhados
+ *
+ * Helpers de DOM e de dados, ScrollBus (pub/sub de scroll), IntersectionObserver
+ * e preferência de movimento reduzido. Importado por todas as páginas.
+ */
+
+
+/* ════════════════════════════════════════════════════════════════════
+   DOM
+   ════════════════════════════════════════════════════════════════════ */
+
+/**
+ * Atalho para querySelector.
+ * @param {string} sel
+ * @param {ParentNode} [ctx=document]
+ * @returns {Element|null}
+ */
+export const $ = (sel, ctx = document) => ctx.querySelector(sel);
+
+/**
+ * Atalho para querySelectorAll, retornando um array.
+ * @param {string} sel
+ * @param {ParentNode} [ctx=document]
+ * @returns {Element[]}
+ */
+export const $$ = (sel, ctx = document) => [...ctx.querySelectorAll(sel)];
+
+/**
+ * Adia a execução de fn até que ms milissegundos passem sem nova chamada.
+ * @param {Function} fn
+ * @param {number} [ms=100]
+ * @returns {Function}
+ */
+export const debounce = (fn, ms = 100) => {
+  let timer;
+  return (...args) => {
+    clearTimeout(timer);
+    timer = setTimeout(() => fn(...args), ms);
+  };
+};
+
+/**
+ * Escapa texto para interpolação segura em templates HTML.
+ * @param {unknown} value
+ * @returns {string}
+ */
+export const escapeHTML = (value) =>
+  String(value ?? '').replace(/[&<>"']/g, ch => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+  })[ch]);
+
+/**
+ * Minúsculas e sem acentos, para buscas: 'Musculação' → 'musculacao'.
+ * @param {string} text
+ * @returns {string}
+ */
+export const foldText = (text) => text.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+
+/**
+ * Carrega e decodifica um arquivo JSON (catálogos em assets/data).
+ * Rejeita quando a resposta não é 2xx, em vez de tentar decodificar uma página de erro.
+ * @param {string} url
+ * @returns {Promise<any>}
+ */
+export const fetchJSON = async (url) => {
+  const res = await fetch(url, { headers: { Accept: 'application/json' } });
+  if (!res.ok) throw new Error(`${url}: HTTP ${res.status}`);
+  return res.json();
+};
+
+/**
+ * Oferece um conteúdo gerado no navegador como download (Blob + <a download>).
+ * @param {string} filename
+ * @param {string} type — MIME type
+ * @param {string} content
+ */
+export const downloadFile = (filename, type, content) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = Object.assign(document.createElement('a'), { href: url, download: filename });
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+
+/* ════════════════════════════════════════════════════════════════════
+   SCROLL BUS
+   Exatamente 1 listener de scroll e 1 rAF ativo por vez,
+   independentemente de quantos módulos se inscreverem.
+   ════════════════════════════════════════════════════════════════════ */
+export const ScrollBus = (() => {
+  const subscribers = new Set();
+  let ticking = false;
+
+  window.addEventListener('scroll', () => {
+    if (!ticking) {
+      requestAnimationFrame(() => {
+        subscribers.forEach(fn => fn());
+        ticking = false;
+      });
+      ticking = true;
+    }
+  }, { passive: true });
+
+  /**
+   * Inscreve uma função para ser chamada a cada frame de scroll.
+   * @param {() => void} fn
+   * @returns {() => void} função de cleanup (unsubscribe)
+   */
+  const subscribe = (fn) => {
+    subscribers.add(fn);
+    return () => subscribers.delete(fn);
+  };
+
+  return { subscribe };
+})();
+
+
+/* ════════════════════════════════════════════════════════════════════
+   OBSERVERS & PREFERÊNCIAS
+   ════════════════════════════════════════════════════════════════════ */
+
+/**
+ * Cria um IntersectionObserver e observa os elementos fornecidos.
+ * Sem suporte a IntersectionObserver, chama onEnter imediatamente para
+ * cada alvo (com um observer nulo), para que o conteúdo nunca fique oculto.
+ *
+ * @param {Element[]} targets       — elementos a observar
+ * @param {(entry: IntersectionObserverEntry, obs: IntersectionObserver|null) => void} onEnter
+ * @param {IntersectionObserverInit} [options]
+ * @returns {IntersectionObserver|null}
+ */
+export const createObserver = (targets, onEnter, options = {}) => {
+  if (!('IntersectionObserver' in window)) {
+    targets.forEach(target => onEnter({ target, isIntersecting: true }, null));
+    return null;
+  }
+
+  const observer = new IntersectionObserver((entries, obs) => {
+    entries.forEach(entry => {
+      if (entry.isIntersecting) {
+        onEnter(entry, obs);
+      }
+    });
+  }, options);
+
+  targets.forEach(el => observer.observe(el));
+  return observer;
+};
+
+/**
+ * Verifica se o usuário prefere movimento reduzido.
+ * @returns {boolean}
+ */
+export const prefersReducedMotion = () =>
+  window.matchMedia('(prefers-reduced-motion: reduce)').matches;
@@ -0,0 +1,64 @@
+/**
+ * core/validation.js — SMART - ACTIVE | Validação e máscaras de formulário
+ *
+ * Regras compartilhadas pelos formulários do site (newsletter, aula experimental).
+ */
+
+/** DDDs em uso no Brasil (Anatel). */
+const DDD = new Set([
+  11, 12, 13, 14, 15, 16, 17, 18, 19, 21, 22, 24, 27, 28,
+  31, 32, 33, 34, 35, 37, 38, 41, 42, 43, 44, 45, 46, 47, 48, 49,
+  51, 53, 54, 55, 61, 62, 63, 64, 65, 66, 67, 68, 69,
+  71, 73, 74, 75, 77, 79, 81, 82, 83, 84, 85, 86, 87, 88, 89,
+  91, 92, 93, 94, 95, 96, 97, 98, 99,
+]);
+
+/**
+ * @param {string} email
+ * @returns {boolean}
+ */
+export const isValidEmail = (email) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+
+/**
+ * Mantém apenas os dígitos de um telefone, descartando o +55 e o 0 de
+ * longa distância quando presentes.
+ * @param {string} value
+ * @returns {string} até 11 dígitos (DDD + número)
+ */
+export const phoneDigits = (value) => {
+  let digits = String(value ?? '').replace(/\D/g, '').replace(/^0+/, '');
+  if (digits.length > 11 && digits.startsWith('55')) digits = digits.slice(2);
+  return digits.slice(0, 11);
+};
+
+/**
+ * Máscara progressiva: "31987654321" → "(31) 98765-4321";
+ * fixos de 10 dígitos ficam "(31) 3824-1234".
+ * @param {string} value
+ * @returns {string}
+ */
+export const formatPhoneBR = (value) => {
+  const d = phoneDigits(value);
+  if (d.length <= 2) return d.length ? `(${d}` : '';
+
+  const ddd  = d.slice(0, 2);
+  const rest = d.slice(2);
+  const split = d.length === 11 ? 5 : 4;
+
+  if (rest.length <= split) return `(${ddd}) ${rest}`;
+  return `(${ddd}) ${rest.slice(0, split)}-${rest.slice(split)}`;
+};
+
+/**
+ * Celular (11 dígitos, começando em 9) ou fixo (10 dígitos, começando em 2–5)
+ * com DDD válido.
+ * @param {string} value
+ * @returns {boolean}
+ */
+export const isValidPhoneBR = (value) => {
+  const d = phoneDigits(value);
+  if (!DDD.has(Number(d.slice(0, 2)))) return false;
+  if (d.length === 11) return d[2] === '9';
+  if (d.length === 10) return /[2-5]/.test(d[2]);
+  return false;
+};
@@ -0,0 +1,402 @@
+/**
+ * i18n/en.js — English catalog
+ *
+ * Keys missing here fall back to PT-BR.
+ */
+export default {
+  lang: {
+    label: 'Language',
+  },
+
+  nav: {
+    main:     'Main navigation',
+    home:     'Home',
+    programs: 'Programs',
+    space:    'Facilities',
+    pricing:  'Plans',
+    about:    'About',
+    cta:      'Get Started',
+    open:     'Open menu',
+    close:    'Close menu',
+  },
+
+  toast: {
+    theme: {
+      dark:     '🌙 Dark theme on',
+      light:    '☀️ Light theme on',
+      contrast: '◐ High contrast on',
+      system:   '💻 Following system theme',
+    },
+    update:       '🔄 A new version is available',
+    updateAction: 'Update',
+  },
+
+  theme: {
+    toggle: 'Theme: {current}. Switch to {next}',
+    modes: {
+      dark:     'dark',
+      light:    'light',
+      contrast: 'high contrast',
+      system:   'system',
+    },
+  },
+
+  footer: {
+    tagline: 'Where transformation begins.',
+  },
+
+  newsletter: {
+    placeholder: 'Your best e-mail',
+    submit:      'Subscribe',
+    empty:       'Please enter your e-mail 👆',
+    invalid:     'Invalid e-mail. Please try again 📧',
+    sending:     'Sending…',
+    success:     'You are subscribed! 🎉',
+    offline:     'You are offline. Try again once you have signal 📶',
+    queued:      'No signal right now — your signup was saved and will be sent automatically 📥',
+    failed:      'We could not complete your signup right now. Please try again shortly 😔',
+    flushed:     'Your pending signup has been sent! 🎉',
+  },
+
+  bmi: {
+    invalid: 'Enter a valid height and weight 👀',
+    age:     'Enter an age between {min} and {max} 👀',
+    classify: {
+      under:  'BMI {value} — Underweight 💪 Let’s work on it!',
+      normal: 'BMI {value} — Healthy weight 🏆 Great job, keep it up!',
+      over:   'BMI {value} — Overweight 📊 We can help you improve!',
+      obese:  'BMI {value} — Obesity 🎯 Our programs are made for you!',
+    },
+    report: {
+      bmi:             'BMI',
+      healthyWeight:   'Healthy weight',
+      healthyHint:     'BMI between 18.5 and 24.9',
+      bmr:             'Basal metabolic rate',
+      maintain:        'Maintain weight',
+      lose:            'Lose weight',
+      gain:            'Build muscle',
+      bodyFat:         'Body fat',
+      bodyFatHint:     'U.S. Navy method',
+      perDay:          '{value} kcal/day',
+      missingProfile:  'Enter sex and age',
+      missingMeasures: 'Enter your measurements',
+      cta:             'Find the right program and plan for you',
+    },
+  },
+
+  pricing: {
+    billing:          'Billing period',
+    promoLabel:       'Promo code',
+    promoPlaceholder: 'Promo code',
+    promoApply:       'Apply',
+    perMonth:         '/mo',
+    was:              '{price}/mo',
+    firstMonth:       '{price} for the first month',
+    billedEvery:      '{price} billed every {months} months',
+    save:             'Save {percent}%',
+    subscribe:        'Join {plan}',
+    promo: {
+      invalid: 'Invalid code. Please check it 🔎',
+      expired: 'This code has expired 😔',
+      applied: 'Code {code} applied — {label} 🎉',
+    },
+    compare: {
+      show:        'Compare plans',
+      hide:        'Hide comparison',
+      title:       'What each plan includes',
+      diffOnly:    'Show differences only',
+      caption:     'Feature comparison between the {plans} plans',
+      features:    'Features',
+      included:    'Included',
+      notIncluded: 'Not included',
+    },
+  },
+
+  history: {
+    title:      'Your progress',
+    save:       'Save to history',
+    import:     'Import',
+    empty:      'No saved calculations yet.',
+    chartEmpty: 'Save at least two calculations to see your progress.',
+    chartTitle: 'Weight and BMI trend: {count} entries from {from} to {to}',
+    weight:     'Weight ({unit})',
+    bmi:        'BMI',
+    bmiValue:   'BMI {value}',
+    bodyFat:    '{value}% body fat',
+    delete:     'Delete entry from {date}',
+    saved:      'Calculation saved to history ✅',
+    imported: {
+      one:   '{count} entry imported ✅',
+      other: '{count} entries imported ✅',
+    },
+    invalid:    'Invalid file. Use a JSON or CSV exported from here 📄',
+  },
+
+  wizard: {
+    back:        'Back',
+    next:        'Next',
+    finish:      'See recommendation',
+    progress:    'Step {step} of {total}',
+    done:        'Done',
+    resultLabel: 'Our recommendation',
+    plan:        'plan',
+    hint:        '{link} for an even more accurate recommendation.',
+    hintLink:    'Calculate your BMI',
+    viewProgram: 'View program',
+    viewPlan:    'View plan',
+    restart:     'Start over',
+  },
+
+  topics: {
+    skip:              'Skip to main content',
+    back:              'Back to the SMART - ACTIVE home page',
+    openMenu:          'Open navigation menu',
+    label:             'Main Content',
+    title:             'FEATURED TOPICS',
+    filterBar:         'Filter classes by category',
+    searchLabel:       'Search classes',
+    searchPlaceholder: 'Search by name, goal or benefit…',
+    sortLabel:         'Sort by',
+    empty:             'No classes match this filter.',
+    count: {
+      one:   '{count} class available',
+      other: '{count} classes available',
+    },
+  },
+
+  filter: {
+    all:    'All',
+    blue:   'Strength',
+    teal:   'Cardio',
+    amber:  'Personal Training',
+    red:    'Pilates',
+    orange: 'CrossFit',
+    purple: 'Bodybuilding',
+    green:  'Boxing',
+  },
+
+  sort: {
+    default:       'Default order',
+    intensityDesc: 'Most intense',
+    intensityAsc:  'Least intense',
+    durationAsc:   'Shortest',
+    caloriesDesc:  'Most calories',
+    beginnerDesc:  'Best for beginners',
+  },
+
+  detail: {
+    close: 'Close details',
+  },
+
+  compare: {
+    toggle:    'Compare',
+    tray:      'Classes to compare',
+    count:     '{count} of {max} selected',
+    remove:    'Remove {name} from comparison',
+    limit:     'You can compare up to {max} classes.',
+    open:      'Compare',
+    clear:     'Clear',
+    title:     'Class comparison',
+    close:     'Close comparison',
+    explore:   'Explore',
+    intensity: '{label} ({value}/5)',
+    minutes:   '{value} min',
+    kcal:      '~{value} kcal',
+    levels: {
+      1: 'Requires experience',
+      2: 'Beginners with adjustments',
+      3: 'Great for beginners',
+    },
+    rows: {
+      intensity: 'Intensity',
+      duration:  'Duration',
+      calories:  'Calorie burn',
+      level:     'Level',
+      benefits:  'Benefits',
+      stats:     'By the numbers',
+    },
+  },
+
+  schedule: {
+    label:      'Weekly Schedule',
+    title:      'CLASS TIMETABLE',
+    mine:       'My classes',
+    export:     'Export .ics',
+    filterBar:  'Filter timetable by modality',
+    loading:    'Loading times…',
+    noteBefore: 'Brasília time (America/Sao_Paulo). Tap',
+    noteAfter:  'to build your schedule and export it to your phone’s calendar.',
+    now:        'Now',
+    next:       'Next',
+    today:      'Today',
+    empty:      'No classes',
+    star: {
+      add:    'Add {name} on {day} at {time} to my classes',
+      remove: 'Remove {name} on {day} at {time} from my classes',
+    },
+    ics: {
+      name:        'SMART ACTIVE — My classes',
+      description: 'Instructor: {coach}\nRoom: {room}',
+    },
+  },
+
+  trial: {
+    label:     'First Class Free',
+    title:     'BOOK YOUR TRIAL CLASS',
+    step1:     'Modality and date',
+    step2:     'Time',
+    step3:     'Your details',
+    modality:  'Modality',
+    choose:    'Choose…',
+    date:      'Date',
+    name:      'Full name',
+    phone:     'Mobile / WhatsApp',
+    email:     'Email',
+    submit:    'Confirm booking',
+    hint:      'Choose a modality and a date to see the available times.',
+    loading:   'Loading times…',
+    noSlots:   'No classes of this modality on that day. Try another date.',
+    loadError: 'We couldn’t load the times. Please try again in a moment.',
+    full:      'Full',
+    remaining: {
+      one:   '{count} spot',
+      other: '{count} spots',
+    },
+    sending:     'Sending…',
+    unavailable: 'This time is no longer available. Please choose another one.',
+    failed:      'We couldn’t complete your booking. Please try again.',
+    confirmed:   'Class booked!',
+    calendar:    'Add to calendar',
+    again:       'Book another class',
+    errors: {
+      modality:     'Choose a modality.',
+      date:         'Choose a date.',
+      dateRange:    'Choose a date between {from} and {to}.',
+      slot:         'Choose an available time.',
+      name:         'Enter your first and last name.',
+      phone:        'Enter a contact phone number.',
+      phoneInvalid: 'Invalid phone. Use area code + number, e.g. (31) 98765-4321.',
+      email:        'Enter your email.',
+      emailInvalid: 'Invalid email.',
+    },
+    summary: {
+      modality: 'Modality',
+      date:     'Date',
+      time:     'Time',
+      coach:    'Instructor',
+      name:     'Name',
+    },
+    ics: {
+      summary:     '{modality} trial class — SMART ACTIVE',
+      description: 'Instructor: {coach}',
+    },
+  },
+
+  team: {
+    searchLabel:       'Search trainers',
+    searchPlaceholder: 'Name, specialty or CREF…',
+    filterLabel:       'Filter by specialty',
+    all:               'All',
+    count: {
+      one:   '{count} trainer on the team',
+      other: '{count} trainers on the team',
+    },
+    empty:             'No trainer matches this search.',
+    loadError:         'We couldn’t load the team right now. Please try again later.',
+    profile:           'Profile',
+    profileOf:         'View {name}’s profile',
+    book:              'Book',
+    bookWith:          'Book a session with {name}',
+    cref:              'CREF {cref}',
+    close:             'Close profile',
+    specialties:       'Specialties',
+    availability:      'Availability',
+    social: {
+      instagram: '{name}’s Instagram',
+      youtube:   '{name}’s YouTube',
+      linkedin:  '{name}’s LinkedIn',
+      tiktok:    '{name}’s TikTok',
+    },
+  },
+
+  booking: {
+    label:        'Personal training session',
+    title:        'Book with {name}',
+    close:        'Close booking',
+    step1:        'Modality and duration',
+    step2:        'Time',
+    step3:        'Your details',
+    modality:     'Modality',
+    choose:       'Choose…',
+    duration:     'Duration',
+    minutes:      '{count} min',
+    prevWeek:     'Previous week',
+    nextWeek:     'Next week',
+    week:         '{from} – {to}',
+    loading:      'Loading times…',
+    noSlots:      'No free times this week. Try the next one.',
+    loadError:    'We couldn’t load the times. Please try again shortly.',
+    taken:        'Taken',
+    name:         'Full name',
+    phone:        'Mobile / WhatsApp',
+    email:        'Email',
+    submit:       'Confirm booking',
+    sending:      'Sending…',
+    unavailable:  'This time was just booked. Please choose another one.',
+    failed:       'We couldn’t complete the booking. Please try again.',
+    confirmed:    'Session booked!',
+    calendar:     'Add to calendar',
+    again:        'Book another time',
+    cancel:       'Cancel booking',
+    cancelled:    'Booking cancelled. The time slot is free again.',
+    cancelFailed: 'Could not cancel the booking. Please try again.',
+    errors: {
+      modality:     'Choose a modality.',
+      slot:         'Choose an available time.',
+      name:         'Enter your first and last name.',
+      phone:        'Enter a contact phone number.',
+      phoneInvalid: 'Invalid phone. Use area code + number, e.g. (31) 98765-4321.',
+      email:        'Enter your email.',
+      emailInvalid: 'Invalid email.',
+    },
+    summary: {
+      trainer:  'Trainer',
+      modality: 'Modality',
+      date:     'Date',
+      time:     'Time',
+      duration: 'Duration',
+      name:     'Name',
+    },
+    ics: {
+      summary:     '{modality} session with {name} — SMART ACTIVE',
+      description: 'Trainer: {name} (CREF {cref}) · {duration} min',
+    },
+  },
+
+  carousel: {
+    teamLabel:       'Personal trainer team',
+    roledescription: 'carousel',
+    slide:           'slide',
+    slideLabel:      '{n} of {total}',
+    announce:        'Card {n} of {total}',
+    goTo:            'Go to slide {n}',
+    prev:            'Previous card',
+    next:            'Next card',
+    dots:            'Choose card',
+    pause:           'Pause automatic rotation',
+    play:            'Start automatic rotation',
+  },
+
+  space: {
+    open:      'Open full-screen gallery',
+    title:     'Facilities gallery',
+    thumbs:    'Facility photos',
+    counter:   '{n} / {total}',
+    prev:      'Previous image',
+    next:      'Next image',
+    close:     'Close gallery',
+    zoomIn:    'Zoom in',
+    zoomOut:   'Zoom out',
+    zoomReset: 'Reset zoom',
+  },
+};
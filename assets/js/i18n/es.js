@@ -0,0 +1,402 @@
+/**
+ * i18n/es.js — Catálogo en español
+ *
+ * Las claves que falten aquí usan el texto en PT-BR.
+ */
+export default {
+  lang: {
+    label: 'Idioma',
+  },
+
+  nav: {
+    main:     'Navegación principal',
+    home:     'Inicio',
+    programs: 'Programas',
+    space:    'Instalaciones',
+    pricing:  'Planes',
+    about:    'Nosotros',
+    cta:      'Empieza Ahora',
+    open:     'Abrir menú',
+    close:    'Cerrar menú',
+  },
+
+  toast: {
+    theme: {
+      dark:     '🌙 Tema oscuro activado',
+      light:    '☀️ Tema claro activado',
+      contrast: '◐ Alto contraste activado',
+      system:   '💻 Tema del sistema activado',
+    },
+    update:       '🔄 Nueva versión disponible',
+    updateAction: 'Actualizar',
+  },
+
+  theme: {
+    toggle: 'Tema: {current}. Cambiar a {next}',
+    modes: {
+      dark:     'oscuro',
+      light:    'claro',
+      contrast: 'alto contraste',
+      system:   'el del sistema',
+    },
+  },
+
+  footer: {
+    tagline: 'Donde comienza la transformación.',
+  },
+
+  newsletter: {
+    placeholder: 'Tu mejor correo',
+    submit:      'Suscribirse',
+    empty:       'Por favor, escribe tu correo 👆',
+    invalid:     'Correo no válido. Inténtalo de nuevo 📧',
+    sending:     'Enviando…',
+    success:     '¡Suscripción realizada con éxito! 🎉',
+    offline:     'Estás sin conexión. Inténtalo cuando vuelva la señal 📶',
+    queued:      'Sin señal ahora — tu suscripción se guardó y se enviará automáticamente 📥',
+    failed:      'No pudimos completar tu suscripción ahora. Inténtalo de nuevo en unos instantes 😔',
+    flushed:     '¡Tu suscripción pendiente fue enviada! 🎉',
+  },
+
+  bmi: {
+    invalid: 'Completa altura y peso con valores válidos 👀',
+    age:     'Indica una edad entre {min} y {max} años 👀',
+    classify: {
+      under:  'IMC {value} — Bajo peso 💪 ¡Vamos a trabajar en ello!',
+      normal: 'IMC {value} — Peso ideal 🏆 ¡Excelente! ¡Sigue así!',
+      over:   'IMC {value} — Sobrepeso 📊 ¡Podemos ayudarte a mejorar!',
+      obese:  'IMC {value} — Obesidad 🎯 ¡Nuestros programas son para ti!',
+    },
+    report: {
+      bmi:             'IMC',
+      healthyWeight:   'Peso saludable',
+      healthyHint:     'IMC entre 18,5 y 24,9',
+      bmr:             'Metabolismo basal',
+      maintain:        'Mantener el peso',
+      lose:            'Adelgazar',
+      gain:            'Ganar masa',
+      bodyFat:         'Grasa corporal',
+      bodyFatHint:     'Método de la Marina de EE. UU.',
+      perDay:          '{value} kcal/día',
+      missingProfile:  'Indica sexo y edad',
+      missingMeasures: 'Indica tus medidas',
+      cta:             'Descubre el programa y el plan ideales para ti',
+    },
+  },
+
+  pricing: {
+    billing:          'Período de facturación',
+    promoLabel:       'Código promocional',
+    promoPlaceholder: 'Cupón promocional',
+    promoApply:       'Aplicar',
+    perMonth:         '/mes',
+    was:              '{price}/mes',
+    firstMonth:       '{price} el primer mes',
+    billedEvery:      '{price} cobrados cada {months} meses',
+    save:             'Ahorra {percent}%',
+    subscribe:        'Suscribirse a {plan}',
+    promo: {
+      invalid: 'Cupón no válido. Revisa el código 🔎',
+      expired: 'Este cupón ha caducado 😔',
+      applied: 'Cupón {code} aplicado — {label} 🎉',
+    },
+    compare: {
+      show:        'Comparar planes',
+      hide:        'Ocultar comparación',
+      title:       'Qué incluye cada plan',
+      diffOnly:    'Mostrar solo diferencias',
+      caption:     'Comparación de recursos entre los planes {plans}',
+      features:    'Recursos',
+      included:    'Incluido',
+      notIncluded: 'No incluido',
+    },
+  },
+
+  history: {
+    title:      'Tu evolución',
+    save:       'Guardar en el historial',
+    import:     'Importar',
+    empty:      'Aún no hay cálculos guardados.',
+    chartEmpty: 'Guarda al menos dos cálculos para ver tu evolución.',
+    chartTitle: 'Evolución de peso e IMC: {count} registros del {from} al {to}',
+    weight:     'Peso ({unit})',
+    bmi:        'IMC',
+    bmiValue:   'IMC {value}',
+    bodyFat:    '{value}% de grasa',
+    delete:     'Eliminar registro del {date}',
+    saved:      'Cálculo guardado en el historial ✅',
+    imported: {
+      one:   '{count} registro importado ✅',
+      other: '{count} registros importados ✅',
+    },
+    invalid:    'Archivo no válido. Usa un JSON o CSV exportado desde aquí 📄',
+  },
+
+  wizard: {
+    back:        'Volver',
+    next:        'Siguiente',
+    finish:      'Ver recomendación',
+    progress:    'Paso {step} de {total}',
+    done:        'Completado',
+    resultLabel: 'Nuestra recomendación',
+    plan:        'plan',
+    hint:        '{link} para una recomendación aún más precisa.',
+    hintLink:    'Calcula tu IMC',
+    viewProgram: 'Ver programa',
+    viewPlan:    'Ver plan',
+    restart:     'Rehacer',
+  },
+
+  topics: {
+    skip:              'Saltar al contenido principal',
+    back:              'Volver a la página de inicio de SMART - ACTIVE',
+    openMenu:          'Abrir menú de navegación',
+    label:             'Contenido Principal',
+    title:             'TEMAS DESTACADOS',
+    filterBar:         'Filtrar modalidades por categoría',
+    searchLabel:       'Buscar modalidades',
+    searchPlaceholder: 'Buscar por nombre, objetivo o beneficio…',
+    sortLabel:         'Ordenar por',
+    empty:             'Ninguna modalidad coincide con este filtro.',
+    count: {
+      one:   '{count} modalidad disponible',
+      other: '{count} modalidades disponibles',
+    },
+  },
+
+  filter: {
+    all:    'Todas',
+    blue:   'Fuerza',
+    teal:   'Cardio',
+    amber:  'Entrenamiento Personal',
+    red:    'Pilates',
+    orange: 'CrossFit',
+    purple: 'Culturismo',
+    green:  'Boxeo',
+  },
+
+  sort: {
+    default:       'Orden predeterminado',
+    intensityDesc: 'Más intensas',
+    intensityAsc:  'Menos intensas',
+    durationAsc:   'Más cortas',
+    caloriesDesc:  'Más calorías',
+    beginnerDesc:  'Mejores para principiantes',
+  },
+
+  detail: {
+    close: 'Cerrar detalles',
+  },
+
+  compare: {
+    toggle:    'Comparar',
+    tray:      'Modalidades para comparar',
+    count:     '{count} de {max} seleccionadas',
+    remove:    'Quitar {name} de la comparación',
+    limit:     'Puedes comparar hasta {max} modalidades.',
+    open:      'Comparar',
+    clear:     'Limpiar',
+    title:     'Comparación de modalidades',
+    close:     'Cerrar comparación',
+    explore:   'Explorar',
+    intensity: '{label} ({value}/5)',
+    minutes:   '{value} min',
+    kcal:      '~{value} kcal',
+    levels: {
+      1: 'Requiere experiencia',
+      2: 'Principiantes con adaptaciones',
+      3: 'Ideal para principiantes',
+    },
+    rows: {
+      intensity: 'Intensidad',
+      duration:  'Duración',
+      calories:  'Gasto calórico',
+      level:     'Nivel',
+      benefits:  'Beneficios',
+      stats:     'En números',
+    },
+  },
+
+  schedule: {
+    label:      'Agenda Semanal',
+    title:      'HORARIO DE CLASES',
+    mine:       'Mis clases',
+    export:     'Exportar .ics',
+    filterBar:  'Filtrar horario por modalidad',
+    loading:    'Cargando horarios…',
+    noteBefore: 'Hora de Brasilia (America/Sao_Paulo). Marca',
+    noteAfter:  'para armar tu agenda y expórtala al calendario del móvil.',
+    now:        'Ahora',
+    next:       'Siguiente',
+    today:      'Hoy',
+    empty:      'Sin clases',
+    star: {
+      add:    'Añadir {name} del {day} a las {time} a mis clases',
+      remove: 'Quitar {name} del {day} a las {time} de mis clases',
+    },
+    ics: {
+      name:        'SMART ACTIVE — Mis clases',
+      description: 'Profesor(a): {coach}\nSala: {room}',
+    },
+  },
+
+  trial: {
+    label:     'Primera Clase Gratis',
+    title:     'RESERVA TU CLASE DE PRUEBA',
+    step1:     'Modalidad y fecha',
+    step2:     'Horario',
+    step3:     'Tus datos',
+    modality:  'Modalidad',
+    choose:    'Elige…',
+    date:      'Fecha',
+    name:      'Nombre completo',
+    phone:     'Móvil / WhatsApp',
+    email:     'Correo electrónico',
+    submit:    'Confirmar reserva',
+    hint:      'Elige la modalidad y la fecha para ver los horarios.',
+    loading:   'Cargando horarios…',
+    noSlots:   'No hay clases de esta modalidad ese día. Prueba otra fecha.',
+    loadError: 'No fue posible cargar los horarios. Inténtalo de nuevo en unos instantes.',
+    full:      'Completo',
+    remaining: {
+      one:   '{count} plaza',
+      other: '{count} plazas',
+    },
+    sending:     'Enviando…',
+    unavailable: 'Este horario ya no está disponible. Elige otro horario.',
+    failed:      'No fue posible completar la reserva. Inténtalo de nuevo.',
+    confirmed:   '¡Clase reservada!',
+    calendar:    'Añadir al calendario',
+    again:       'Reservar otra clase',
+    errors: {
+      modality:     'Elige una modalidad.',
+      date:         'Elige una fecha.',
+      dateRange:    'Elige una fecha entre el {from} y el {to}.',
+      slot:         'Elige un horario disponible.',
+      name:         'Indica nombre y apellido.',
+      phone:        'Indica un teléfono de contacto.',
+      phoneInvalid: 'Teléfono no válido. Usa código de área + número, p. ej.: (31) 98765-4321.',
+      email:        'Indica tu correo electrónico.',
+      emailInvalid: 'Correo electrónico no válido.',
+    },
+    summary: {
+      modality: 'Modalidad',
+      date:     'Fecha',
+      time:     'Horario',
+      coach:    'Profesor(a)',
+      name:     'Nombre',
+    },
+    ics: {
+      summary:     'Clase de prueba de {modality} — SMART ACTIVE',
+      description: 'Profesor(a): {coach}',
+    },
+  },
+
+  team: {
+    searchLabel:       'Buscar entrenador',
+    searchPlaceholder: 'Nombre, especialidad o CREF…',
+    filterLabel:       'Filtrar por especialidad',
+    all:               'Todos',
+    count: {
+      one:   '{count} entrenador en el equipo',
+      other: '{count} entrenadores en el equipo',
+    },
+    empty:             'Ningún entrenador coincide con esta búsqueda.',
+    loadError:         'No pudimos cargar el equipo ahora. Inténtalo de nuevo más tarde.',
+    profile:           'Perfil',
+    profileOf:         'Ver el perfil de {name}',
+    book:              'Reservar',
+    bookWith:          'Reservar sesión con {name}',
+    cref:              'CREF {cref}',
+    close:             'Cerrar perfil',
+    specialties:       'Especialidades',
+    availability:      'Disponibilidad',
+    social: {
+      instagram: 'Instagram de {name}',
+      youtube:   'YouTube de {name}',
+      linkedin:  'LinkedIn de {name}',
+      tiktok:    'TikTok de {name}',
+    },
+  },
+
+  booking: {
+    label:        'Sesión con entrenador personal',
+    title:        'Reservar con {name}',
+    close:        'Cerrar reserva',
+    step1:        'Modalidad y duración',
+    step2:        'Horario',
+    step3:        'Tus datos',
+    modality:     'Modalidad',
+    choose:       'Elige…',
+    duration:     'Duración',
+    minutes:      '{count} min',
+    prevWeek:     'Semana anterior',
+    nextWeek:     'Semana siguiente',
+    week:         '{from} – {to}',
+    loading:      'Cargando horarios…',
+    noSlots:      'No hay horarios libres esta semana. Prueba la siguiente.',
+    loadError:    'No fue posible cargar los horarios. Inténtalo de nuevo en unos instantes.',
+    taken:        'Ocupado',
+    name:         'Nombre completo',
+    phone:        'Celular / WhatsApp',
+    email:        'Correo electrónico',
+    submit:       'Confirmar reserva',
+    sending:      'Enviando…',
+    unavailable:  'Ese horario acaba de ser reservado. Elige otro horario.',
+    failed:       'No fue posible completar la reserva. Inténtalo de nuevo.',
+    confirmed:    '¡Sesión reservada!',
+    calendar:     'Añadir al calendario',
+    again:        'Reservar otro horario',
+    cancel:       'Cancelar reserva',
+    cancelled:    'Reserva cancelada. El horario vuelve a estar libre.',
+    cancelFailed: 'No se pudo cancelar la reserva. Inténtalo de nuevo.',
+    errors: {
+      modality:     'Elige una modalidad.',
+      slot:         'Elige un horario disponible.',
+      name:         'Indica nombre y apellido.',
+      phone:        'Indica un teléfono de contacto.',
+      phoneInvalid: 'Teléfono inválido. Usa código de área + número, ej.: (31) 98765-4321.',
+      email:        'Indica tu correo electrónico.',
+      emailInvalid: 'Correo electrónico inválido.',
+    },
+    summary: {
+      trainer:  'Entrenador',
+      modality: 'Modalidad',
+      date:     'Fecha',
+      time:     'Horario',
+      duration: 'Duración',
+      name:     'Nombre',
+    },
+    ics: {
+      summary:     'Sesión de {modality} con {name} — SMART ACTIVE',
+      description: 'Entrenador: {name} (CREF {cref}) · {duration} min',
+    },
+  },
+
+  carousel: {
+    teamLabel:       'Equipo de entrenadores personales',
+    roledescription: 'carrusel',
+    slide:           'diapositiva',
+    slideLabel:      '{n} de {total}',
+    announce:        'Tarjeta {n} de {total}',
+    goTo:            'Ir a la posición {n}',
+    prev:            'Tarjeta anterior',
+    next:            'Tarjeta siguiente',
+    dots:            'Elegir tarjeta',
+    pause:           'Pausar rotación automática',
+    play:            'Iniciar rotación automática',
+  },
+
+  space: {
+    open:      'Abrir galería a pantalla completa',
+    title:     'Galería de las instalaciones',
+    thumbs:    'Fotos de las instalaciones',
+    counter:   '{n} / {total}',
+    prev:      'Imagen anterior',
+    next:      'Imagen siguiente',
+    close:     'Cerrar galería',
+    zoomIn:    'Acercar',
+    zoomOut:   'Alejar',
+    zoomReset: 'Restablecer zoom',
+  },
+};
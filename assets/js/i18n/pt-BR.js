@@ -0,0 +1,403 @@
+/**
+ * i18n/pt-BR.js — Catálogo PT-BR (idioma padrão e fallback)
+ *
+ * Precisa espelhar o texto do HTML: é reaplicado quando o usuário volta
+ * para o português. Plurais usam as categorias do Intl.PluralRules.
+ */
+export default {
+  lang: {
+    label: 'Idioma',
+  },
+
+  nav: {
+    main:     'Navegação principal',
+    home:     'Início',
+    programs: 'Programas',
+    space:    'Espaço',
+    pricing:  'Planos',
+    about:    'Sobre',
+    cta:      'Começar Agora',
+    open:     'Abrir menu',
+    close:    'Fechar menu',
+  },
+
+  toast: {
+    theme: {
+      dark:     '🌙 Tema escuro ativado',
+      light:    '☀️ Tema claro ativado',
+      contrast: '◐ Alto contraste ativado',
+      system:   '💻 Tema do sistema ativado',
+    },
+    update:       '🔄 Nova versão disponível',
+    updateAction: 'Atualizar',
+  },
+
+  theme: {
+    toggle: 'Tema: {current}. Mudar para {next}',
+    modes: {
+      dark:     'escuro',
+      light:    'claro',
+      contrast: 'alto contraste',
+      system:   'igual ao sistema',
+    },
+  },
+
+  footer: {
+    tagline: 'Onde a transformação começa.',
+  },
+
+  newsletter: {
+    placeholder: 'Seu melhor e-mail',
+    submit:      'Inscrever-se',
+    empty:       'Por favor, insira seu e-mail 👆',
+    invalid:     'E-mail inválido. Tente novamente 📧',
+    sending:     'Enviando…',
+    success:     'Inscrição realizada com sucesso! 🎉',
+    offline:     'Você está sem conexão. Tente novamente quando o sinal voltar 📶',
+    queued:      'Sem sinal agora — sua inscrição foi salva e será enviada automaticamente 📥',
+    failed:      'Não foi possível concluir sua inscrição agora. Tente novamente em instantes 😔',
+    flushed:     'Sua inscrição pendente foi enviada! 🎉',
+  },
+
+  bmi: {
+    invalid: 'Preencha altura e peso com valores válidos 👀',
+    age:     'Informe uma idade entre {min} e {max} anos 👀',
+    classify: {
+      under:  'IMC {value} — Abaixo do peso 💪 Vamos trabalhar nisso!',
+      normal: 'IMC {value} — Peso ideal 🏆 Excelente! Continue assim!',
+      over:   'IMC {value} — Sobrepeso 📊 Podemos te ajudar a melhorar!',
+      obese:  'IMC {value} — Obesidade 🎯 Nossos programas são para você!',
+    },
+    report: {
+      bmi:             'IMC',
+      healthyWeight:   'Peso saudável',
+      healthyHint:     'IMC entre 18,5 e 24,9',
+      bmr:             'Metabolismo basal',
+      maintain:        'Manter o peso',
+      lose:            'Emagrecer',
+      gain:            'Ganhar massa',
+      bodyFat:         'Gordura corporal',
+      bodyFatHint:     'Método da Marinha dos EUA',
+      perDay:          '{value} kcal/dia',
+      missingProfile:  'Informe sexo e idade',
+      missingMeasures: 'Informe as medidas',
+      cta:             'Descubra o programa e o plano ideais para você',
+    },
+  },
+
+  pricing: {
+    billing:          'Período de cobrança',
+    promoLabel:       'Código promocional',
+    promoPlaceholder: 'Cupom promocional',
+    promoApply:       'Aplicar',
+    perMonth:         '/mês',
+    was:              '{price}/mês',
+    firstMonth:       '{price} no primeiro mês',
+    billedEvery:      '{price} cobrados a cada {months} meses',
+    save:             'Economize {percent}%',
+    subscribe:        'Assinar {plan}',
+    promo: {
+      invalid: 'Cupom inválido. Confira o código 🔎',
+      expired: 'Este cupom expirou 😔',
+      applied: 'Cupom {code} aplicado — {label} 🎉',
+    },
+    compare: {
+      show:        'Comparar planos',
+      hide:        'Ocultar comparação',
+      title:       'O que cada plano inclui',
+      diffOnly:    'Mostrar apenas diferenças',
+      caption:     'Comparação de recursos entre os planos {plans}',
+      features:    'Recursos',
+      included:    'Incluído',
+      notIncluded: 'Não incluído',
+    },
+  },
+
+  history: {
+    title:      'Sua evolução',
+    save:       'Salvar no histórico',
+    import:     'Importar',
+    empty:      'Nenhum cálculo salvo ainda.',
+    chartEmpty: 'Salve pelo menos dois cálculos para ver sua evolução.',
+    chartTitle: 'Evolução de peso e IMC: {count} registros de {from} a {to}',
+    weight:     'Peso ({unit})',
+    bmi:        'IMC',
+    bmiValue:   'IMC {value}',
+    bodyFat:    '{value}% gordura',
+    delete:     'Excluir registro de {date}',
+    saved:      'Cálculo salvo no histórico ✅',
+    imported: {
+      one:   '{count} registro importado ✅',
+      other: '{count} registros importados ✅',
+    },
+    invalid:    'Arquivo inválido. Use um JSON ou CSV exportado daqui 📄',
+  },
+
+  wizard: {
+    back:        'Voltar',
+    next:        'Próximo',
+    finish:      'Ver recomendação',
+    progress:    'Passo {step} de {total}',
+    done:        'Concluído',
+    resultLabel: 'Nossa recomendação',
+    plan:        'plano',
+    hint:        '{link} para uma recomendação ainda mais precisa.',
+    hintLink:    'Calcule seu IMC',
+    viewProgram: 'Ver programa',
+    viewPlan:    'Ver plano',
+    restart:     'Refazer',
+  },
+
+  topics: {
+    skip:              'Pular para o conteúdo principal',
+    back:              'Voltar à página inicial SMART - ACTIVE',
+    openMenu:          'Abrir menu de navegação',
+    label:             'Conteúdo Principal',
+    title:             'TÓPICOS EM DESTAQUE',
+    filterBar:         'Filtrar modalidades por categoria',
+    searchLabel:       'Buscar modalidades',
+    searchPlaceholder: 'Buscar por nome, objetivo ou benefício…',
+    sortLabel:         'Ordenar por',
+    empty:             'Nenhuma modalidade encontrada para esse filtro.',
+    count: {
+      one:   '{count} modalidade disponível',
+      other: '{count} modalidades disponíveis',
+    },
+  },
+
+  filter: {
+    all:    'Todas',
+    blue:   'Força',
+    teal:   'Cardio',
+    amber:  'Personal Training',
+    red:    'Pilates',
+    orange: 'CrossFit',
+    purple: 'Bodybuilding',
+    green:  'Box',
+  },
+
+  sort: {
+    default:       'Ordem padrão',
+    intensityDesc: 'Mais intensas',
+    intensityAsc:  'Menos intensas',
+    durationAsc:   'Mais curtas',
+    caloriesDesc:  'Mais calorias',
+    beginnerDesc:  'Melhores para iniciantes',
+  },
+
+  detail: {
+    close: 'Fechar detalhes',
+  },
+
+  compare: {
+    toggle:    'Comparar',
+    tray:      'Modalidades para comparar',
+    count:     '{count} de {max} selecionadas',
+    remove:    'Remover {name} da comparação',
+    limit:     'Você pode comparar até {max} modalidades.',
+    open:      'Comparar',
+    clear:     'Limpar',
+    title:     'Comparação de modalidades',
+    close:     'Fechar comparação',
+    explore:   'Explorar',
+    intensity: '{label} ({value}/5)',
+    minutes:   '{value} min',
+    kcal:      '~{value} kcal',
+    levels: {
+      1: 'Exige experiência',
+      2: 'Iniciantes com adaptação',
+      3: 'Ideal para iniciantes',
+    },
+    rows: {
+      intensity: 'Intensidade',
+      duration:  'Duração',
+      calories:  'Gasto calórico',
+      level:     'Nível',
+      benefits:  'Benefícios',
+      stats:     'Em números',
+    },
+  },
+
+  schedule: {
+    label:      'Agenda Semanal',
+    title:      'GRADE DE AULAS',
+    mine:       'Minhas aulas',
+    export:     'Exportar .ics',
+    filterBar:  'Filtrar grade por modalidade',
+    loading:    'Carregando horários…',
+    noteBefore: 'Horários de Brasília (America/Sao_Paulo). Marque',
+    noteAfter:  'para montar sua agenda e exporte para o calendário do celular.',
+    now:        'Agora',
+    next:       'Próxima',
+    today:      'Hoje',
+    empty:      'Sem aulas',
+    star: {
+      add:    'Adicionar {name} de {day} às {time} a minhas aulas',
+      remove: 'Remover {name} de {day} às {time} de minhas aulas',
+    },
+    ics: {
+      name:        'SMART ACTIVE — Minhas aulas',
+      description: 'Professor(a): {coach}\nSala: {room}',
+    },
+  },
+
+  trial: {
+    label:     'Primeira Aula Grátis',
+    title:     'AGENDE SUA AULA EXPERIMENTAL',
+    step1:     'Modalidade e data',
+    step2:     'Horário',
+    step3:     'Seus dados',
+    modality:  'Modalidade',
+    choose:    'Escolha…',
+    date:      'Data',
+    name:      'Nome completo',
+    phone:     'Celular / WhatsApp',
+    email:     'E-mail',
+    submit:    'Confirmar agendamento',
+    hint:      'Escolha a modalidade e a data para ver os horários.',
+    loading:   'Carregando horários…',
+    noSlots:   'Sem aulas dessa modalidade nesse dia. Tente outra data.',
+    loadError: 'Não foi possível carregar os horários. Tente novamente em instantes.',
+    full:      'Lotado',
+    remaining: {
+      one:   '{count} vaga',
+      other: '{count} vagas',
+    },
+    sending:     'Enviando…',
+    unavailable: 'Este horário não está mais disponível. Escolha outro horário.',
+    failed:      'Não foi possível concluir o agendamento. Tente novamente.',
+    confirmed:   'Aula agendada!',
+    calendar:    'Adicionar ao calendário',
+    again:       'Agendar outra aula',
+    errors: {
+      modality:     'Escolha uma modalidade.',
+      date:         'Escolha uma data.',
+      dateRange:    'Escolha uma data entre {from} e {to}.',
+      slot:         'Escolha um horário disponível.',
+      name:         'Informe nome e sobrenome.',
+      phone:        'Informe um telefone para contato.',
+      phoneInvalid: 'Telefone inválido. Use DDD + número, ex.: (31) 98765-4321.',
+      email:        'Informe seu e-mail.',
+      emailInvalid: 'E-mail inválido.',
+    },
+    summary: {
+      modality: 'Modalidade',
+      date:     'Data',
+      time:     'Horário',
+      coach:    'Professor(a)',
+      name:     'Nome',
+    },
+    ics: {
+      summary:     'Aula experimental de {modality} — SMART ACTIVE',
+      description: 'Professor(a): {coach}',
+    },
+  },
+
+  team: {
+    searchLabel:       'Buscar personal',
+    searchPlaceholder: 'Nome, especialidade ou CREF…',
+    filterLabel:       'Filtrar por especialidade',
+    all:               'Todos',
+    count: {
+      one:   '{count} personal na equipe',
+      other: '{count} personais na equipe',
+    },
+    empty:             'Nenhum personal encontrado para essa busca.',
+    loadError:         'Não foi possível carregar a equipe agora. Tente novamente mais tarde.',
+    profile:           'Perfil',
+    profileOf:         'Ver perfil de {name}',
+    book:              'Agendar',
+    bookWith:          'Agendar sessão com {name}',
+    cref:              'CREF {cref}',
+    close:             'Fechar perfil',
+    specialties:       'Especialidades',
+    availability:      'Disponibilidade',
+    social: {
+      instagram: 'Instagram de {name}',
+      youtube:   'YouTube de {name}',
+      linkedin:  'LinkedIn de {name}',
+      tiktok:    'TikTok de {name}',
+    },
+  },
+
+  booking: {
+    label:        'Sessão com personal',
+    title:        'Agendar com {name}',
+    close:        'Fechar agendamento',
+    step1:        'Modalidade e duração',
+    step2:        'Horário',
+    step3:        'Seus dados',
+    modality:     'Modalidade',
+    choose:       'Escolha…',
+    duration:     'Duração',
+    minutes:      '{count} min',
+    prevWeek:     'Semana anterior',
+    nextWeek:     'Próxima semana',
+    week:         '{from} – {to}',
+    loading:      'Carregando horários…',
+    noSlots:      'Sem horários livres nesta semana. Tente a próxima.',
+    loadError:    'Não foi possível carregar os horários. Tente novamente em instantes.',
+    taken:        'Ocupado',
+    name:         'Nome completo',
+    phone:        'Celular / WhatsApp',
+    email:        'E-mail',
+    submit:       'Confirmar agendamento',
+    sending:      'Enviando…',
+    unavailable:  'Esse horário acabou de ser reservado. Escolha outro horário.',
+    failed:       'Não foi possível concluir o agendamento. Tente novamente.',
+    confirmed:    'Sessão agendada!',
+    calendar:     'Adicionar ao calendário',
+    again:        'Agendar outro horário',
+    cancel:       'Cancelar agendamento',
+    cancelled:    'Agendamento cancelado. O horário voltou a ficar livre.',
+    cancelFailed: 'Não foi possível cancelar o agendamento. Tente novamente.',
+    errors: {
+      modality:     'Escolha uma modalidade.',
+      slot:         'Escolha um horário disponível.',
+      name:         'Informe nome e sobrenome.',
+      phone:        'Informe um telefone para contato.',
+      phoneInvalid: 'Telefone inválido. Use DDD + número, ex.: (31) 98765-4321.',
+      email:        'Informe seu e-mail.',
+      emailInvalid: 'E-mail inválido.',
+    },
+    summary: {
+      trainer:  'Personal',
+      modality: 'Modalidade',
+      date:     'Data',
+      time:     'Horário',
+      duration: 'Duração',
+      name:     'Nome',
+    },
+    ics: {
+      summary:     'Sessão de {modality} com {name} — SMART ACTIVE',
+      description: 'Personal: {name} (CREF {cref}) · {duration} min',
+    },
+  },
+
+  carousel: {
+    teamLabel:       'Equipe de personal trainers',
+    roledescription: 'carrossel',
+    slide:           'slide',
+    slideLabel:      '{n} de {total}',
+    announce:        'Card {n} de {total}',
+    goTo:            'Ir para posição {n}',
+    prev:            'Card anterior',
+    next:            'Próximo card',
+    dots:            'Escolher card',
+    pause:           'Pausar rotação automática',
+    play:            'Iniciar rotação automática',
+  },
+
+  space: {
+    open:      'Abrir galeria em tela cheia',
+    title:     'Galeria do espaço',
+    thumbs:    'Fotos do espaço',
+    counter:   '{n} / {total}',
+    prev:      'Imagem anterior',
+    next:      'Próxima imagem',
+    close:     'Fechar galeria',
+    zoomIn:    'Aumentar zoom',
+    zoomOut:   'Diminuir zoom',
+    zoomReset: 'Restaurar zoom',
+  },
+};
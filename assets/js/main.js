@@ -3,75 +3,32 @@
  * Architecture: Module pattern, event delegation, clean separation of concerns
  */
 
-/* ═══════════════════════════════════════════════════════
-   UTILS
-   ═══════════════════════════════════════════════════════ */
-const $ = (sel, ctx = document) => ctx.querySelector(sel);
-const $$ = (sel, ctx = document) => [...ctx.querySelectorAll(sel)];
-
-const debounce = (fn, ms = 100) => {
-  let timer;
-  return (...args) => {
-    clearTimeout(timer);
-    timer = setTimeout(() => fn(...args), ms);
-  };
-};
-
-/* ═══════════════════════════════════════════════════════
-   NAV MODULE
-   ═══════════════════════════════════════════════════════ */
-const Nav = (() => {
-  const header  = $('#header');
-  const menu    = $('#nav-menu');
-  const toggle  = $('#nav-toggle');
-  const close   = $('#nav-close');
-  const links   = $$('.nav__link');
-  const sections = $$('section[id]');
-
-  const openMenu  = () => { menu?.classList.add('show-menu'); toggle?.setAttribute('aria-expanded', 'true'); };
-  const closeMenu = () => { menu?.classList.remove('show-menu'); toggle?.setAttribute('aria-expanded', 'false'); };
-
-  const onScroll = () => {
-    const y = window.scrollY;
-
-    // Header background
-    header?.classList.toggle('bg-header', y >= 60);
-
-    // Active link
-    sections.forEach(sec => {
-      const top    = sec.offsetTop - 80;
-      const bottom = top + sec.offsetHeight;
-      const link   = $(`.nav__link[href="#${sec.id}"]`);
-      link?.classList.toggle('active-link', y >= top && y < bottom);
-    });
-
-    // Scroll-up button
-    $('#scroll-up')?.classList.toggle('show-scroll', y >= 400);
-  };
-
-  const init = () => {
-    toggle?.addEventListener('click', openMenu);
-    close?.addEventListener('click', closeMenu);
-    links.forEach(l => l.addEventListener('click', closeMenu));
-
-    // Close on outside click (mobile)
-    document.addEventListener('click', e => {
-      if (menu?.classList.contains('show-menu') && !menu.contains(e.target) && !toggle?.contains(e.target)) {
-        closeMenu();
-      }
-    });
-
-    window.addEventListener('scroll', debounce(onScroll, 8), { passive: true });
-    onScroll(); // run once on load
-  };
-
-  return { init };
-})();
+import {
+  $, $$, debounce, escapeHTML, fetchJSON, downloadFile,
+  isValidEmail, createSubmitter, bindSubmission, createOutbox,
+  ToastModule, registerServiceWorker, Nav, I18n, t, localize, Theme, createDialog, createHistoryEntry,
+} from './core/index.js';
+import { SITE_CONFIG } from './config.js';
 
 /* ═══════════════════════════════════════════════════════
    SPACE GALLERY MODULE
+   Banner + thumbnail strip, plus a fullscreen lightbox opened
+   from the banner: wheel / pinch / double-click zoom with pan,
+   captions from assets/data/space.json, neighbour preloading
+   and an "n / total" counter. #space-<n> opens the lightbox at
+   image n; back/forward open and close it.
+   The thumbnail strip is a listbox with a roving tabindex: only
+   the active thumb is tabbable, and arrows / Home / End move the
+   selection (and focus) only while the strip has focus.
    ═══════════════════════════════════════════════════════ */
 const SpaceGallery = (() => {
+  const DATA_URL   = 'assets/data/space.json';
+  const HASH       = /^#space-(\d+)$/;
+  const MAX_ZOOM   = 4;
+  const ZOOM_STEP  = 1.5;
+  const WHEEL_RATE = 0.0015;
+  const entry      = createHistoryEntry('spaceLightbox');
+
   let current = 0;
 
   const init = () => {
@@ -80,16 +37,29 @@ const SpaceGallery = (() => {
     const viewport= $('#space-viewport');
     const btnPrev = $('#space-prev');
     const btnNext = $('#space-next');
+    const btnOpen = $('#space-open');
+
+    const lightbox = $('#space-lightbox');
+    const stage    = $('#space-lightbox-stage');
+    const caption  = $('#space-lightbox-caption');
+    const counter  = $('#space-lightbox-counter');
 
     if (!banner || !track) return;
 
     const thumbs = $$('.space__thumb', track);
     if (!thumbs.length) return;
 
+    track.setAttribute('role', 'listbox');
+    track.setAttribute('aria-orientation', 'horizontal');
+    thumbs.forEach(thumb => thumb.setAttribute('role', 'option'));
+
     // Determine initial active
     const initActive = thumbs.findIndex(t => t.classList.contains('space__thumb--active'));
     current = initActive >= 0 ? initActive : 0;
 
+    /** Entries of space.json by index (empty until loaded; captions are optional). */
+    let images = [];
+
     /* ── helpers ── */
 
     const thumbSize = () => {
@@ -135,17 +105,172 @@ const SpaceGallery = (() => {
       }, 200);
     };
 
+    const wrap = (index) => ((index % thumbs.length) + thumbs.length) % thumbs.length;
+
+    /** Full-size image of a thumb: space.json when loaded, otherwise the thumb itself. */
+    const imageAt = (index) => {
+      const img = thumbs[index].querySelector('img');
+      return {
+        src:     images[index]?.src ?? img?.src ?? '',
+        alt:     images[index]?.alt ?? img?.alt ?? '',
+        caption: images[index]?.caption ?? '',
+      };
+    };
+
+    /* ── lightbox ── */
+
+    let dialog = null;
+    let photo  = null;
+    const zoom = { scale: 1, x: 0, y: 0 };
+    const preloaded = new Set();
+
+    const urlFor = (index) => {
+      const url = new URL(location.href);
+      url.hash = index == null ? '' : `space-${index + 1}`;
+      return url;
+    };
+
+    const preload = (index) => {
+      const { src } = imageAt(wrap(index));
+      if (!src || preloaded.has(src)) return;
+      preloaded.add(src);
+      new Image().src = src;
+    };
+
+    /** Keeps the zoomed image covering the stage: no panning past its edges. */
+    const applyZoom = () => {
+      zoom.scale = Math.min(MAX_ZOOM, Math.max(1, zoom.scale));
+      const maxX = Math.max(0, (photo.offsetWidth * zoom.scale - stage.clientWidth) / 2);
+      const maxY = Math.max(0, (photo.offsetHeight * zoom.scale - stage.clientHeight) / 2);
+      if (zoom.scale === 1) zoom.x = zoom.y = 0;
+      zoom.x = Math.min(maxX, Math.max(-maxX, zoom.x));
+      zoom.y = Math.min(maxY, Math.max(-maxY, zoom.y));
+
+      photo.style.transform = `translate(${zoom.x}px, ${zoom.y}px) scale(${zoom.scale})`;
+      stage.classList.toggle('is-zoomed', zoom.scale > 1);
+      $$('[data-zoom]', lightbox).forEach(btn => {
+        const action = btn.dataset.zoom;
+        btn.disabled = action === 'in' ? zoom.scale >= MAX_ZOOM : zoom.scale <= 1;
+      });
+    };
+
+    /**
+     * Zooms keeping the point under (clientX, clientY) still; defaults to the stage centre.
+     * @param {number} scale
+     */
+    const zoomAt = (scale, clientX, clientY) => {
+      const rect = stage.getBoundingClientRect();
+      const px = (clientX ?? rect.left + rect.width / 2) - (rect.left + rect.width / 2);
+      const py = (clientY ?? rect.top + rect.height / 2) - (rect.top + rect.height / 2);
+      const next = Math.min(MAX_ZOOM, Math.max(1, scale));
+      const ratio = next / zoom.scale;
+
+      zoom.x = px - (px - zoom.x) * ratio;
+      zoom.y = py - (py - zoom.y) * ratio;
+      zoom.scale = next;
+      applyZoom();
+    };
+
+    const resetZoom = () => {
+      zoom.scale = 1;
+      applyZoom();
+    };
+
+    const showInLightbox = () => {
+      const { src, alt, caption: text } = imageAt(current);
+      photo.src = src;
+      photo.alt = alt;
+      caption.textContent = text || alt;
+      counter.textContent = t('space.counter', { n: current + 1, total: thumbs.length });
+      resetZoom();
+      preload(current + 1);
+      preload(current - 1);
+    };
+
+    /**
+     * @param {{ push?: boolean, opener?: HTMLElement|null }} [options]
+     *        push: creates a history entry (false when restoring from the URL)
+     */
+    const openLightbox = ({ push = true, opener = document.activeElement } = {}) => {
+      if (!dialog || dialog.isOpen) return;
+      lightbox.hidden = false;
+      showInLightbox();
+      dialog.open({ opener: opener ?? btnOpen });
+      if (push) entry.push(urlFor(current));
+    };
+
+    /**
+     * @param {{ updateUrl?: boolean }} [options]
+     *        updateUrl: drops #space-<n> (false when the URL already changed, on back/forward)
+     */
+    const closeLightbox = ({ updateUrl = true } = {}) => {
+      if (!dialog?.isOpen) return;
+      dialog.close();
+      lightbox.hidden = true;
+      if (updateUrl) entry.leave(urlFor(null));
+    };
+
+    /* ── navigation ── */
+
     const goTo = (index) => {
       const total = thumbs.length;
       current = ((index % total) + total) % total;
 
-      thumbs.forEach(t => t.classList.remove('space__thumb--active'));
-      thumbs[current].classList.add('space__thumb--active');
+      thumbs.forEach((thumb, i) => {
+        const active = i === current;
+        thumb.classList.toggle('space__thumb--active', active);
+        thumb.setAttribute('aria-selected', String(active));
+        thumb.tabIndex = active ? 0 : -1;
+      });
+
+      // Focus follows the selection while the user is in the strip
+      if (track.contains(document.activeElement)) thumbs[current].focus({ preventScroll: true });
 
       const img = thumbs[current].querySelector('img');
       if (img) swapBanner(img.src, img.alt);
 
       ensureVisible(current);
+
+      // Browsing inside the lightbox updates the deep link without new history entries
+      if (dialog?.isOpen) {
+        showInLightbox();
+        history.replaceState(history.state, '', urlFor(current));
+      }
+    };
+
+    /** Applies #space-<n> from the URL (first load and back/forward). */
+    const restore = () => {
+      const match = HASH.exec(location.hash);
+      if (!match) return closeLightbox({ updateUrl: false });
+
+      const n = Number(match[1]);
+      if (n < 1 || n > thumbs.length) {
+        // Stale or mistyped link: drop it without a new history entry
+        history.replaceState(history.state, '', urlFor(null));
+        return closeLightbox({ updateUrl: false });
+      }
+      if (dialog?.isOpen && current === n - 1) return;
+      goTo(n - 1);
+      openLightbox({ push: false, opener: null });
+    };
+
+    /** Horizontal swipe → previous/next image (the banner and the lightbox stage share it). */
+    const addSwipe = (el, enabled = () => true) => {
+      let touchStartX = 0;
+      let tracking = false;
+      el.addEventListener('touchstart', e => {
+        tracking = e.touches.length === 1 && enabled();
+        touchStartX = e.changedTouches[0].clientX;
+      }, { passive: true });
+      el.addEventListener('touchmove', e => {
+        if (e.touches.length > 1) tracking = false; // pinch, not swipe
+      }, { passive: true });
+      el.addEventListener('touchend', e => {
+        if (!tracking) return;
+        tracking = false;
+        const dx = e.changedTouches[0].clientX - touchStartX;
+        if (Math.abs(dx) > 40) goTo(dx < 0 ? current + 1 : current - 1);
+      }, { passive: true });
     };
 
     /* ── events ── */
@@ -156,77 +281,784 @@ const SpaceGallery = (() => {
       thumb.addEventListener('click', () => goTo(i));
     });
 
-    let touchStartX = 0;
-    banner.parentElement?.addEventListener('touchstart', e => {
-      touchStartX = e.changedTouches[0].clientX;
-    }, { passive: true });
-    banner.parentElement?.addEventListener('touchend', e => {
-      const dx = e.changedTouches[0].clientX - touchStartX;
-      if (Math.abs(dx) > 40) goTo(dx < 0 ? current + 1 : current - 1);
-    }, { passive: true });
+    addSwipe(banner.parentElement ?? banner);
 
     window.addEventListener('resize', debounce(() => {
       moveTrack(trackOffset);
       ensureVisible(current);
+      if (dialog?.isOpen) applyZoom();
     }, 150));
 
-    // Keyboard navigation
-    document.addEventListener('keydown', e => {
-      if (e.key === 'ArrowLeft' || e.key === 'ArrowUp')  goTo(current - 1);
-      if (e.key === 'ArrowRight' || e.key === 'ArrowDown') goTo(current + 1);
+    // Keyboard navigation — scoped to the strip so the page keeps its arrow-key scrolling
+    track.addEventListener('keydown', e => {
+      const actions = {
+        ArrowLeft:  () => current - 1,
+        ArrowUp:    () => current - 1,
+        ArrowRight: () => current + 1,
+        ArrowDown:  () => current + 1,
+        Home:       () => 0,
+        End:        () => thumbs.length - 1,
+      };
+      const action = actions[e.key];
+      if (!action) return;
+      e.preventDefault();
+      goTo(action());
     });
 
+    if (lightbox && stage && caption && counter) {
+      photo = Object.assign(document.createElement('img'), { className: 'lightbox__img', draggable: false });
+      stage.append(photo);
+
+      // Closed by the user (Escape, close button, backdrop): the deep link goes too
+      dialog = createDialog(lightbox, {
+        onClose: () => {
+          lightbox.hidden = true;
+          entry.leave(urlFor(null));
+        },
+      });
+
+      btnOpen?.addEventListener('click', () => openLightbox({ opener: btnOpen }));
+      banner.addEventListener('click', () => openLightbox({ opener: btnOpen }));
+      $('#space-lightbox-prev')?.addEventListener('click', () => goTo(current - 1));
+      $('#space-lightbox-next')?.addEventListener('click', () => goTo(current + 1));
+
+      lightbox.addEventListener('click', e => {
+        const action = e.target.closest('[data-zoom]')?.dataset.zoom;
+        if (action === 'in')    zoomAt(zoom.scale * ZOOM_STEP);
+        if (action === 'out')   zoomAt(zoom.scale / ZOOM_STEP);
+        if (action === 'reset') resetZoom();
+      });
+
+      // Arrows browse, +/- zoom
+      lightbox.addEventListener('keydown', e => {
+        if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+          e.preventDefault();
+          goTo(current + (e.key === 'ArrowRight' ? 1 : -1));
+        } else if (e.key === '+' || e.key === '=') {
+          zoomAt(zoom.scale * ZOOM_STEP);
+        } else if (e.key === '-') {
+          zoomAt(zoom.scale / ZOOM_STEP);
+        } else if (e.key === '0') {
+          resetZoom();
+        }
+      });
+
+      // Empty space around the image counts as backdrop
+      stage.addEventListener('click', e => {
+        if (e.target === stage) closeLightbox();
+      });
+
+      stage.addEventListener('wheel', e => {
+        e.preventDefault();
+        zoomAt(zoom.scale * Math.exp(-e.deltaY * WHEEL_RATE), e.clientX, e.clientY);
+      }, { passive: false });
+
+      stage.addEventListener('dblclick', e => {
+        if (zoom.scale > 1) resetZoom();
+        else zoomAt(2, e.clientX, e.clientY);
+      });
+
+      // Pointers: one drags the zoomed image, two pinch
+      const pointers = new Map();
+      let pinch = null;
+
+      stage.addEventListener('pointerdown', e => {
+        pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        stage.setPointerCapture?.(e.pointerId);
+        if (pointers.size === 2) {
+          const [a, b] = [...pointers.values()];
+          pinch = { distance: Math.hypot(a.x - b.x, a.y - b.y) || 1, scale: zoom.scale };
+        }
+      });
+
+      stage.addEventListener('pointermove', e => {
+        const last = pointers.get(e.pointerId);
+        if (!last) return;
+        const point = { x: e.clientX, y: e.clientY };
+        pointers.set(e.pointerId, point);
+
+        if (pinch && pointers.size === 2) {
+          const [a, b] = [...pointers.values()];
+          zoomAt(pinch.scale * Math.hypot(a.x - b.x, a.y - b.y) / pinch.distance, (a.x + b.x) / 2, (a.y + b.y) / 2);
+        } else if (pointers.size === 1 && zoom.scale > 1) {
+          zoom.x += point.x - last.x;
+          zoom.y += point.y - last.y;
+          applyZoom();
+        }
+      });
+
+      const release = (e) => {
+        pointers.delete(e.pointerId);
+        if (pointers.size < 2) pinch = null;
+      };
+      stage.addEventListener('pointerup', release);
+      stage.addEventListener('pointercancel', release);
+
+      addSwipe(stage, () => zoom.scale === 1);
+
+      window.addEventListener('popstate', restore);
+      window.addEventListener('hashchange', restore);
+
+      document.addEventListener('i18n:changed', () => {
+        if (dialog.isOpen) counter.textContent = t('space.counter', { n: current + 1, total: thumbs.length });
+      });
+    }
+
+    // Captions and descriptive alt text; the gallery works without them
+    fetchJSON(DATA_URL)
+      .then(data => {
+        images = data.images ?? [];
+        thumbs.forEach((thumb, i) => {
+          if (!images[i]?.alt) return;
+          thumb.setAttribute('aria-label', images[i].alt);
+          thumb.querySelector('img')?.setAttribute('alt', images[i].alt);
+        });
+        if (dialog?.isOpen) showInLightbox();
+      })
+      .catch(() => {});
+
     goTo(current);
+    restore();
   };
 
   return { init };
 })();
 
+/* ═══════════════════════════════════════════════════════
+   PRICING MODULE
+   Renders the plan cards from assets/data/plans.json, with a
+   billing-period toggle and promo codes. The static cards in
+   index.html stay as the no-JS fallback. Prices are formatted
+   with I18n.formatCurrency and re-rendered on 'i18n:changed'.
+   ═══════════════════════════════════════════════════════ */
+const Pricing = (() => {
+  const CATALOG_URL = 'assets/data/plans.json';
+
+  const grid     = $('.pricing__grid');
+  const controls = $('#pricing-controls');
+  const billing  = $('#pricing-billing');
+  const promoForm  = $('#pricing-promo');
+  const promoInput = $('#pricing-promo-code');
+  const promoMsg   = $('#pricing-promo-message');
+
+  let catalog = null;
+  let period  = null;
+  let promo   = null;
+
+  /* ── pricing math ── */
+
+  const round2 = (n) => Math.round(n * 100) / 100;
+
+  /** Whole amounts without cents ("R$ 129"), otherwise two decimals. */
+  const amountOptions = (value) => {
+    const digits = Number.isInteger(value) ? 0 : 2;
+    return { minimumFractionDigits: digits, maximumFractionDigits: digits };
+  };
+
+  /** Price with currency in the active language, e.g. "R$ 129" / "R$129" / "129 R$". */
+  const formatAmount = (n) => {
+    const value = round2(n);
+    return I18n.formatCurrency(value, amountOptions(value));
+  };
+
+  /**
+   * Card price markup: the number in <strong> and the currency symbol in
+   * .pricing__currency, on whichever side the language puts it.
+   */
+  const amountHTML = (n) => {
+    const value  = round2(n);
+    const number = I18n.formatNumber(value, amountOptions(value));
+    const [before = '', after = ''] = formatAmount(value).split(number).map(part => part.trim());
+    return [
+      before && `<span class="pricing__currency">${escapeHTML(before)}</span>`,
+      `<strong>${number}</strong>`,
+      after && `<span class="pricing__currency">${escapeHTML(after)}</span>`,
+    ].filter(Boolean).join('');
+  };
+
+  const isExpired = (code, now = new Date()) =>
+    !!code.expires && now > new Date(`${code.expires}T23:59:59`);
+
+  const promoApplies = (code, plan, per) =>
+    !!code &&
+    (!code.plans || code.plans.includes(plan.id)) &&
+    (!code.periods || code.periods.includes(per.id));
+
+  /**
+   * Price of a plan for a billing period, with an optional promo code.
+   * `savings` is the percentage saved against paying the monthly price every month.
+   */
+  const quote = (plan, per, code = null) => {
+    const full  = plan.monthly * per.months;
+    const off   = promoApplies(code, plan, per) ? code.percent / 100 : 0;
+    const total = round2(full * (1 - per.discount) * (1 - off));
+    return {
+      monthly: round2(total / per.months),
+      total,
+      full,
+      savings: Math.round((1 - total / full) * 100),
+      promoApplied: off > 0,
+    };
+  };
+
+  /* ── rendering ── */
+
+  const featureItem = ({ label, included }) => included
+    ? `<li><i class="ri-check-line"></i> ${escapeHTML(localize(label))}</li>`
+    : `<li><i class="ri-close-line pricing__list-no"></i> ${escapeHTML(localize(label))}</li>`;
+
+  const cardTemplate = (plan) => {
+    const variant = plan.variant ? ` pricing__card--${plan.variant}` : '';
+    const iconVariant = plan.variant ? ` pricing__card-icon--${plan.variant}` : '';
+    return `
+      <article class="pricing__card${variant}" data-plan="${escapeHTML(plan.id)}">
+        ${plan.badge ? `<div class="pricing__featured-badge">${escapeHTML(localize(plan.badge))}</div>` : ''}
+        <div class="pricing__card-icon${iconVariant}">
+          <img src="${escapeHTML(plan.icon)}" alt="">
+        </div>
+        <div class="pricing__tier">${escapeHTML(plan.name)}</div>
+        <div class="pricing__price-wrap">
+          <del class="pricing__old" hidden></del>
+          <div class="pricing__price">
+            ${amountHTML(plan.monthly)}
+            <span class="pricing__period">${escapeHTML(t('pricing.perMonth'))}</span>
+          </div>
+          <p class="pricing__billed" hidden></p>
+          <span class="pricing__savings" hidden></span>
+        </div>
+        <p class="pricing__tagline">${escapeHTML(localize(plan.tagline))}</p>
+        <ul class="pricing__list">
+          ${plan.features.map(featureItem).join('')}
+        </ul>
+        <a href="#footer" class="button button--${escapeHTML(plan.button)}">${escapeHTML(t('pricing.subscribe', { plan: plan.name }))}</a>
+      </article>`;
+  };
+
+  const billingTemplate = (per) => {
+    const saving = Math.round(per.discount * 100);
+    return `
+      <button type="button" class="pricing__billing-btn" data-period="${escapeHTML(per.id)}" aria-pressed="false">
+        ${escapeHTML(localize(per.label))}${saving ? ` <span class="pricing__billing-save">−${saving}%</span>` : ''}
+      </button>`;
+  };
+
+  /** Updates every card's price block for the current period and promo. */
+  const updatePrices = () => {
+    catalog.plans.forEach(plan => {
+      const card = $(`.pricing__card[data-plan="${plan.id}"]`, grid);
+      if (!card) return;
+
+      const q = quote(plan, period, promo);
+      const old     = $('.pricing__old', card);
+      const billed  = $('.pricing__billed', card);
+      const savings = $('.pricing__savings', card);
+
+      $$('.pricing__currency, strong', $('.pricing__price', card)).forEach(el => el.remove());
+      $('.pricing__price', card).insertAdjacentHTML('afterbegin', amountHTML(q.monthly));
+
+      old.hidden = q.monthly === plan.monthly;
+      old.textContent = t('pricing.was', { price: formatAmount(plan.monthly) });
+
+      billed.hidden = period.months === 1 && !q.promoApplied;
+      billed.textContent = period.months === 1
+        ? t('pricing.firstMonth', { price: formatAmount(q.total) })
+        : t('pricing.billedEvery', { price: formatAmount(q.total), months: period.months });
+
+      savings.hidden = q.savings <= 0;
+      savings.textContent = t('pricing.save', { percent: q.savings });
+    });
+
+    // Other modules (PlanCompare) follow price changes without a direct reference
+    document.dispatchEvent(new CustomEvent('pricing:changed', {
+      detail: { catalog, period, promo },
+    }));
+  };
+
+  const setPeriod = (id) => {
+    period = catalog.periods.find(p => p.id === id) ?? catalog.periods[0];
+    $$('.pricing__billing-btn', billing).forEach(btn => {
+      const isActive = btn.dataset.period === period.id;
+      btn.classList.toggle('is-active', isActive);
+      btn.setAttribute('aria-pressed', String(isActive));
+    });
+    updatePrices();
+  };
+
+  /* ── promo codes ── */
+
+  /** Last promo message as a catalog key, so it can be re-translated. */
+  let promoStatus = null;
+
+  /** Params may carry { pt, en, es } texts from the catalog (the promo label). */
+  const showPromoMessage = (key, params = {}, type = 'success') => {
+    promoStatus = key ? { key, params, type } : null;
+    if (!promoMsg) return;
+    const localized = Object.fromEntries(Object.entries(params).map(([name, value]) => [name, localize(value)]));
+    promoMsg.textContent = key ? t(key, localized) : '';
+    promoMsg.className = `pricing__promo-message ${type === 'success' ? 'color-green' : 'color-red'}`;
+  };
+
+  const onPromoSubmit = (e) => {
+    e.preventDefault();
+    const value = promoInput?.value.trim().toUpperCase() ?? '';
+
+    if (!value) {
+      promo = null;
+      showPromoMessage(null);
+      updatePrices();
+      return;
+    }
+
+    const code = catalog.promoCodes?.find(c => c.code.toUpperCase() === value);
+    if (!code || isExpired(code)) {
+      promo = null;
+      updatePrices();
+      showPromoMessage(code ? 'pricing.promo.expired' : 'pricing.promo.invalid', {}, 'error');
+      return;
+    }
+
+    promo = code;
+    showPromoMessage('pricing.promo.applied', { code: code.code, label: code.label });
+    updatePrices();
+  };
+
+  /* ── init ── */
+
+  const init = async () => {
+    if (!grid) return;
+
+    try {
+      catalog = await fetchJSON(CATALOG_URL);
+    } catch {
+      // Keep the static cards from the HTML
+      return;
+    }
+
+    grid.innerHTML = catalog.plans.map(cardTemplate).join('');
+
+    if (billing) {
+      billing.innerHTML = catalog.periods.map(billingTemplate).join('');
+      billing.addEventListener('click', e => {
+        const btn = e.target.closest('.pricing__billing-btn');
+        if (btn) setPeriod(btn.dataset.period);
+      });
+    }
+    promoForm?.addEventListener('submit', onPromoSubmit);
+    if (controls) controls.hidden = false;
+
+    // Rebuilt rather than patched: every label and price on the card is language-dependent
+    document.addEventListener('i18n:changed', () => {
+      const recommended = $$('.pricing__card.is-recommended', grid).map(card => card.dataset.plan);
+      grid.innerHTML = catalog.plans.map(cardTemplate).join('');
+      recommended.forEach(id => $(`.pricing__card[data-plan="${id}"]`, grid)?.classList.add('is-recommended'));
+      if (billing) billing.innerHTML = catalog.periods.map(billingTemplate).join('');
+      if (promoStatus) showPromoMessage(promoStatus.key, promoStatus.params, promoStatus.type);
+      setPeriod(period.id);
+    });
+
+    setPeriod(catalog.defaultPeriod);
+  };
+
+  return { init, quote, formatAmount };
+})();
+
+/* ═══════════════════════════════════════════════════════
+   PLAN COMPARE MODULE
+   Feature-by-plan matrix built from the same catalog as
+   Pricing. Listens to 'pricing:changed' to keep the column
+   prices in sync with the billing toggle and promo code.
+   ═══════════════════════════════════════════════════════ */
+const PlanCompare = (() => {
+  const toggleBtn = $('#pricing-compare-toggle');
+  const panel     = $('#pricing-compare');
+  const table     = $('#pricing-compare-table');
+  const diffOnly  = $('#pricing-compare-diff');
+
+  let state = null;
+
+  /* ── helpers ── */
+
+  const sameValues = (row, plans) => {
+    const serialized = plans.map(p => JSON.stringify(row.values[p.id] ?? false));
+    return serialized.every(v => v === serialized[0]);
+  };
+
+  const cellTemplate = (value) => {
+    if (value === true)  return `<i class="ri-check-line compare__yes" aria-label="${escapeHTML(t('pricing.compare.included'))}"></i>`;
+    if (value === false || value === 0 || value == null) {
+      return `<i class="ri-close-line compare__no" aria-label="${escapeHTML(t('pricing.compare.notIncluded'))}"></i>`;
+    }
+    if (Array.isArray(value)) {
+      return `<ul class="compare__tags">${value.map(v => `<li>${escapeHTML(localize(v))}</li>`).join('')}</ul>`;
+    }
+    return `<span class="compare__limit">${escapeHTML(localize(value))}</span>`;
+  };
+
+  const colClass = (plan) => plan.variant ? ` compare__col--${plan.variant}` : '';
+
+  /* ── rendering ── */
+
+  const captionTemplate = ({ catalog }) => {
+    const plans = new Intl.ListFormat(I18n.lang, { type: 'conjunction' }).format(catalog.plans.map(p => p.name));
+    return `<caption class="visually-hidden">${escapeHTML(t('pricing.compare.caption', { plans }))}</caption>`;
+  };
+
+  const headTemplate = ({ catalog, period, promo }) => `
+    <thead>
+      <tr>
+        <th scope="col" class="compare__corner">${escapeHTML(t('pricing.compare.features'))}</th>
+        ${catalog.plans.map(plan => {
+          const q = Pricing.quote(plan, period, promo);
+          return `
+            <th scope="col" class="compare__plan${colClass(plan)}">
+              <span class="compare__plan-name">${escapeHTML(plan.name)}</span>
+              <span class="compare__plan-price">${escapeHTML(Pricing.formatAmount(q.monthly))}<small>${escapeHTML(t('pricing.perMonth'))}</small></span>
+            </th>`;
+        }).join('')}
+      </tr>
+    </thead>`;
+
+  const bodyTemplate = ({ catalog }) => {
+    let group = null;
+    return `<tbody>${catalog.comparison.map(row => {
+      const rowGroup = localize(row.group);
+      const groupRow = rowGroup && rowGroup !== group
+        ? `<tr class="compare__group"><th scope="rowgroup" colspan="${catalog.plans.length + 1}">${escapeHTML(rowGroup)}</th></tr>`
+        : '';
+      group = rowGroup;
+      const same = sameValues(row, catalog.plans);
+      return `${groupRow}
+        <tr class="compare__row"${same ? ' data-same="true"' : ''}>
+          <th scope="row" class="compare__feature">${escapeHTML(localize(row.label))}</th>
+          ${catalog.plans.map(plan => `<td class="compare__cell${colClass(plan)}">${cellTemplate(row.values[plan.id])}</td>`).join('')}
+        </tr>`;
+    }).join('')}</tbody>`;
+  };
+
+  const render = () => {
+    if (!table || !state?.catalog.comparison) return;
+    table.innerHTML = captionTemplate(state) + headTemplate(state) + bodyTemplate(state);
+    applyDiffFilter();
+  };
+
+  /** Hides rows (and emptied group headers) where every plan has the same value. */
+  const applyDiffFilter = () => {
+    const only = !!diffOnly?.checked;
+    $$('.compare__row', table).forEach(row => { row.hidden = only && row.dataset.same === 'true'; });
+    $$('.compare__group', table).forEach(groupRow => {
+      let next = groupRow.nextElementSibling;
+      let anyVisible = false;
+      while (next && !next.classList.contains('compare__group')) {
+        if (!next.hidden) anyVisible = true;
+        next = next.nextElementSibling;
+      }
+      groupRow.hidden = !anyVisible;
+    });
+  };
+
+  /* ── open / close ── */
+
+  const setOpen = (isOpen) => {
+    if (!panel || !toggleBtn) return;
+    panel.hidden = !isOpen;
+    toggleBtn.setAttribute('aria-expanded', String(isOpen));
+    toggleLabel();
+    if (isOpen) panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  };
+
+  const toggleLabel = () => {
+    if (!toggleBtn) return;
+    $('span', toggleBtn).textContent = t(panel.hidden ? 'pricing.compare.show' : 'pricing.compare.hide');
+  };
+
+  const init = () => {
+    if (!panel || !table) return;
+
+    // Pricing re-renders on 'i18n:changed' and fires 'pricing:changed', which redraws the table
+    document.addEventListener('i18n:changed', toggleLabel);
+
+    document.addEventListener('pricing:changed', ({ detail }) => {
+      state = detail;
+      if (toggleBtn) toggleBtn.hidden = !detail.catalog.comparison;
+      render();
+    });
+
+    toggleBtn?.addEventListener('click', () => setOpen(panel.hidden));
+    diffOnly?.addEventListener('change', applyDiffFilter);
+  };
+
+  return { init };
+})();
+
+/* ═══════════════════════════════════════════════════════
+   BODY METRICS
+   Pure formulas used by BMICalc (metric units: cm, kg, years).
+   ═══════════════════════════════════════════════════════ */
+const BodyMetrics = (() => {
+  /** Multipliers applied to the BMR for each activity level. */
+  const ACTIVITY = {
+    sedentary: 1.2,
+    light:     1.375,
+    moderate:  1.55,
+    intense:   1.725,
+    athlete:   1.9,
+  };
+
+  const HEALTHY_BMI = [18.5, 24.9];
+  const BODY_FAT    = [2, 75];   // %, exclusive: outside it the estimate is meaningless
+
+  const round1 = (n) => Math.round(n * 10) / 10;
+
+  /** Body mass index, one decimal. */
+  const bmi = (cm, kg) => round1(kg / ((cm / 100) ** 2));
+
+  /** Basal metabolic rate (Mifflin-St Jeor), kcal/day. */
+  const bmr = ({ cm, kg, age, sex }) =>
+    Math.round(10 * kg + 6.25 * cm - 5 * age + (sex === 'male' ? 5 : -161));
+
+  /** Daily calorie targets for losing, keeping and gaining weight. */
+  const calorieTargets = (base, activity) => {
+    const maintain = Math.round(base * (ACTIVITY[activity] ?? ACTIVITY.sedentary));
+    return { lose: maintain - 500, maintain, gain: maintain + 300 };
+  };
+
+  /** Whether a body-fat percentage is within the range the calculator accepts. */
+  const isBodyFat = (n) =>
+    typeof n === 'number' && Number.isFinite(n) && n > BODY_FAT[0] && n < BODY_FAT[1];
+
+  /**
+   * Body-fat percentage (US Navy method). Hip is only used for women.
+   * Returns null when the measurements can't produce a valid estimate.
+   */
+  const bodyFat = ({ cm, sex, waist, neck, hip }) => {
+    if (!waist || !neck || (sex === 'female' && !hip)) return null;
+
+    const fat = sex === 'male'
+      ? 495 / (1.0324 - 0.19077 * Math.log10(waist - neck) + 0.15456 * Math.log10(cm)) - 450
+      : 495 / (1.29579 - 0.35004 * Math.log10(waist + hip - neck) + 0.221 * Math.log10(cm)) - 450;
+
+    return isBodyFat(fat) ? round1(fat) : null;
+  };
+
+  /** Weight range (kg) that keeps the BMI inside the healthy band for a height. */
+  const healthyRange = (cm) => {
+    const m2 = (cm / 100) ** 2;
+    return [round1(HEALTHY_BMI[0] * m2), round1(HEALTHY_BMI[1] * m2)];
+  };
+
+  return { ACTIVITY, bmi, bmr, calorieTargets, bodyFat, isBodyFat, healthyRange };
+})();
+
 /* ═══════════════════════════════════════════════════════
    BMI CALCULATOR MODULE
    ═══════════════════════════════════════════════════════ */
 const BMICalc = (() => {
-  const form    = $('#calculate-form');
-  const cmInput = $('#calculate-cm');
-  const kgInput = $('#calculate-kg');
-  const message = $('#calculate-message');
+  const form     = $('#calculate-form');
+  const cmInput  = $('#calculate-cm');
+  const kgInput  = $('#calculate-kg');
+  const sexInput = $('#calculate-sex');
+  const ageInput = $('#calculate-age');
+  const actInput = $('#calculate-activity');
+  const waistInput = $('#calculate-waist');
+  const neckInput  = $('#calculate-neck');
+  const hipInput   = $('#calculate-hip');
+  const ftInput  = $('#calculate-ft');
+  const inInput  = $('#calculate-in');
+  const message  = $('#calculate-message');
+  const report   = $('#calculate-report');
+  const unitBtns = $$('.calculate__units-btn');
+
+  const UNITS_KEY = 'smart-active-units';
+  const IN_TO_CM  = 2.54;
+  const LB_TO_KG  = 0.45359237;
+
+  /** Validation bounds and labels per unit system (height / weight in that system). */
+  const UNITS = {
+    metric:   { height: [50, 300], weight: [20, 500],  length: 'cm', mass: 'kg' },
+    imperial: { height: [20, 118], weight: [44, 1100], length: 'in', mass: 'lb' },
+  };
+
+  let units = 'metric';
+  let last  = null;   // last result on screen, re-rendered when the language changes
 
+  /** Errors fade out; results stay on screen until the next calculation. */
   const showMessage = (text, type = 'success') => {
     if (!message) return;
     message.textContent = text;
     message.className = `calculate__result ${type === 'success' ? 'color-green' : 'color-red'}`;
-    const delay = type === 'success' ? 5000 : 3500;
-    setTimeout(() => { message.textContent = ''; message.className = 'calculate__result'; }, delay);
+    if (type !== 'success') {
+      setTimeout(() => { message.textContent = ''; message.className = 'calculate__result'; }, 3500);
+    }
   };
 
-  const bmi = (h, w) => Math.round(w / ((h / 100) ** 2));
+  const fmt = (n, digits = 1) =>
+    I18n.formatNumber(n, { minimumFractionDigits: digits, maximumFractionDigits: digits });
 
   const classify = (b) => {
-    if (b < 18.5) return `IMC ${b} — Abaixo do peso 💪 Vamos trabalhar nisso!`;
-    if (b < 25)   return `IMC ${b} — Peso ideal 🏆 Excelente! Continue assim!`;
-    if (b < 30)   return `IMC ${b} — Sobrepeso 📊 Podemos te ajudar a melhorar!`;
-    return               `IMC ${b} — Obesidade 🎯 Nossos programas são para você!`;
+    const value = fmt(b);
+    if (b < 18.5) return t('bmi.classify.under', { value });
+    if (b < 25)   return t('bmi.classify.normal', { value });
+    if (b < 30)   return t('bmi.classify.over', { value });
+    return               t('bmi.classify.obese', { value });
+  };
+
+  const num = (input) => parseFloat(input?.value) || 0;
+
+  /* ── units ── */
+
+  /** Converts a length typed in the current unit system to centimetres. */
+  const toCm = (value) => units === 'imperial' ? value * IN_TO_CM : value;
+  const toKg = (value) => units === 'imperial' ? value * LB_TO_KG : value;
+  const fromKg = (kg) => units === 'imperial' ? kg / LB_TO_KG : kg;
+
+  /** Height in the current system's unit (cm, or total inches from ft + in). */
+  const readHeight = () => units === 'imperial'
+    ? num(ftInput) * 12 + num(inInput)
+    : num(cmInput);
+
+  const applyUnits = (system) => {
+    units = UNITS[system] ? system : 'metric';
+    const isImperial = units === 'imperial';
+
+    form?.classList.toggle('is-imperial', isImperial);
+    $$('[data-unit-metric]', form).forEach(el => {
+      el.textContent = isImperial ? el.dataset.unitImperial : el.dataset.unitMetric;
+    });
+    $$('[data-placeholder-imperial]', form).forEach(input => {
+      input.dataset.placeholderMetric ??= input.placeholder;
+      input.placeholder = isImperial ? input.dataset.placeholderImperial : input.dataset.placeholderMetric;
+    });
+
+    unitBtns.forEach(btn => {
+      const isActive = btn.dataset.units === units;
+      btn.classList.toggle('is-active', isActive);
+      btn.setAttribute('aria-pressed', String(isActive));
+    });
+
+    document.dispatchEvent(new CustomEvent('calculate:units', { detail: { units } }));
+  };
+
+  const onUnitClick = ({ currentTarget }) => {
+    const system = currentTarget.dataset.units;
+    if (system === units) return;
+
+    // Values typed in the other system no longer make sense
+    form?.reset();
+    syncHipField();
+    if (report) report.hidden = true;
+    last = null;
+    applyUnits(system);
+    localStorage.setItem(UNITS_KEY, units);
+  };
+
+  /** Reads the form (converted to metric); returns null after reporting the problem when invalid. */
+  const readInputs = () => {
+    const { height: [hMin, hMax], weight: [wMin, wMax] } = UNITS[units];
+    const height = readHeight();
+    const weight = num(kgInput);
+
+    if (!height || !weight || height < hMin || height > hMax || weight < wMin || weight > wMax) {
+      showMessage(t('bmi.invalid'), 'error');
+      return null;
+    }
+
+    const data = {
+      cm:    toCm(height),
+      kg:    toKg(weight),
+      age:   num(ageInput),
+      sex:   sexInput?.value ?? '',
+      activity: actInput?.value || 'sedentary',
+      waist: toCm(num(waistInput)),
+      neck:  toCm(num(neckInput)),
+      hip:   toCm(num(hipInput)),
+    };
+
+    if (data.age && (data.age < 14 || data.age > 110)) {
+      showMessage(t('bmi.age', { min: 14, max: 110 }), 'error');
+      return null;
+    }
+    return data;
+  };
+
+  /** Computes everything the inputs allow; missing optional data yields null fields. */
+  const compute = (d) => {
+    const hasProfile = !!d.age && (d.sex === 'male' || d.sex === 'female');
+    const base = hasProfile ? BodyMetrics.bmr(d) : null;
+    return {
+      bmi:      BodyMetrics.bmi(d.cm, d.kg),
+      range:    BodyMetrics.healthyRange(d.cm),
+      bmr:      base,
+      calories: base ? BodyMetrics.calorieTargets(base, d.activity) : null,
+      bodyFat:  d.sex ? BodyMetrics.bodyFat(d) : null,
+    };
+  };
+
+  /* ── report ── */
+
+  const row = (label, value, hint = '') => `
+    <div class="calculate__report-item">
+      <dt>${label}</dt>
+      <dd>${value}${hint ? `<small>${hint}</small>` : ''}</dd>
+    </div>`;
+
+  const renderReport = (r) => {
+    if (!report) return;
+
+    const missing = `<span class="calculate__report-missing">${t('bmi.report.missingProfile')}</span>`;
+    const kcal = (value) => t('bmi.report.perDay', { value });
+    report.innerHTML = `
+      <dl class="calculate__report-list">
+        ${row(t('bmi.report.bmi'), fmt(r.bmi))}
+        ${row(t('bmi.report.healthyWeight'), `${fmt(fromKg(r.range[0]))} – ${fmt(fromKg(r.range[1]))} ${UNITS[units].mass}`, t('bmi.report.healthyHint'))}
+        ${row(t('bmi.report.bmr'), r.bmr ? kcal(r.bmr) : missing, r.bmr ? 'Mifflin-St Jeor' : '')}
+        ${row(t('bmi.report.maintain'), r.calories ? kcal(r.calories.maintain) : missing)}
+        ${r.calories ? row(t('bmi.report.lose'), kcal(r.calories.lose), '−500 kcal') : ''}
+        ${r.calories ? row(t('bmi.report.gain'), kcal(r.calories.gain), '+300 kcal') : ''}
+        ${row(t('bmi.report.bodyFat'), r.bodyFat !== null ? `${fmt(r.bodyFat)}%` : `<span class="calculate__report-missing">${t('bmi.report.missingMeasures')}</span>`, r.bodyFat !== null ? t('bmi.report.bodyFatHint') : '')}
+      </dl>
+      <a href="#wizard" class="calculate__cta">${t('bmi.report.cta')} <i class="ri-arrow-right-line"></i></a>`;
+    report.hidden = false;
   };
 
   const onSubmit = (e) => {
     e.preventDefault();
-    const h = parseFloat(cmInput?.value);
-    const w = parseFloat(kgInput?.value);
+    const data = readInputs();
+    if (!data) return;
 
-    if (!h || !w || h < 50 || h > 300 || w < 20 || w > 500) {
-      showMessage('Preencha altura e peso com valores válidos 👀', 'error');
-      return;
-    }
+    const result = compute(data);
+    last = result;
+    showMessage(classify(result.bmi), 'success');
+    renderReport(result);
 
-    showMessage(classify(bmi(h, w)), 'success');
-    form?.reset();
+    // CalcHistory offers to save it; always in metric units
+    document.dispatchEvent(new CustomEvent('calculate:result', {
+      detail: { cm: data.cm, kg: data.kg, bmi: result.bmi, bodyFat: result.bodyFat },
+    }));
+  };
+
+  /** The hip measurement only applies to the female formula. */
+  const syncHipField = () => {
+    const field = hipInput?.closest('.calculate__field');
+    if (field) field.hidden = sexInput?.value === 'male';
   };
 
   const init = () => {
     form?.addEventListener('submit', onSubmit);
+    sexInput?.addEventListener('change', syncHipField);
+    syncHipField();
+
+    unitBtns.forEach(btn => btn.addEventListener('click', onUnitClick));
+    applyUnits(localStorage.getItem(UNITS_KEY) ?? 'metric');
+
+    // The result on screen follows the language switcher
+    document.addEventListener('i18n:changed', () => {
+      if (!last) return;
+      showMessage(classify(last.bmi), 'success');
+      if (report && !report.hidden) renderReport(last);
+    });
 
     // Allow Enter on inputs
-    [cmInput, kgInput].forEach(input => {
+    [cmInput, ftInput, inInput, kgInput, ageInput, waistInput, neckInput, hipInput].forEach(input => {
       input?.addEventListener('keydown', e => {
         if (e.key === 'Enter') form?.dispatchEvent(new Event('submit', { cancelable: true }));
       });
@@ -237,51 +1069,533 @@ const BMICalc = (() => {
 })();
 
 /* ═══════════════════════════════════════════════════════
-   CONTACT FORM MODULE
+   CALCULATOR HISTORY MODULE
+   Saves BMICalc results in localStorage, lists them, draws
+   a weight/BMI trend as inline SVG and moves the history
+   between devices as JSON or CSV.
    ═══════════════════════════════════════════════════════ */
-const ContactForm = (() => {
-  const form    = $('#contact-form');
-  const input   = $('#contact-user');
-  const message = $('#contact-message');
+const CalcHistory = (() => {
+  const STORAGE_KEY = 'smart-active-bmi-history';
+  const LB_PER_KG   = 1 / 0.45359237;
+  const CSV_HEADER  = ['date', 'height_cm', 'weight_kg', 'bmi', 'body_fat'];
 
-  const showMessage = (text, type = 'success') => {
-    if (!message) return;
-    message.textContent = text;
-    message.className = `footer__message ${type === 'success' ? 'color-green' : 'color-red'}`;
-    setTimeout(() => { message.textContent = ''; message.className = 'footer__message'; }, 3500);
+  const panel     = $('#calculate-history');
+  const list      = $('#calculate-history-list');
+  const chart     = $('#calculate-history-chart');
+  const saveBtn   = $('#calculate-save');
+  const importInput = $('#calculate-import');
+  const status    = $('#calculate-history-status');
+
+  let entries = [];
+  let pending = null;   // last unsaved result from BMICalc
+  let units   = 'metric';
+
+  /* ── storage ── */
+
+  const load = () => {
+    try {
+      const data = JSON.parse(localStorage.getItem(STORAGE_KEY) ?? '[]');
+      return Array.isArray(data) ? data.filter(isValidEntry) : [];
+    } catch {
+      return [];
+    }
+  };
+
+  const persist = () => localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+
+  const isValidEntry = (e) =>
+    !!e && !Number.isNaN(Date.parse(e.date)) &&
+    [e.cm, e.kg, e.bmi].every(n => typeof n === 'number' && Number.isFinite(n) && n > 0);
+
+  const byDate = (a, b) => Date.parse(a.date) - Date.parse(b.date);
+
+  /* ── formatting ── */
+
+  const fmt = (n, digits = 1) =>
+    I18n.formatNumber(n, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+
+  const weightLabel = (kg) => units === 'imperial'
+    ? `${fmt(kg * LB_PER_KG)} lb`
+    : `${fmt(kg)} kg`;
+
+  const dateLabel = (iso) =>
+    I18n.formatDate(iso, { day: '2-digit', month: 'short', year: 'numeric' });
+
+  const setStatus = (text, type = 'success') => {
+    if (!status) return;
+    status.textContent = text;
+    status.className = `calculate__history-status ${type === 'success' ? 'color-green' : 'color-red'}`;
+    setTimeout(() => { status.textContent = ''; status.className = 'calculate__history-status'; }, 3500);
+  };
+
+  /* ── chart ── */
+
+  const W = 560, H = 220, PAD = { top: 16, right: 44, bottom: 28, left: 44 };
+
+  /** Maps values to SVG coordinates, each series on its own vertical scale. */
+  const scale = (values, min, max) => {
+    const span = max - min || 1;
+    return values.map(v => PAD.top + (1 - (v - min) / span) * (H - PAD.top - PAD.bottom));
+  };
+
+  const bounds = (values) => {
+    const min = Math.min(...values), max = Math.max(...values);
+    const pad = (max - min) * 0.1 || 1;
+    return [min - pad, max + pad];
+  };
+
+  const series = (xs, ys, cls, values, label) => `
+    <polyline class="calculate__chart-line ${cls}" points="${xs.map((x, i) => `${x.toFixed(1)},${ys[i].toFixed(1)}`).join(' ')}" />
+    ${xs.map((x, i) => `
+      <circle class="calculate__chart-dot ${cls}" cx="${x.toFixed(1)}" cy="${ys[i].toFixed(1)}" r="3.5">
+        <title>${escapeHTML(label(values[i]))}</title>
+      </circle>`).join('')}`;
+
+  const renderChart = () => {
+    if (!chart) return;
+
+    if (entries.length < 2) {
+      chart.innerHTML = `<p class="calculate__chart-empty">${escapeHTML(t('history.chartEmpty'))}</p>`;
+      return;
+    }
+
+    const times = entries.map(e => Date.parse(e.date));
+    const [t0, t1] = [times[0], times[times.length - 1]];
+    const xs = times.map(t => PAD.left + ((t - t0) / ((t1 - t0) || 1)) * (W - PAD.left - PAD.right));
+
+    const weights = entries.map(e => units === 'imperial' ? e.kg * LB_PER_KG : e.kg);
+    const bmis    = entries.map(e => e.bmi);
+    const [wMin, wMax] = bounds(weights);
+    const [bMin, bMax] = bounds(bmis);
+
+    chart.innerHTML = `
+      <svg class="calculate__chart" viewBox="0 0 ${W} ${H}" role="img" aria-labelledby="calculate-chart-title">
+        <title id="calculate-chart-title">${escapeHTML(t('history.chartTitle', {
+          count: entries.length,
+          from:  dateLabel(entries[0].date),
+          to:    dateLabel(entries[entries.length - 1].date),
+        }))}</title>
+        <line class="calculate__chart-axis" x1="${PAD.left}" y1="${H - PAD.bottom}" x2="${W - PAD.right}" y2="${H - PAD.bottom}" />
+        <text class="calculate__chart-tick calculate__chart-tick--weight" x="${PAD.left - 6}" y="${PAD.top + 4}" text-anchor="end">${fmt(wMax, 0)}</text>
+        <text class="calculate__chart-tick calculate__chart-tick--weight" x="${PAD.left - 6}" y="${H - PAD.bottom}" text-anchor="end">${fmt(wMin, 0)}</text>
+        <text class="calculate__chart-tick calculate__chart-tick--bmi" x="${W - PAD.right + 6}" y="${PAD.top + 4}">${fmt(bMax)}</text>
+        <text class="calculate__chart-tick calculate__chart-tick--bmi" x="${W - PAD.right + 6}" y="${H - PAD.bottom}">${fmt(bMin)}</text>
+        <text class="calculate__chart-tick" x="${PAD.left}" y="${H - 8}">${dateLabel(entries[0].date)}</text>
+        <text class="calculate__chart-tick" x="${W - PAD.right}" y="${H - 8}" text-anchor="end">${dateLabel(entries[entries.length - 1].date)}</text>
+        ${series(xs, scale(weights, wMin, wMax), 'calculate__chart--weight', entries.map(e => e.kg), weightLabel)}
+        ${series(xs, scale(bmis, bMin, bMax), 'calculate__chart--bmi', bmis, v => t('history.bmiValue', { value: fmt(v) }))}
+      </svg>
+      <ul class="calculate__chart-legend">
+        <li class="calculate__chart--weight">${escapeHTML(t('history.weight', { unit: units === 'imperial' ? 'lb' : 'kg' }))}</li>
+        <li class="calculate__chart--bmi">${escapeHTML(t('history.bmi'))}</li>
+      </ul>`;
+  };
+
+  /* ── list ── */
+
+  const renderList = () => {
+    if (!list) return;
+
+    list.innerHTML = entries.length
+      ? [...entries].reverse().map(e => `
+          <li class="calculate__history-item" data-id="${escapeHTML(e.id)}">
+            <time datetime="${escapeHTML(e.date)}">${dateLabel(e.date)}</time>
+            <span>${weightLabel(e.kg)}</span>
+            <span>${escapeHTML(t('history.bmiValue', { value: fmt(e.bmi) }))}</span>
+            ${e.bodyFat ? `<span>${escapeHTML(t('history.bodyFat', { value: fmt(e.bodyFat) }))}</span>` : '<span></span>'}
+            <button type="button" class="calculate__history-delete" aria-label="${escapeHTML(t('history.delete', { date: dateLabel(e.date) }))}">
+              <i class="ri-delete-bin-line" aria-hidden="true"></i>
+            </button>
+          </li>`).join('')
+      : `<li class="calculate__history-empty">${escapeHTML(t('history.empty'))}</li>`;
+  };
+
+  const render = () => {
+    if (panel) panel.hidden = !entries.length && !pending;
+    renderList();
+    renderChart();
+  };
+
+  /* ── actions ── */
+
+  const newId = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+  const save = () => {
+    if (!pending) return;
+    entries = [...entries, { id: newId(), date: new Date().toISOString(), ...pending }].sort(byDate);
+    pending = null;
+    if (saveBtn) saveBtn.hidden = true;
+    persist();
+    render();
+    setStatus(t('history.saved'));
+  };
+
+  const remove = (id) => {
+    entries = entries.filter(e => e.id !== id);
+    persist();
+    render();
+  };
+
+  /* ── export / import ── */
+
+  const toCSV = () => [
+    CSV_HEADER.join(','),
+    ...entries.map(e => [e.date, e.cm, e.kg, e.bmi, e.bodyFat ?? ''].join(',')),
+  ].join('\n');
+
+  const fromCSV = (text) => {
+    const [head, ...rows] = text.trim().split(/\r?\n/);
+    const cols = head.split(',').map(c => c.trim());
+    if (CSV_HEADER.some(c => !cols.includes(c))) throw new Error('CSV header');
+
+    return rows.filter(Boolean).map(line => {
+      const cells = line.split(',');
+      const get = (name) => cells[cols.indexOf(name)]?.trim();
+      return {
+        date:    get('date'),
+        cm:      parseFloat(get('height_cm')),
+        kg:      parseFloat(get('weight_kg')),
+        bmi:     parseFloat(get('bmi')),
+        bodyFat: parseFloat(get('body_fat')) || null,
+      };
+    });
+  };
+
+  const exportAs = (format) => {
+    const stamp = new Date().toISOString().slice(0, 10);
+    if (format === 'csv') downloadFile(`smart-active-imc-${stamp}.csv`, 'text/csv', toCSV());
+    else downloadFile(`smart-active-imc-${stamp}.json`, 'application/json', JSON.stringify(entries, null, 2));
+  };
+
+  /**
+   * Merges imported entries, skipping ones already present (same date).
+   * Imported ids are never trusted: each entry gets a fresh one, and a
+   * body-fat value outside the calculator's range is dropped.
+   */
+  const importFile = async (file) => {
+    try {
+      const text = await file.text();
+      const parsed = file.name.toLowerCase().endsWith('.csv') ? fromCSV(text) : JSON.parse(text);
+      if (!Array.isArray(parsed)) throw new Error('not a list');
+
+      const known = new Set(entries.map(e => e.date));
+      const fresh = parsed
+        .filter(isValidEntry)
+        .filter(e => !known.has(e.date))
+        .map(e => ({
+          id: newId(), date: e.date, cm: e.cm, kg: e.kg, bmi: e.bmi,
+          bodyFat: BodyMetrics.isBodyFat(e.bodyFat) ? e.bodyFat : null,
+        }));
+
+      entries = [...entries, ...fresh].sort(byDate);
+      persist();
+      render();
+      setStatus(t('history.imported', { count: fresh.length }));
+    } catch {
+      setStatus(t('history.invalid'), 'error');
+    }
+  };
+
+  /* ── init ── */
+
+  const init = () => {
+    if (!panel) return;
+
+    entries = load().sort(byDate);
+
+    document.addEventListener('calculate:units', ({ detail }) => {
+      units = detail.units;
+      render();
+    });
+
+    document.addEventListener('calculate:result', ({ detail }) => {
+      pending = detail;
+      if (saveBtn) saveBtn.hidden = false;
+      render();
+    });
+
+    saveBtn?.addEventListener('click', save);
+    document.addEventListener('i18n:changed', render);
+
+    list?.addEventListener('click', e => {
+      const btn = e.target.closest('.calculate__history-delete');
+      const id  = btn?.closest('.calculate__history-item')?.dataset.id;
+      if (id) remove(id);
+    });
+
+    $$('[data-history-export]', panel).forEach(btn => {
+      btn.addEventListener('click', () => exportAs(btn.dataset.historyExport));
+    });
+
+    importInput?.addEventListener('change', () => {
+      const file = importInput.files?.[0];
+      if (file) importFile(file);
+      importInput.value = '';
+    });
+
+    render();
   };
 
-  const isValidEmail = (email) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+  return { init };
+})();
+
+/* ═══════════════════════════════════════════════════════
+   PLAN WIZARD MODULE
+   Step-by-step questionnaire that scores the programs and
+   pricing tiers with the rules in assets/data/recommendation.json
+   (plus the last BMI from BMICalc) and highlights the winners.
+   The candidate plans come from assets/data/plans.json, not from
+   whatever pricing cards happen to be on the page.
+   ═══════════════════════════════════════════════════════ */
+const PlanWizard = (() => {
+  const RULES_URL = 'assets/data/recommendation.json';
+  const PLANS_URL = 'assets/data/plans.json';
+
+  const root     = $('#wizard');
+  const form     = $('#wizard-form');
+  const progress = $('#wizard-progress');
+  const bar      = $('#wizard-bar');
+  const result   = $('#wizard-result');
+
+  let config  = null;
+  let plans   = [];
+  let step    = 0;
+  let answers = {};
+  let bmi     = null;
+  let last    = null;   // result on screen, re-rendered on 'i18n:changed'
+
+  /* ── scoring ── */
+
+  const bmiBand = (b) => {
+    if (b < 18.5) return 'abaixo';
+    if (b < 25)   return 'normal';
+    if (b < 30)   return 'sobrepeso';
+    return 'obesidade';
+  };
+
+  /** A rule matches when every key in `when` equals (or is listed in) the answer. */
+  const matches = (when, given) => Object.entries(when).every(([key, expected]) =>
+    Array.isArray(expected) ? expected.includes(given[key]) : given[key] === expected);
+
+  /** Highest score wins; ties go to whichever comes first in `ids`. */
+  const best = (ids, totals) =>
+    ids.reduce((top, id) => ((totals[id] ?? 0) > (totals[top] ?? 0) ? id : top), ids[0]);
+
+  /**
+   * Scores programs and plans for a set of answers.
+   * Reasons stay as { pt, en, es } so the result can be re-translated.
+   * @returns {{ program: string, plan: string, reasons: object[] }}
+   */
+  const recommend = (given, planIds) => {
+    const programTotals = {};
+    const planTotals = {};
+    const matched = config.rules.filter(rule => matches(rule.when, given));
+
+    matched.forEach(rule => {
+      Object.entries(rule.programs ?? {}).forEach(([id, pts]) => { programTotals[id] = (programTotals[id] ?? 0) + pts; });
+      Object.entries(rule.plans ?? {}).forEach(([id, pts]) => { planTotals[id] = (planTotals[id] ?? 0) + pts; });
+    });
+
+    const program = best(config.programs.map(p => p.id), programTotals);
+    const plan    = best(planIds, planTotals);
+
+    // Explain with the rules that pushed the winners up
+    const reasons = matched
+      .filter(rule => rule.reason && ((rule.programs?.[program] ?? 0) > 0 || (rule.plans?.[plan] ?? 0) > 0))
+      .map(rule => rule.reason);
+
+    return { program, plan, reasons };
+  };
+
+  /* ── rendering ── */
+
+  const stepTemplate = (s, index) => `
+    <fieldset class="wizard__step" data-step="${index}" ${index === step ? '' : 'hidden'}>
+      <legend class="wizard__question">${escapeHTML(localize(s.question))}</legend>
+      <div class="wizard__options">
+        ${s.options.map(opt => `
+          <label class="wizard__option">
+            <input type="radio" name="${escapeHTML(s.id)}" value="${escapeHTML(opt.value)}" ${answers[s.id] === opt.value ? 'checked' : ''}>
+            <span class="wizard__option-box">
+              ${opt.icon ? `<i class="${escapeHTML(opt.icon)}" aria-hidden="true"></i>` : ''}
+              ${escapeHTML(localize(opt.label))}
+            </span>
+          </label>`).join('')}
+      </div>
+    </fieldset>`;
+
+  const renderForm = () => {
+    const isLast = step === config.steps.length - 1;
+    form.innerHTML = `
+      ${config.steps.map(stepTemplate).join('')}
+      <div class="wizard__nav">
+        <button type="button" class="button button--ghost" data-wizard="back" ${step === 0 ? 'hidden' : ''}>
+          <i class="ri-arrow-left-line"></i> ${escapeHTML(t('wizard.back'))}
+        </button>
+        <button type="submit" class="button button--primary" ${answers[config.steps[step].id] ? '' : 'disabled'}>
+          ${escapeHTML(t(isLast ? 'wizard.finish' : 'wizard.next'))} <i class="ri-arrow-right-line"></i>
+        </button>
+      </div>`;
+
+    const total = config.steps.length;
+    if (progress) progress.textContent = t('wizard.progress', { step: step + 1, total });
+    if (bar) bar.style.width = `${((step + 1) / total) * 100}%`;
+  };
+
+  const cardFor = {
+    program: (id) => $(`.program__card[data-program="${id}"]`),
+    plan:    (id) => $(`.pricing__card[data-plan="${id}"]`),
+  };
+
+  const clearHighlight = () => {
+    $$('.program__card.is-recommended, .pricing__card.is-recommended')
+      .forEach(card => card.classList.remove('is-recommended'));
+  };
+
+  /** Marks the recommended cards and clears previous highlights. */
+  const highlight = (program, plan) => {
+    clearHighlight();
+    cardFor.program(program)?.classList.add('is-recommended');
+    cardFor.plan(plan)?.classList.add('is-recommended');
+  };
+
+  const renderResult = (rec) => {
+    const { program, plan, reasons } = rec;
+    const programName = localize(config.programs.find(p => p.id === program)?.name) ?? program;
+    const planName = plans.find(p => p.id === plan)?.name ?? plan;
+
+    result.innerHTML = `
+      <p class="wizard__result-label">${escapeHTML(t('wizard.resultLabel'))}</p>
+      <h3 class="wizard__result-title">
+        <span>${escapeHTML(programName)}</span> + ${escapeHTML(t('wizard.plan'))} <span>${escapeHTML(planName)}</span>
+      </h3>
+      ${reasons.length ? `<ul class="wizard__reasons">${reasons.map(r => `<li><i class="ri-check-line" aria-hidden="true"></i> ${escapeHTML(localize(r))}</li>`).join('')}</ul>` : ''}
+      ${bmi === null ? `<p class="wizard__hint">${t('wizard.hint', { link: `<a href="#calculate">${escapeHTML(t('wizard.hintLink'))}</a>` })}</p>` : ''}
+      <div class="wizard__actions">
+        <button type="button" class="button button--primary" data-wizard-goto="program">${escapeHTML(t('wizard.viewProgram'))}</button>
+        <button type="button" class="button button--outline" data-wizard-goto="plan">${escapeHTML(t('wizard.viewPlan'))}</button>
+        <button type="button" class="button button--ghost" data-wizard="restart"><i class="ri-restart-line"></i> ${escapeHTML(t('wizard.restart'))}</button>
+      </div>`;
+
+    last = rec;
+    result.dataset.program = program;
+    result.dataset.plan = plan;
+    form.hidden = true;
+    result.hidden = false;
+    if (progress) progress.textContent = t('wizard.done');
+  };
+
+  const goToCard = (card) => {
+    if (!card) return;
+    card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    card.focus?.({ preventScroll: true });
+  };
+
+  /* ── events ── */
+
+  const finish = () => {
+    const given = bmi === null ? answers : { ...answers, bmi: bmiBand(bmi) };
+    const rec = recommend(given, plans.map(p => p.id));
+    highlight(rec.program, rec.plan);
+    renderResult(rec);
+  };
+
+  const restart = () => {
+    step = 0;
+    answers = {};
+    last = null;
+    clearHighlight();
+    result.hidden = true;
+    form.hidden = false;
+    renderForm();
+    $('input', form)?.focus();
+  };
 
   const onSubmit = (e) => {
     e.preventDefault();
-    const email = input?.value.trim();
+    if (!answers[config.steps[step].id]) return;
 
-    if (!email) {
-      showMessage('Por favor, insira seu e-mail 👆', 'error');
+    if (step === config.steps.length - 1) {
+      finish();
       return;
     }
-    if (!isValidEmail(email)) {
-      showMessage('E-mail inválido. Tente novamente 📧', 'error');
+    step++;
+    renderForm();
+    $(`.wizard__step[data-step="${step}"] input`, form)?.focus();
+  };
+
+  const init = async () => {
+    if (!root || !form || !result) return;
+
+    document.addEventListener('calculate:result', ({ detail }) => { bmi = detail.bmi; });
+
+    try {
+      [config, { plans }] = await Promise.all([fetchJSON(RULES_URL), fetchJSON(PLANS_URL)]);
+    } catch {
+      root.hidden = true;
       return;
     }
 
-    // EmailJS integration (optional)
-    if (typeof emailjs !== 'undefined') {
-      emailjs
-        .sendForm('service_rkph8fe', 'template_1ypfxkg', '#contact-form', 'CKUdbbQoDpRLMSNDq')
-        .then(
-          () => { showMessage('Inscrição realizada com sucesso! 🎉'); form.reset(); },
-          () => showMessage('Erro ao enviar. Tente novamente 😔', 'error')
-        );
-    } else {
-      // Fallback without EmailJS
-      showMessage('Inscrição realizada com sucesso! 🎉');
-      form.reset();
-    }
+    form.addEventListener('change', e => {
+      if (e.target.type !== 'radio') return;
+      answers[e.target.name] = e.target.value;
+      $('[type="submit"]', form).disabled = false;
+    });
+
+    form.addEventListener('submit', onSubmit);
+    form.addEventListener('click', e => {
+      if (e.target.closest('[data-wizard="back"]')) {
+        step = Math.max(0, step - 1);
+        renderForm();
+      }
+    });
+
+    result.addEventListener('click', e => {
+      const target = e.target.closest('[data-wizard-goto], [data-wizard="restart"]');
+      if (!target) return;
+
+      if (target.dataset.wizard === 'restart') {
+        restart();
+      } else {
+        const kind = target.dataset.wizardGoto;
+        goToCard(cardFor[kind](result.dataset[kind]));
+      }
+    });
+
+    document.addEventListener('i18n:changed', () => {
+      if (last) renderResult(last);
+      else renderForm();
+    });
+
+    renderForm();
   };
 
-  const init = () => { form?.addEventListener('submit', onSubmit); };
+  return { init, recommend };
+})();
+
+/* ═══════════════════════════════════════════════════════
+   CONTACT FORM MODULE
+   ═══════════════════════════════════════════════════════ */
+const ContactForm = (() => {
+  const init = () => {
+    const form  = $('#contact-form');
+    const input = $('#contact-user');
+    if (!form) return;
+
+    const submitter = createSubmitter(SITE_CONFIG.forms);
+    bindSubmission(form, {
+      name: 'newsletter',
+      collect: () => {
+        const email = input?.value.trim() ?? '';
+        if (!email) return { error: 'empty' };
+        if (!isValidEmail(email)) return { error: 'invalid' };
+        return { data: { user_email: email }, key: email };
+      },
+      submitter,
+      outbox:   createOutbox({ submit: submitter }),
+      messages: { element: $('#contact-message'), text: (outcome) => t(`newsletter.${outcome}`) },
+    });
+  };
   return { init };
 })();
 
@@ -322,6 +1636,9 @@ const Reveal = (() => {
     sr.reveal('.calculate__content', { origin: 'left',  delay: 150 });
     sr.reveal('.calculate__visual',  { origin: 'right', delay: 300 });
 
+    // Wizard
+    sr.reveal('.wizard__card', { delay: 150 });
+
     // Footer
     sr.reveal('.footer__brand',      { origin: 'left',  delay: 100 });
     sr.reveal('.footer__links-grid', { origin: 'right', delay: 200 });
@@ -334,9 +1651,24 @@ const Reveal = (() => {
    INIT
    ═══════════════════════════════════════════════════════ */
 document.addEventListener('DOMContentLoaded', () => {
-  Nav.init();
+  I18n.init(); // first: other modules read t() and listen to 'i18n:changed'
+  ToastModule.init();
+  Theme.init(); // after Toast: theme changes are announced there
+  Nav.init({ spy: true });
   SpaceGallery.init();
+  CalcHistory.init(); // before BMICalc: listens to 'calculate:units'
   BMICalc.init();
+  PlanWizard.init();
   ContactForm.init();
-  Reveal.init();
+  PlanCompare.init();
+
+  // Reveal after the pricing cards are rendered so ScrollReveal picks them up
+  Pricing.init().finally(Reveal.init);
+
+  registerServiceWorker({
+    onUpdate: (apply) => ToastModule.show(t('toast.update'), {
+      duration: 0,
+      action: { label: t('toast.updateAction'), onClick: apply },
+    }),
+  });
 });
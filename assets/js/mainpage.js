@@ -2,16 +2,21 @@
  * main.js — SMART - ACTIVE | Fitness Topics
  *
  * Módulos:
- *   0. Utils         — utilitários reutilizáveis (ScrollBus pub/sub, IntersectionObserver, etc.)
- *   1. Header        — sticky shadow + menu mobile
- *   2. Theme         — dark / light + persistência em localStorage
- *   3. Filter        — filtragem de cards por categoria
+ *   0–1. Core        — importado de ./core (ScrollBus, createObserver, Nav com header + menu mobile, I18n)
+ *   2. Theme         — escuro / claro / alto contraste / sistema (Theme, importado de ./core)
+ *   3. Filter        — filtragem de cards por categorias combinadas e busca por texto (sem acentos)
  *   4. BackToTop     — botão de voltar ao topo
- *   5. Toast         — notificações temporárias
+ *   5. Toast         — notificações temporárias (ToastModule, importado de ./core)
  *   6. Animations    — scroll reveal via IntersectionObserver
  *   7. StatsCounter  — animação de contagem dos números de estatísticas
  *   8. Keyboard      — navegação por teclado entre cards
  *   9. ScrollSpy     — destaque de links mobile conforme seção visível
+ *  10. Detail        — painel de detalhes ao lado do card (modal pelo CTA) e comparação lado a lado
+ *  11. Schedule      — grade semanal de aulas, "agora/próxima", "minhas aulas" e exportação .ics
+ *  12. Trial         — agendamento de aula experimental (horários via SlotProvider)
+ *  13. UrlState      — filtro, busca, ordenação e painel aberto refletidos na URL (?modalidade=), com voltar/avançar
+ *  14. Sort          — ordenação dos cards por intensidade, duração, calorias ou nível, com animação FLIP
+ *  15. Compare       — até 3 modalidades marcadas nos cards, comparadas lado a lado (tabela do Detail)
  *
  * CORREÇÕES APLICADAS (auditoria):
  *   - [FIX] Dois listeners de scroll independentes substituídos por ScrollBus (pub/sub centralizado)
@@ -26,270 +31,259 @@
  *           → Não expõe detalhes de arquitetura no console do usuário final
  *   - [FIX] ScrollSpyModule: ignora seções ocultas pelo FilterModule
  *           → Evita scroll spy ativo em cards com [hidden]
+ *   - [REFACTOR] Utils e HeaderModule movidos para o núcleo compartilhado (./core)
+ *           → index.html, page.html e sobre.html usam o mesmo Nav e o mesmo ScrollBus
+ *   - [REFACTOR] ToastModule movido para ./core (toast com ação, usado pelo aviso de atualização do PWA)
+ *   - [REFACTOR] ThemeModule virou o Theme de ./core, usado pelas três páginas
+ *           → Tema aplicado no <head> por theme-boot.js (sem flash); 'theme:changed' continua sendo o ponto de integração
+ *   - [FIX] Painel de detalhes aberto pelo CTA não gerenciava o foco
+ *           → Vira diálogo modal (createDialog de ./core): foco preso, Escape, fundo inert,
+ *             rolagem travada e foco devolvido ao CTA que abriu
  *
- * @version 2.1.0
+ * @version 2.2.0
  */
 
-'use strict';
+import {
+  ScrollBus, createObserver, prefersReducedMotion, escapeHTML, foldText, fetchJSON, downloadFile, debounce,
+  buildCalendar, nextWeekday, isValidEmail, formatPhoneBR, isValidPhoneBR, phoneDigits,
+  SlotUnavailableError, createLocalSlotProvider, createHTTPSlotProvider,
+  ToastModule, registerServiceWorker, Nav, I18n, t, Theme, createDialog, createHistoryEntry,
+} from './core/index.js';
 
 
 /* ════════════════════════════════════════════════════════════════════
-   MÓDULO 0 — UTILS
-   Funções utilitárias compartilhadas entre módulos.
+   MÓDULO 3 — FILTER
+   Filtra os cards por categoria (várias podem ser combinadas) e por texto,
+   e atualiza a contagem visível.
+     - A busca procura em título, categoria, descrição, chips e data-tags,
+       sem diferenciar acentos e maiúsculas ("musculacao" acha "Musculação");
+       todos os termos digitados precisam aparecer no card
+     - Os trechos encontrados ficam marcados com <mark class="search-mark">
+     - "Todas" limpa as categorias; a busca continua valendo
    ════════════════════════════════════════════════════════════════════ */
-const Utils = (() => {
-
-  /**
-   * ScrollBus — pub/sub centralizado para eventos de scroll.
-   *
-   * CORRIGIDO: antes cada módulo criava seu próprio listener com requestAnimationFrame,
-   * resultando em múltiplos listeners e múltiplos rAF paralelos.
-   * Agora há exatamente 1 listener de scroll e 1 rAF ativo por vez,
-   * independentemente de quantos módulos se inscreverem.
-   *
-   * @type {{ subscribe: (fn: () => void) => () => void }}
-   */
-  const ScrollBus = (() => {
-    const subscribers = new Set();
-    let ticking = false;
-
-    window.addEventListener('scroll', () => {
-      if (!ticking) {
-        requestAnimationFrame(() => {
-          subscribers.forEach(fn => fn());
-          ticking = false;
-        });
-        ticking = true;
-      }
-    }, { passive: true });
-
-    /**
-     * Inscreve uma função para ser chamada a cada frame de scroll.
-     * @param {() => void} fn
-     * @returns {() => void} função de cleanup (unsubscribe)
-     */
-    const subscribe = (fn) => {
-      subscribers.add(fn);
-      return () => subscribers.delete(fn);
-    };
-
-    return { subscribe };
-  })();
-
-  /**
-   * Cria um IntersectionObserver e observa os elementos fornecidos.
-   *
-   * @param {Element[]} targets       — elementos a observar
-   * @param {(entry: IntersectionObserverEntry, obs: IntersectionObserver) => void} onEnter
-   * @param {IntersectionObserverInit} [options]
-   * @returns {IntersectionObserver}
-   */
-  const createObserver = (targets, onEnter, options = {}) => {
-    const observer = new IntersectionObserver((entries, obs) => {
-      entries.forEach(entry => {
-        if (entry.isIntersecting) {
-          onEnter(entry, obs);
-        }
-      });
-    }, options);
+const FilterModule = (() => {
+  const SEARCH_FIELDS = '.card__title, .card__category, .card__desc, .chip';
+  const MARK_CLASS    = 'search-mark';
 
-    targets.forEach(el => observer.observe(el));
-    return observer;
-  };
+  let filterBtns, cards, countEl, emptyState, searchInput;
+  let lastVisible = null;
+  /** Categorias selecionadas; vazio = todas. */
+  let selected = new Set();
+  let query = '';
+  /** Texto pesquisável (já normalizado) de cada card, no idioma ativo. */
+  const haystacks = new Map();
 
   /**
-   * Verifica se o usuário prefere movimento reduzido.
-   * @returns {boolean}
+   * Normaliza mantendo, para cada caractere do resultado, o índice de origem
+   * — é o que permite marcar o trecho certo no texto com acentos.
+   * @param {string} text
+   * @returns {{ folded: string, map: number[] }}
    */
-  const prefersReducedMotion = () =>
-    window.matchMedia('(prefers-reduced-motion: reduce)').matches;
-
-  return { ScrollBus, createObserver, prefersReducedMotion };
-})();
-
-
-/* ════════════════════════════════════════════════════════════════════
-   MÓDULO 1 — HEADER
-   Adiciona sombra ao header no scroll e gerencia o menu mobile.
-   ════════════════════════════════════════════════════════════════════ */
-const HeaderModule = (() => {
-  let header, menuToggle, mobileNav;
-
-  /** Aplica/remove .scrolled conforme posição do scroll. */
-  const handleScroll = () => {
-    header?.classList.toggle('scrolled', window.scrollY > 10);
+  const foldWithMap = (text) => {
+    let folded = '';
+    const map = [];
+    for (let i = 0; i < text.length; i++) {
+      const part = foldText(text[i]);
+      for (let k = 0; k < part.length; k++) map.push(i);
+      folded += part;
+    }
+    return { folded, map };
   };
 
-  /** Atualiza ícone, aria-expanded e classe is-open do menu mobile. */
-  const setMenuState = (isOpen) => {
-    if (!menuToggle || !mobileNav) return;
+  const termsOf = (value) => foldText(value).split(/\s+/).filter(Boolean);
 
-    menuToggle.setAttribute('aria-expanded', String(isOpen));
-    mobileNav.setAttribute('aria-hidden', String(!isOpen));
-    mobileNav.classList.toggle('is-open', isOpen);
-
-    const icon = menuToggle.querySelector('i');
-    if (icon) icon.className = isOpen ? 'ri-close-line' : 'ri-menu-line';
+  /** Lê o texto dos cards; refeito a cada troca de idioma. */
+  const index = () => {
+    cards.forEach(card => {
+      const texts = [...card.querySelectorAll(SEARCH_FIELDS)].map(el => el.textContent);
+      haystacks.set(card, foldText([...texts, card.dataset.tags ?? ''].join(' ')));
+    });
   };
 
-  const toggleMenu = () => {
-    const isOpen = menuToggle.getAttribute('aria-expanded') === 'true';
-    setMenuState(!isOpen);
+  /** Texto do contador no idioma ativo (refeito em 'i18n:changed'). */
+  const renderCount = () => {
+    if (countEl && lastVisible !== null) {
+      countEl.textContent = t('topics.count', { count: lastVisible });
+    }
   };
 
-  const closeMenu = () => setMenuState(false);
-
-  const init = () => {
-    header     = document.querySelector('.header');
-    menuToggle = document.querySelector('#mobile-toggle');
-    mobileNav  = document.querySelector('#mobile-nav');
-
-    if (!header) return;
-
-    // CORRIGIDO: usa ScrollBus em vez de criar listener próprio
-    Utils.ScrollBus.subscribe(handleScroll);
-    handleScroll(); // estado inicial
-
-    menuToggle?.addEventListener('click', toggleMenu);
+  /* ── Realce ── */
 
-    // Fecha menu ao clicar em qualquer link do nav mobile
-    mobileNav?.querySelectorAll('.mobile-nav__link').forEach(link => {
-      link.addEventListener('click', closeMenu);
-    });
-
-    // Fecha menu com Escape
-    document.addEventListener('keydown', ({ key }) => {
-      if (key === 'Escape') closeMenu();
+  /** @param {Element} card */
+  const clearMarks = (card) => {
+    card.querySelectorAll(`mark.${MARK_CLASS}`).forEach(mark => {
+      const parent = mark.parentNode;
+      mark.replaceWith(mark.textContent);
+      parent.normalize();
     });
   };
 
-  return { init };
-})();
-
-
-/* ════════════════════════════════════════════════════════════════════
-   MÓDULO 2 — THEME
-   Alterna dark/light; persiste em localStorage; respeita prefers-color-scheme.
-
-   CORRIGIDO: desacoplado do ToastModule.
-   Agora dispara CustomEvent 'theme:changed' em vez de chamar ToastModule.show() diretamente.
-   ToastModule escuta esse evento de forma independente.
-   ════════════════════════════════════════════════════════════════════ */
-const ThemeModule = (() => {
-  const STORAGE_KEY = 'smart-active-theme';
-  const LIGHT_CLASS = 'light-theme';
-
-  let toggleBtn, themeIcon;
-
   /**
-   * Aplica o tema ao <body> e atualiza ícone e aria-label.
-   * @param {boolean} isLight
+   * Envolve as ocorrências dos termos em <mark>, nó de texto por nó de texto.
+   * @param {Element} card
+   * @param {string[]} terms — já normalizados
    */
-  const applyTheme = (isLight) => {
-    document.body.classList.toggle(LIGHT_CLASS, isLight);
-
-    if (themeIcon) {
-      themeIcon.className = isLight ? 'ri-sun-line' : 'ri-moon-line';
-    }
-
-    toggleBtn?.setAttribute(
-      'aria-label',
-      isLight ? 'Alternar para tema escuro' : 'Alternar para tema claro'
-    );
-  };
-
-  /**
-   * Retorna preferência salva ou detecta via sistema.
-   * @returns {boolean} true = light mode
-   */
-  const getInitialTheme = () => {
-    const saved = localStorage.getItem(STORAGE_KEY);
-    if (saved !== null) return saved === 'light';
-    return window.matchMedia('(prefers-color-scheme: light)').matches;
-  };
-
-  const toggle = () => {
-    const isLight = !document.body.classList.contains(LIGHT_CLASS);
-    applyTheme(isLight);
-    localStorage.setItem(STORAGE_KEY, isLight ? 'light' : 'dark');
+  const markTerms = (card, terms) => {
+    card.querySelectorAll(SEARCH_FIELDS).forEach(field => {
+      const walker = document.createTreeWalker(field, NodeFilter.SHOW_TEXT);
+      const nodes = [];
+      while (walker.nextNode()) nodes.push(walker.currentNode);
+
+      nodes.forEach(node => {
+        const text = node.nodeValue;
+        const { folded, map } = foldWithMap(text);
+
+        /** @type {Array<[number, number]>} intervalos [início, fim) no texto original */
+        const ranges = [];
+        terms.forEach(term => {
+          for (let at = folded.indexOf(term); at !== -1; at = folded.indexOf(term, at + term.length)) {
+            ranges.push([map[at], map[at + term.length - 1] + 1]);
+          }
+        });
+        if (!ranges.length) return;
+
+        // Ordena e junta sobreposições ("mus" + "musculo")
+        ranges.sort((a, b) => a[0] - b[0]);
+        const merged = [ranges[0]];
+        ranges.slice(1).forEach(([start, end]) => {
+          const last = merged[merged.length - 1];
+          if (start <= last[1]) last[1] = Math.max(last[1], end);
+          else merged.push([start, end]);
+        });
 
-    // CORRIGIDO: desacoplado — dispara evento em vez de chamar ToastModule diretamente
-    document.dispatchEvent(
-      new CustomEvent('theme:changed', { detail: { isLight } })
-    );
+        const frag = document.createDocumentFragment();
+        let cursor = 0;
+        merged.forEach(([start, end]) => {
+          if (start > cursor) frag.append(text.slice(cursor, start));
+          const mark = document.createElement('mark');
+          mark.className = MARK_CLASS;
+          mark.textContent = text.slice(start, end);
+          frag.append(mark);
+          cursor = end;
+        });
+        if (cursor < text.length) frag.append(text.slice(cursor));
+        node.replaceWith(frag);
+      });
+    });
   };
 
-  const init = () => {
-    toggleBtn = document.querySelector('#theme-toggle');
-    themeIcon = document.querySelector('#theme-icon');
-
-    toggleBtn?.addEventListener('click', toggle);
-    applyTheme(getInitialTheme());
-  };
+  /* ── Filtro ── */
 
-  return { init };
-})();
-
-
-/* ════════════════════════════════════════════════════════════════════
-   MÓDULO 3 — FILTER
-   Filtra os cards por categoria e atualiza a contagem visível.
-   ════════════════════════════════════════════════════════════════════ */
-const FilterModule = (() => {
-  let filterBtns, cards, countEl, emptyState;
-
-  /**
-   * Mostra/oculta cards e atualiza a contagem acessível.
-   * @param {string} filter — 'all' ou valor de data-category
-   */
-  const applyFilter = (filter) => {
+  /** Mostra/oculta cards conforme categorias + busca e atualiza contagem e estado vazio. */
+  const applyFilter = () => {
+    const terms = termsOf(query);
     let visible = 0;
 
     cards.forEach(card => {
-      const match = filter === 'all' || card.dataset.category === filter;
+      const byCategory = !selected.size || selected.has(card.dataset.category);
+      const haystack   = haystacks.get(card);
+      const byText     = terms.every(term => haystack.includes(term));
+      const match      = byCategory && byText;
+
       card.hidden = !match;
+      clearMarks(card);
+      if (match && terms.length) markTerms(card, terms);
       if (match) visible++;
     });
 
-    if (countEl) {
-      countEl.textContent = visible === 1
-        ? '1 modalidade disponível'
-        : `${visible} modalidades disponíveis`;
-    }
+    lastVisible = visible;
+    renderCount();
 
     if (emptyState) {
       emptyState.hidden = visible > 0;
     }
   };
 
-  /**
-   * Atualiza classes e aria-pressed nos botões de filtro.
-   * @param {Element} activeBtn
-   */
-  const updateButtons = (activeBtn) => {
+  /** Atualiza classes e aria-pressed: "Todas" ativo quando nenhuma categoria está marcada. */
+  const updateButtons = () => {
     filterBtns.forEach(btn => {
-      const isActive = btn === activeBtn;
+      const value    = btn.dataset.filter ?? 'all';
+      const isActive = value === 'all' ? !selected.size : selected.has(value);
       btn.classList.toggle('filter-btn--active', isActive);
       btn.setAttribute('aria-pressed', String(isActive));
     });
   };
 
+  /** Aplica o estado atual e avisa os outros módulos. */
+  const commit = () => {
+    updateButtons();
+    applyFilter();
+
+    const categories = [...selected];
+    // filter: categoria única ou 'all' — formato que a grade de aulas já entende
+    const filter = categories.length === 1 ? categories[0] : 'all';
+
+    // Outros módulos (Detail, Schedule, UrlState) acompanham o filtro sem referência direta
+    document.dispatchEvent(new CustomEvent('filter:changed', { detail: { filter, categories, query } }));
+  };
+
+  const isCategory = (value) => [...filterBtns].some(btn => btn.dataset.filter === value && value !== 'all');
+
+  /**
+   * Define categorias e busca de uma vez (restauração pela URL).
+   * @param {{ categories?: string[], query?: string }} state — categorias desconhecidas são ignoradas
+   */
+  const setState = ({ categories = [], query: text = '' } = {}) => {
+    selected = new Set(categories.filter(isCategory));
+    query = text.trim();
+    if (searchInput) searchInput.value = query;
+    commit();
+  };
+
+  /**
+   * Mostra só uma categoria (atalhos "Explorar") e limpa a busca.
+   * @param {string} filter — 'all' ou valor de data-category
+   * @returns {boolean} false se não existe botão para esse filtro
+   */
+  const setFilter = (filter) => {
+    if (filter !== 'all' && !isCategory(filter)) return false;
+    setState({ categories: filter === 'all' ? [] : [filter] });
+    return true;
+  };
+
   const handleFilterClick = ({ currentTarget }) => {
-    const filter = currentTarget.dataset.filter ?? 'all';
-    updateButtons(currentTarget);
-    applyFilter(filter);
+    const value = currentTarget.dataset.filter ?? 'all';
+    if (value === 'all') selected.clear();
+    else if (selected.has(value)) selected.delete(value);
+    else selected.add(value);
+    commit();
   };
 
+  const handleSearch = debounce(() => {
+    const next = searchInput.value.trim();
+    if (next === query) return;
+    query = next;
+    commit();
+  }, 200);
+
   const init = () => {
-    filterBtns = document.querySelectorAll('.filter-btn');
-    cards      = document.querySelectorAll('#topics-grid .card');
-    countEl    = document.querySelector('#topic-count');
-    emptyState = document.querySelector('#empty-state');
+    filterBtns  = document.querySelectorAll('.filter-btn[data-filter]');
+    cards       = document.querySelectorAll('#topics-grid .card');
+    countEl     = document.querySelector('#topic-count');
+    emptyState  = document.querySelector('#empty-state');
+    searchInput = document.querySelector('#topic-search');
+
+    index();
 
     filterBtns.forEach(btn => btn.addEventListener('click', handleFilterClick));
+    searchInput?.addEventListener('input', handleSearch);
+
+    // Títulos e descrições trocam de idioma: a busca passa a valer no texto novo
+    // (e as marcas voltam, já que o I18n reescreve o texto dos campos)
+    lastVisible = [...cards].filter(card => !card.hidden).length;
+    document.addEventListener('i18n:changed', () => {
+      index();
+      applyFilter();
+    });
   };
 
-  return { init };
+  return {
+    init,
+    set: setFilter,
+    setState,
+    /** Estado atual: categorias marcadas (vazio = todas) e texto buscado. */
+    get state() { return { categories: [...selected], query }; },
+  };
 })();
 
 
@@ -313,7 +307,7 @@ const BackToTopModule = (() => {
 
     btn.addEventListener('click', scrollToTop);
     // CORRIGIDO: usa ScrollBus em vez de criar listener próprio
-    Utils.ScrollBus.subscribe(updateVisibility);
+    ScrollBus.subscribe(updateVisibility);
     updateVisibility(); // estado inicial
   };
 
@@ -321,50 +315,6 @@ const BackToTopModule = (() => {
 })();
 
 
-/* ════════════════════════════════════════════════════════════════════
-   MÓDULO 5 — TOAST
-   Exibe notificações temporárias (<output>) no centro da tela.
-
-   CORRIGIDO:
-   - Escuta o CustomEvent 'theme:changed' para exibir mensagem de tema
-     sem acoplamento direto com ThemeModule
-   ════════════════════════════════════════════════════════════════════ */
-const ToastModule = (() => {
-  let toastEl;
-  let hideTimer = null;
-
-  /**
-   * Exibe uma mensagem temporária.
-   * @param {string} message
-   * @param {number} [duration=2500] — duração em ms
-   */
-  const show = (message, duration = 2500) => {
-    if (!toastEl) return;
-
-    if (hideTimer) clearTimeout(hideTimer);
-
-    toastEl.textContent = message;
-    toastEl.classList.add('is-visible');
-
-    hideTimer = setTimeout(() => {
-      toastEl.classList.remove('is-visible');
-      hideTimer = null;
-    }, duration);
-  };
-
-  const init = () => {
-    toastEl = document.querySelector('#toast');
-
-    // CORRIGIDO: escuta evento de tema em vez de ser chamado diretamente por ThemeModule
-    document.addEventListener('theme:changed', ({ detail }) => {
-      show(detail.isLight ? '☀️ Tema claro ativado' : '🌙 Tema escuro ativado');
-    });
-  };
-
-  return { init, show };
-})();
-
-
 /* ════════════════════════════════════════════════════════════════════
    MÓDULO 6 — ANIMATIONS (Scroll Reveal)
    Usa IntersectionObserver para animar elementos ao entrar na viewport.
@@ -382,11 +332,11 @@ const AnimationsModule = (() => {
   const revealElement = (entry, observer) => {
     entry.target.style.opacity   = '1';
     entry.target.style.transform = 'translateY(0)';
-    observer.unobserve(entry.target);
+    observer?.unobserve(entry.target);
   };
 
   const init = () => {
-    if (Utils.prefersReducedMotion()) return;
+    if (prefersReducedMotion()) return;
 
     const targets = [
       ...document.querySelectorAll('.stat, .section__head, .filter-bar'),
@@ -395,7 +345,7 @@ const AnimationsModule = (() => {
     if (!targets.length) return;
 
     targets.forEach(prepareElement);
-    Utils.createObserver(targets, revealElement, { threshold: 0.12 });
+    createObserver(targets, revealElement, { threshold: 0.12 });
   };
 
   return { init };
@@ -451,16 +401,16 @@ const StatsCounterModule = (() => {
   };
 
   const init = () => {
-    if (Utils.prefersReducedMotion()) return;
+    if (prefersReducedMotion()) return;
 
     const statsEls = [...document.querySelectorAll('.stat__num')];
     if (!statsEls.length) return;
 
-    Utils.createObserver(
+    createObserver(
       statsEls,
       (entry, observer) => {
         animateNumber(entry.target);
-        observer.unobserve(entry.target);
+        observer?.unobserve(entry.target);
       },
       { threshold: 0.5 }
     );
@@ -481,7 +431,8 @@ const StatsCounterModule = (() => {
 const KeyboardModule = (() => {
 
   /**
-   * Retorna os cards visíveis do grid.
+   * Retorna os cards visíveis do grid, na ordem em que aparecem na tela
+   * (o SortModule reordena o próprio DOM, então a ordem do DOM é a visual).
    * @returns {HTMLElement[]}
    */
   const getVisibleCards = () =>
@@ -539,7 +490,7 @@ const ScrollSpyModule = (() => {
 
     if (!sections.length || !navLinks.length) return;
 
-    Utils.createObserver(
+    createObserver(
       sections,
       (entry) => {
         // CORRIGIDO: verifica hidden no momento da intersecção, não apenas no init
@@ -564,20 +515,59 @@ const ScrollSpyModule = (() => {
    MÓDULO 10 — CARD DETAIL PANEL
    Exibe o painel de conteúdo extra ao lado do card quando:
      a) Um link da navbar mobile é clicado (#cardio, #weight, etc.)
-     b) O filtro da barra resulta em exatamente 1 card visível
+     b) O filtro (categorias + busca) resulta em exatamente 1 card visível
 
    Quando ativo:
      - O grid recebe .has-detail → 2 colunas (card | painel)
      - O painel do card recebe .is-active → entra com animação
    Quando desativado (voltar p/ "Todas" ou outro filtro):
      - Remove .has-detail e .is-active
+   Cada abertura/fechamento dispara 'detail:changed' { id, dismissed } (id null = fechado;
+   dismissed = fechado pelo usuário no modo diálogo).
+
+   Pelo CTA "Explorar" (clique ou Enter no card) o painel abre como diálogo
+   modal (createDialog, de ./core): foco preso no painel, Escape / botão
+   fechar / clique no fundo fecham e o foco volta para o CTA. Filtro, busca
+   e URL continuam abrindo o painel inline, sem tirar o foco de onde está.
+
+   Comparação (compare): monta uma tabela lado a lado (#compare-view) com os
+   metadados dos cards (data-intensity, data-duration, data-calories,
+   data-beginner) e cópias dos benefícios e números de cada .card-detail.
+   Abrir/fechar dispara 'detail:compare' { ids } (lista vazia = fechada).
    ════════════════════════════════════════════════════════════════════ */
 const DetailModule = (() => {
 
+  /** Linhas da comparação: rótulo em compare.rows.<key> e conteúdo de cada célula. */
+  const COMPARE_ROWS = [
+    { key: 'intensity', cell: (card) => t('compare.intensity', {
+      label: card.querySelector('.card__intensity span')?.textContent.trim() ?? '',
+      value: Number(card.dataset.intensity),
+    }) },
+    { key: 'duration',  cell: (card) => t('compare.minutes', { value: Number(card.dataset.duration) }) },
+    { key: 'calories',  cell: (card) => t('compare.kcal', { value: Number(card.dataset.calories) }) },
+    { key: 'level',     cell: (card) => t(`compare.levels.${card.dataset.beginner}`) },
+    { key: 'benefits',  cell: (card, panel) => cloneFrom(panel, '.card-detail__benefits ul') },
+    { key: 'stats',     cell: (card, panel) => cloneFrom(panel, '.card-detail__stats') },
+  ];
+
   let grid;
+  let openId = null;
+  /** @type {Map<string, ReturnType<typeof createDialog>>} id do card → diálogo do painel */
+  const dialogs = new Map();
+  let compareView, compareBody;
+  /** @type {string[]} cards na comparação aberta (vazio = fechada) */
+  let comparing = [];
+  /** Elemento que abriu a comparação — recebe o foco de volta ao fechar. */
+  let compareOpener = null;
+
+  const announce = (id, dismissed = false) => {
+    openId = id;
+    document.dispatchEvent(new CustomEvent('detail:changed', { detail: { id, dismissed } }));
+  };
 
-  /** Remove qualquer painel ativo sem disparar transição dupla. */
-  const clearActive = () => {
+  /** Esconde os painéis ativos sem disparar transição dupla. */
+  const hidePanels = () => {
+    dialogs.forEach(dialog => dialog.close());
     grid?.classList.remove('has-detail');
     document.querySelectorAll('.card-detail.is-active').forEach(panel => {
       panel.classList.remove('is-active');
@@ -585,20 +575,141 @@ const DetailModule = (() => {
     });
   };
 
+  /**
+   * Fecha o painel aberto, se houver.
+   * @param {{ dismissed?: boolean }} [options] — dismissed: o usuário fechou o diálogo
+   */
+  const clearActive = ({ dismissed = false } = {}) => {
+    hidePanels();
+    if (openId !== null) announce(null, dismissed);
+  };
+
   /**
    * Ativa o painel correspondente ao cardId.
    * @param {string} cardId — ex: 'cardio', 'weight'
    */
   const activate = (cardId) => {
-    clearActive();
     const panel = document.getElementById(`${cardId}-detail`);
     if (!panel) return;
+    if (openId === cardId && panel.classList.contains('is-active')) return;
 
+    hidePanels();
     panel.hidden = false;
     // Força reflow para a animação CSS funcionar
     void panel.offsetWidth;
     panel.classList.add('is-active');
     grid?.classList.add('has-detail');
+    announce(cardId);
+  };
+
+  /**
+   * Abre o painel do card como diálogo modal; fechar pelo usuário fecha o painel.
+   * @param {string} cardId
+   * @param {HTMLElement|null} [opener] — recebe o foco de volta (normalmente o .card__cta)
+   */
+  const openDialog = (cardId, opener = document.activeElement) => {
+    const dialog = dialogs.get(cardId);
+    if (!dialog) return;
+
+    activate(cardId);
+    grid?.classList.remove('has-detail'); // o painel sai do grid enquanto é modal
+    dialog.open({ opener });
+  };
+
+  /** Cópia de um trecho do painel, sem ids (evita ids duplicados na página). */
+  const cloneFrom = (panel, selector) => {
+    const node = panel?.querySelector(selector)?.cloneNode(true);
+    node?.querySelectorAll('[id]').forEach(el => el.removeAttribute('id'));
+    return node ?? null;
+  };
+
+  const renderCompare = () => {
+    const cards = comparing.map(id => document.getElementById(id));
+
+    const table = document.createElement('table');
+    table.className = 'compare-table';
+    table.innerHTML = `
+      <caption class="visually-hidden">${escapeHTML(t('compare.title'))}</caption>
+      <thead>
+        <tr>
+          <td></td>
+          ${cards.map(card => `
+            <th scope="col" class="compare-table__head compare-table__head--${escapeHTML(card.dataset.category)}">
+              <span class="compare-table__category">${escapeHTML(card.querySelector('.card__category')?.textContent.trim() ?? '')}</span>
+              ${escapeHTML(card.querySelector('.card__title')?.textContent.trim() ?? card.id)}
+            </th>`).join('')}
+        </tr>
+      </thead>
+      <tbody></tbody>
+      <tfoot>
+        <tr>
+          <td></td>
+          ${cards.map(card => `
+            <td>
+              <button type="button" class="btn btn--ghost compare-table__explore" data-explore="${escapeHTML(card.id)}">
+                ${escapeHTML(t('compare.explore'))} <i class="ri-arrow-right-line" aria-hidden="true"></i>
+              </button>
+            </td>`).join('')}
+        </tr>
+      </tfoot>`;
+
+    const body = table.tBodies[0];
+    COMPARE_ROWS.forEach(({ key, cell }) => {
+      const row = body.insertRow();
+      const th  = document.createElement('th');
+      th.scope = 'row';
+      th.textContent = t(`compare.rows.${key}`);
+      row.append(th);
+
+      cards.forEach(card => {
+        row.insertCell().append(cell(card, document.getElementById(`${card.id}-detail`)) ?? '—');
+      });
+    });
+
+    compareBody.replaceChildren(table);
+  };
+
+  const announceCompare = () => {
+    document.dispatchEvent(new CustomEvent('detail:compare', { detail: { ids: [...comparing] } }));
+  };
+
+  /**
+   * Abre (ou atualiza) a comparação lado a lado.
+   * @param {string[]} cardIds — 2 ou mais ids de cards com painel de detalhes
+   * @param {{ focus?: boolean }} [options] — focus: leva o foco e a rolagem até a comparação
+   */
+  const compare = (cardIds, { focus = true } = {}) => {
+    const ids = cardIds.filter(id => document.getElementById(`${id}-detail`));
+    if (!compareView) return;
+    if (ids.length < 2) {
+      closeCompare();
+      return;
+    }
+
+    if (!comparing.length) compareOpener = document.activeElement;
+    comparing = ids;
+    renderCompare();
+    compareView.hidden = false;
+    announceCompare();
+
+    if (focus) {
+      compareView.querySelector('#compare-title')?.focus({ preventScroll: true });
+      compareView.scrollIntoView({ behavior: prefersReducedMotion() ? 'auto' : 'smooth', block: 'start' });
+    }
+  };
+
+  /** Fecha a comparação, devolvendo o foco a quem a abriu se ele estava dentro dela. */
+  const closeCompare = () => {
+    if (!compareView || !comparing.length) return;
+
+    const hadFocus = compareView.contains(document.activeElement);
+    comparing = [];
+    compareView.hidden = true;
+    compareBody.replaceChildren();
+    announceCompare();
+
+    if (hadFocus && compareOpener?.isConnected) compareOpener.focus();
+    compareOpener = null;
   };
 
   /**
@@ -630,10 +741,31 @@ const DetailModule = (() => {
       });
     });
 
+    // ── Painéis como diálogo ──────────────────────────────────────────
+    // Cada painel ganha um botão fechar (só aparece no modo modal)
+    document.querySelectorAll('#topics-grid .card-detail').forEach(panel => {
+      (panel.querySelector('.card-detail__inner') ?? panel).insertAdjacentHTML('afterbegin', `
+        <button
+          type="button"
+          class="card-detail__close"
+          data-dialog-close
+          aria-label="${escapeHTML(t('detail.close'))}"
+          data-i18n-attr="aria-label:detail.close"
+        ><i class="ri-close-line" aria-hidden="true"></i></button>`);
+
+      const dialog = createDialog(panel, { onClose: () => clearActive({ dismissed: true }) });
+      dialogs.set(panel.dataset.for, dialog);
+
+      // Links internos (ex.: "#trial") levam para outra parte da página: fecha o modal antes
+      panel.addEventListener('click', (e) => {
+        if (dialog.isOpen && e.target.closest('a[href^="#"]')) clearActive();
+      });
+    });
+
     // ── Card CTA buttons ("Explorar") ────────────────────────────────
-    // Ao clicar em "Explorar" dentro de um card, aciona o botão de filtro
-    // correspondente à categoria do card — destacando-o na filter bar
-    // e exibindo apenas aquele card (mesmo comportamento dos botões da navbar).
+    // Ao clicar em "Explorar" dentro de um card, filtra só pela categoria
+    // do card — destacando-a na filter bar e exibindo apenas aquele card
+    // (mesmo comportamento dos botões da navbar) — e abre o painel como diálogo.
     document.querySelectorAll('#topics-grid .card__cta').forEach(cta => {
       cta.addEventListener('click', (e) => {
         e.preventDefault();
@@ -641,11 +773,9 @@ const DetailModule = (() => {
         const category = card?.dataset.category;
         if (!category) return;
 
-        const filterBtn = document.querySelector(`.filter-btn[data-filter="${category}"]`);
-        filterBtn?.click();
-
-        // Rola suavemente até o card após o filtro ser aplicado
-        setTimeout(() => card.scrollIntoView({ behavior: 'smooth', block: 'start' }), 50);
+        // Não usa o clique no botão: com seleção múltipla ele alternaria a categoria
+        FilterModule.set(category);
+        openDialog(card.id, cta);
       });
     });
 
@@ -658,17 +788,989 @@ const DetailModule = (() => {
     });
 
     // ── Filter bar ────────────────────────────────────────────────────
-    // Hooking into filter results: após cada clique no filtro,
-    // checamos se sobrou 1 card visível para ativar o painel.
-    document.querySelectorAll('.filter-btn').forEach(btn => {
-      btn.addEventListener('click', () => {
-        // Executa APÓS o FilterModule processar (próximo tick)
-        setTimeout(syncWithFilter, 0);
+    // 'filter:changed' chega depois que o FilterModule aplicou o filtro
+    // (clique ou URL): se sobrou 1 card visível, o painel dele abre.
+    document.addEventListener('filter:changed', syncWithFilter);
+
+    // ── Comparação ────────────────────────────────────────────────────
+    compareView = document.querySelector('#compare-view');
+    compareBody = document.querySelector('#compare-body');
+    if (!compareView || !compareBody) return;
+
+    document.querySelector('#compare-close')?.addEventListener('click', closeCompare);
+    compareView.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') closeCompare();
+    });
+
+    // "Explorar" na comparação: mesmo caminho do CTA do card (o foco volta para ele ao fechar)
+    compareBody.addEventListener('click', (e) => {
+      const id = e.target.closest('[data-explore]')?.dataset.explore;
+      if (!id) return;
+      closeCompare();
+      document.getElementById(id)?.querySelector('.card__cta')?.click();
+    });
+
+    document.addEventListener('i18n:changed', () => {
+      if (comparing.length) renderCompare();
+    });
+  };
+
+  return {
+    init, activate, openDialog, clearActive, compare, closeCompare,
+    /** id do card com painel aberto, ou null. */
+    get current() { return openId; },
+    /** ids dos cards na comparação aberta (vazio = fechada). */
+    get comparing() { return [...comparing]; },
+  };
+})();
+
+
+/* ════════════════════════════════════════════════════════════════════
+   MÓDULO 11 — SCHEDULE
+   Grade semanal de aulas gerada a partir de assets/data/schedule.json.
+     - Filtra por modalidade com os mesmos valores de data-category do FilterModule
+       (e acompanha o filtro principal via 'filter:changed')
+     - Indica a aula em andamento ("Agora") e a próxima, no fuso de São Paulo
+     - Aulas favoritas ("Minhas aulas") persistem em localStorage
+     - Exporta as favoritas como .ics (recorrência semanal + lembrete) via core/ics.js
+   No mobile, o CSS colapsa a grade em uma lista por dia.
+   ════════════════════════════════════════════════════════════════════ */
+const ScheduleModule = (() => {
+  const DATA_URL    = 'assets/data/schedule.json';
+  const STORAGE_KEY = 'smart-active-my-classes';
+  const WEEKDAY_INDEX = { Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6, Sun: 7 };
+  const MINUTES_PER_WEEK = 7 * 24 * 60;
+  const ALARM_MINUTES = 30;
+
+  let root, weekEl, filterBtns, mineToggle, mineCount, exportBtn;
+  let schedule = null;
+  let filter   = 'all';
+  let onlyMine = false;
+  let starred  = new Set();
+
+  /* ── Tempo ─────────────────────────────────────────────────────── */
+
+  /**
+   * Nome do dia (1 = segunda … 7 = domingo) no idioma atual.
+   * 1º de janeiro de 2024 caiu numa segunda-feira.
+   * @param {number} day
+   */
+  const dayName = (day) => {
+    const name = I18n.formatDate(Date.UTC(2024, 0, day), { weekday: 'long', timeZone: 'UTC' });
+    return name.charAt(0).toLocaleUpperCase(I18n.lang) + name.slice(1);
+  };
+
+  /** "07:30" → 450 */
+  const toMinutes = (hhmm) => {
+    const [h, m] = hhmm.split(':').map(Number);
+    return h * 60 + m;
+  };
+
+  /** "07:30" + 45 → "08:15" */
+  const endTime = (hhmm, duration) => {
+    const total = toMinutes(hhmm) + duration;
+    return `${String(Math.floor(total / 60) % 24).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+  };
+
+  /**
+   * Dia da semana (1 = segunda … 7 = domingo) e minutos desde a meia-noite
+   * no fuso da academia, independentemente do fuso do visitante.
+   * @param {string} timeZone
+   * @param {Date} [date]
+   */
+  const clockIn = (timeZone, date = new Date()) => {
+    const parts = Object.fromEntries(
+      new Intl.DateTimeFormat('en-US', {
+        timeZone, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+      }).formatToParts(date).map(({ type, value }) => [type, value])
+    );
+    return { day: WEEKDAY_INDEX[parts.weekday], minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+  };
+
+  /** Minutos da semana (a partir de segunda 00:00) em que a aula começa. */
+  const weekMinute = (cls) => (cls.day - 1) * 24 * 60 + toMinutes(cls.start);
+
+  /**
+   * Aula em andamento e próxima aula entre as visíveis.
+   * @returns {{ now: Set<string>, next: string|null }}
+   */
+  const nowAndNext = (classes) => {
+    const clock = clockIn(schedule.timezone);
+    const current = (clock.day - 1) * 24 * 60 + clock.minutes;
+    const now = new Set();
+    let next = null;
+    let nextIn = Infinity;
+
+    classes.forEach(cls => {
+      const start = weekMinute(cls);
+      if (current >= start && current < start + cls.duration) {
+        now.add(cls.id);
+        return;
+      }
+      const wait = (start - current + MINUTES_PER_WEEK) % MINUTES_PER_WEEK;
+      if (wait > 0 && wait < nextIn) {
+        nextIn = wait;
+        next = cls.id;
+      }
+    });
+
+    return { now, next };
+  };
+
+  /* ── Persistência ──────────────────────────────────────────────── */
+
+  const loadStarred = () => {
+    try {
+      return new Set(JSON.parse(localStorage.getItem(STORAGE_KEY) ?? '[]'));
+    } catch {
+      return new Set();
+    }
+  };
+
+  const saveStarred = () => localStorage.setItem(STORAGE_KEY, JSON.stringify([...starred]));
+
+  /* ── Renderização ──────────────────────────────────────────────── */
+
+  const categoryOf = (cls) => schedule.modalities[cls.modality]?.category;
+
+  /** Aulas que passam pelo filtro de modalidade e por "Minhas aulas". */
+  const visibleClasses = () => schedule.classes.filter(cls =>
+    (filter === 'all' || categoryOf(cls) === filter) &&
+    (!onlyMine || starred.has(cls.id)));
+
+  /**
+   * @param {object} cls
+   * @param {{ now: Set<string>, next: string|null }} status
+   */
+  const classTemplate = (cls, status) => {
+    const modality = schedule.modalities[cls.modality] ?? { name: cls.modality, category: 'blue' };
+    const isStarred = starred.has(cls.id);
+    const badge = status.now.has(cls.id)
+      ? `<span class="schedule__badge schedule__badge--now">${escapeHTML(t('schedule.now'))}</span>`
+      : status.next === cls.id ? `<span class="schedule__badge schedule__badge--next">${escapeHTML(t('schedule.next'))}</span>` : '';
+    const starLabel = t(isStarred ? 'schedule.star.remove' : 'schedule.star.add', {
+      name: modality.name, day: dayName(cls.day), time: cls.start,
+    });
+
+    return `
+      <li class="schedule__class schedule__class--${escapeHTML(modality.category)}${status.now.has(cls.id) ? ' is-now' : ''}" data-class-id="${escapeHTML(cls.id)}">
+        <div class="schedule__class-head">
+          <time class="schedule__time" datetime="${escapeHTML(cls.start)}">${escapeHTML(cls.start)}–${endTime(cls.start, cls.duration)}</time>
+          ${badge}
+        </div>
+        <a href="#${escapeHTML(cls.modality)}" class="schedule__name">${escapeHTML(modality.name)}</a>
+        <p class="schedule__meta">${escapeHTML(cls.coach)} · ${escapeHTML(cls.room)}</p>
+        <button
+          type="button"
+          class="schedule__star"
+          aria-pressed="${isStarred}"
+          aria-label="${escapeHTML(starLabel)}"
+        >
+          <i class="${isStarred ? 'ri-star-fill' : 'ri-star-line'}" aria-hidden="true"></i>
+        </button>
+      </li>`;
+  };
+
+  const render = () => {
+    if (!schedule || !weekEl) return;
+
+    const classes = visibleClasses();
+    const status  = nowAndNext(classes);
+    const today   = clockIn(schedule.timezone).day;
+
+    weekEl.innerHTML = [1, 2, 3, 4, 5, 6, 7].map(day => {
+      const items = classes
+        .filter(cls => cls.day === day)
+        .sort((a, b) => toMinutes(a.start) - toMinutes(b.start));
+
+      return `
+        <section class="schedule__day${day === today ? ' is-today' : ''}${items.length ? '' : ' is-empty'}" aria-labelledby="schedule-day-${day}">
+          <h3 class="schedule__day-title" id="schedule-day-${day}">
+            ${escapeHTML(dayName(day))}${day === today ? ` <span class="schedule__today">${escapeHTML(t('schedule.today'))}</span>` : ''}
+          </h3>
+          ${items.length
+            ? `<ul class="schedule__list" role="list">${items.map(cls => classTemplate(cls, status)).join('')}</ul>`
+            : `<p class="schedule__empty">${escapeHTML(t('schedule.empty'))}</p>`}
+        </section>`;
+    }).join('');
+
+    if (mineCount) mineCount.textContent = String(starred.size);
+    if (exportBtn) exportBtn.disabled = starred.size === 0;
+  };
+
+  /* ── Interação ─────────────────────────────────────────────────── */
+
+  /**
+   * @param {string} value — 'all' ou valor de data-category
+   */
+  const setFilter = (value) => {
+    filter = value;
+    filterBtns.forEach(btn => {
+      const isActive = btn.dataset.scheduleFilter === value;
+      btn.classList.toggle('filter-btn--active', isActive);
+      btn.setAttribute('aria-pressed', String(isActive));
+    });
+    render();
+  };
+
+  const toggleStar = (id) => {
+    if (starred.has(id)) starred.delete(id);
+    else starred.add(id);
+    saveStarred();
+    render();
+
+    // Mantém o foco no mesmo botão após re-render
+    root.querySelector(`[data-class-id="${id}"] .schedule__star`)?.focus();
+    document.dispatchEvent(new CustomEvent('schedule:starred', { detail: { ids: [...starred] } }));
+  };
+
+  /** @returns {object[]} aulas marcadas em "Minhas aulas" */
+  const getStarred = () => schedule ? schedule.classes.filter(cls => starred.has(cls.id)) : [];
+
+  /** Baixa as aulas favoritas como calendário recorrente (.ics). */
+  const exportCalendar = () => {
+    const events = getStarred().map(cls => {
+      const name = schedule.modalities[cls.modality]?.name ?? cls.modality;
+      return {
+        uid:         `${cls.id}@smartactive`,
+        summary:     `${name} — SMART ACTIVE`,
+        date:        nextWeekday(cls.day, schedule.timezone, { time: cls.start }),
+        weekday:     cls.day,
+        start:       cls.start,
+        duration:    cls.duration,
+        location:    schedule.location,
+        description: t('schedule.ics.description', { coach: cls.coach, room: cls.room }),
+        alarm:       ALARM_MINUTES,
+      };
+    });
+    if (!events.length) return;
+
+    downloadFile(
+      'smart-active-minhas-aulas.ics',
+      'text/calendar;charset=utf-8',
+      buildCalendar({ events, timezone: schedule.timezone, name: t('schedule.ics.name') })
+    );
+  };
+
+  const init = async () => {
+    root       = document.querySelector('#schedule');
+    weekEl     = document.querySelector('#schedule-week');
+    filterBtns = [...document.querySelectorAll('[data-schedule-filter]')];
+    mineToggle = document.querySelector('#schedule-mine');
+    mineCount  = document.querySelector('#schedule-mine-count');
+    exportBtn  = document.querySelector('#schedule-export');
+
+    if (!root || !weekEl) return;
+
+    // Acompanha o filtro principal da página — registrado antes do fetch para
+    // não perder o filtro restaurado da URL enquanto a grade carrega
+    document.addEventListener('filter:changed', ({ detail }) => setFilter(detail.filter));
+
+    try {
+      schedule = await fetchJSON(DATA_URL);
+    } catch {
+      root.hidden = true;
+      return;
+    }
+
+    starred = loadStarred();
+
+    filterBtns.forEach(btn => btn.addEventListener('click', () => setFilter(btn.dataset.scheduleFilter)));
+
+    mineToggle?.addEventListener('click', () => {
+      onlyMine = !onlyMine;
+      mineToggle.setAttribute('aria-pressed', String(onlyMine));
+      mineToggle.classList.toggle('is-active', onlyMine);
+      render();
+    });
+
+    exportBtn?.addEventListener('click', exportCalendar);
+
+    weekEl.addEventListener('click', (e) => {
+      const star = e.target.closest('.schedule__star');
+      const id = star?.closest('[data-class-id]')?.dataset.classId;
+      if (id) toggleStar(id);
+    });
+
+    document.addEventListener('i18n:changed', render);
+
+    render();
+    // Atualiza "Agora / Próxima" a cada minuto
+    setInterval(render, 60 * 1000);
+  };
+
+  return { init, getStarred };
+})();
+
+
+/* ════════════════════════════════════════════════════════════════════
+   MÓDULO 12 — TRIAL BOOKING
+   Agendamento de aula experimental: modalidade → data → horário → contato.
+     - Horários vêm de um SlotProvider (core/booking.js): API REST quando o
+       formulário define data-slots-api, senão schedule.json + trial.json
+       com reservas em localStorage
+     - Telefone com máscara brasileira; erros por campo com aria-invalid
+     - Horário lotado é rejeitado pelo provider (SlotUnavailableError) e a
+       lista é recarregada
+   Links [data-trial-modality] (painéis dos cards) pré-selecionam a modalidade.
+   ════════════════════════════════════════════════════════════════════ */
+const TrialModule = (() => {
+  const SCHEDULE_URL = 'assets/data/schedule.json';
+  const TRIAL_URL    = 'assets/data/trial.json';
+  const STORAGE_KEY  = 'smart-active-trial-bookings';
+  const TIMEZONE     = 'America/Sao_Paulo';
+  const LOCATION     = 'SMART ACTIVE — Avenida Roberto Burle Mark, Ipatinga – MG';
+
+  let form, fields, slotsEl, statusEl, submitBtn, confirmation, summaryEl;
+  let provider;
+  let config    = { leadDays: 1, horizonDays: 21 };
+  let slots     = new Map();
+  let slotsHint = 'trial.hint';   // chave da mensagem no lugar da lista (null = lista)
+  let status    = '';             // chave da mensagem em #trial-status
+  let validated = false;          // erros visíveis desde o último envio
+  let requestId = 0;
+  let booked    = null;
+
+  /* ── Datas (sempre no fuso da academia) ────────────────────────── */
+
+  /** Data de hoje + n dias em 'AAAA-MM-DD', no fuso de São Paulo. */
+  const dateFromToday = (days) => {
+    const [y, m, d] = new Intl.DateTimeFormat('en-CA', { timeZone: TIMEZONE }).format(new Date()).split('-').map(Number);
+    return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+  };
+
+  /** 'AAAA-MM-DD' → dia ISO (1 = segunda … 7 = domingo). */
+  const isoWeekday = (date) => new Date(`${date}T12:00:00Z`).getUTCDay() || 7;
+
+  /** 'AAAA-MM-DD' → "segunda-feira, 26 de outubro" (no idioma atual) */
+  const formatDate = (date) =>
+    I18n.formatDate(`${date}T12:00:00Z`, {
+      weekday: 'long', day: 'numeric', month: 'long', timeZone: 'UTC',
+    });
+
+  /* ── Provider padrão (JSON) ────────────────────────────────────── */
+
+  /** Aulas da grade semanal naquele dia viram horários com capacidade da aula experimental. */
+  const expandSlots = ({ schedule, trial }, { modality, date }) => {
+    const day = isoWeekday(date);
+    const capacity = trial.capacity[modality] ?? trial.capacity.default;
+
+    return schedule.classes
+      .filter(cls => cls.modality === modality && cls.day === day)
+      .sort((a, b) => a.start.localeCompare(b.start))
+      .map(cls => ({
+        id:       `${cls.id}@${date}`,
+        date,
+        start:    cls.start,
+        duration: cls.duration,
+        coach:    cls.coach,
+        room:     cls.room,
+        capacity,
+        taken:    trial.taken[cls.id] ?? 0,
+      }));
+  };
+
+  const createProvider = () => {
+    const api = form.dataset.slotsApi;
+    if (api) return createHTTPSlotProvider(api);
+
+    return createLocalSlotProvider({
+      storageKey: STORAGE_KEY,
+      expand:     expandSlots,
+      load: async () => {
+        const [schedule, trial] = await Promise.all([fetchJSON(SCHEDULE_URL), fetchJSON(TRIAL_URL)]);
+        return { schedule, trial };
+      },
+    });
+  };
+
+  /* ── Validação ─────────────────────────────────────────────────── */
+
+  /**
+   * Mostra/limpa o erro de um campo.
+   * @param {string} name  — chave em fields ou 'slot'
+   * @param {string} [message]
+   */
+  const setError = (name, message = '') => {
+    const errorEl = document.querySelector(`#trial-${name}-error`);
+    if (errorEl) errorEl.textContent = message;
+    fields[name]?.setAttribute('aria-invalid', String(!!message));
+  };
+
+  const selectedSlotId = () => form.querySelector('input[name="slot"]:checked')?.value;
+
+  /** @returns {Record<string, string>} mensagens de erro por campo (vazio = válido) */
+  const validate = () => {
+    const errors = {};
+    const { modality, date, name, phone, email } = fields;
+
+    if (!modality.value) errors.modality = t('trial.errors.modality');
+
+    if (!date.value) errors.date = t('trial.errors.date');
+    else if (date.value < date.min || date.value > date.max) {
+      errors.date = t('trial.errors.dateRange', { from: formatDate(date.min), to: formatDate(date.max) });
+    }
+
+    if (!selectedSlotId()) errors.slot = t('trial.errors.slot');
+
+    if (name.value.trim().split(/\s+/).filter(Boolean).length < 2) errors.name = t('trial.errors.name');
+
+    if (!phone.value.trim()) errors.phone = t('trial.errors.phone');
+    else if (!isValidPhoneBR(phone.value)) errors.phone = t('trial.errors.phoneInvalid');
+
+    if (!email.value.trim()) errors.email = t('trial.errors.email');
+    else if (!isValidEmail(email.value.trim())) errors.email = t('trial.errors.emailInvalid');
+
+    ['modality', 'date', 'slot', 'name', 'phone', 'email'].forEach(key => setError(key, errors[key]));
+    return errors;
+  };
+
+  /* ── Horários ──────────────────────────────────────────────────── */
+
+  const slotTemplate = (slot) => {
+    const full = slot.remaining === 0;
+    const remaining = full ? t('trial.full') : t('trial.remaining', { count: slot.remaining });
+
+    return `
+      <label class="trial__slot${full ? ' is-full' : ''}">
+        <input type="radio" name="slot" value="${escapeHTML(slot.id)}"${full ? ' disabled' : ''}>
+        <span class="trial__slot-time">${escapeHTML(slot.start)}</span>
+        ${slot.coach ? `<span class="trial__slot-coach">${escapeHTML(slot.coach)}</span>` : ''}
+        <span class="trial__slot-remaining">${escapeHTML(remaining)}</span>
+      </label>`;
+  };
+
+  /** Lista de horários ou a mensagem slotsHint; mantém o horário marcado. */
+  const renderSlots = () => {
+    const checked = selectedSlotId();
+    slotsEl.innerHTML = slotsHint
+      ? `<p class="trial__hint">${escapeHTML(t(slotsHint))}</p>`
+      : [...slots.values()].map(slotTemplate).join('');
+
+    const input = checked && [...slotsEl.querySelectorAll('input[name="slot"]')].find(el => el.value === checked);
+    if (input) input.checked = true;
+  };
+
+  const loadSlots = async () => {
+    const modality = fields.modality.value;
+    const date = fields.date.value;
+    slots = new Map();
+    setError('slot');
+
+    if (!modality || !date) {
+      slotsHint = 'trial.hint';
+      renderSlots();
+      return;
+    }
+
+    // Respostas antigas (troca rápida de data/modalidade) são descartadas
+    const current = ++requestId;
+    slotsHint = 'trial.loading';
+    renderSlots();
+
+    try {
+      const list = await provider.list({ modality, date });
+      if (current !== requestId) return;
+
+      list.forEach(slot => slots.set(slot.id, slot));
+      slotsHint = list.length ? null : 'trial.noSlots';
+    } catch {
+      if (current !== requestId) return;
+      slotsHint = 'trial.loadError';
+    }
+    renderSlots();
+  };
+
+  /* ── Envio e confirmação ───────────────────────────────────────── */
+
+  const setStatus = (key = '') => {
+    status = key;
+    statusEl.textContent = key && t(key);
+  };
+
+  const renderSummary = () => {
+    const { slot, contact, modalityName } = booked;
+    const rows = [
+      ['modality', modalityName],
+      ['date', formatDate(slot.date)],
+      ['time', slot.start],
+      ...(slot.coach ? [['coach', slot.coach]] : []),
+      ['name', contact.name],
+    ];
+
+    summaryEl.innerHTML = rows
+      .map(([term, value]) => `<div><dt>${escapeHTML(t(`trial.summary.${term}`))}</dt><dd>${escapeHTML(value)}</dd></div>`)
+      .join('');
+  };
+
+  const showConfirmation = (slot, contact) => {
+    const modalityName = fields.modality.selectedOptions[0]?.textContent ?? '';
+    booked = { slot, contact, modalityName };
+    renderSummary();
+
+    form.hidden = true;
+    confirmation.hidden = false;
+    confirmation.focus();
+  };
+
+  const onSubmit = async (e) => {
+    e.preventDefault();
+    setStatus();
+    validated = true;
+
+    const errors = Object.keys(validate());
+    if (errors.length) {
+      (fields[errors[0]] ?? form.querySelector('input[name="slot"]:not(:disabled)'))?.focus();
+      return;
+    }
+
+    const slot = slots.get(selectedSlotId());
+    const contact = {
+      name:  fields.name.value.trim(),
+      phone: phoneDigits(fields.phone.value),
+      email: fields.email.value.trim(),
+    };
+
+    submitBtn.disabled = true;
+    setStatus('trial.sending');
+
+    try {
+      await provider.book(slot.id, contact);
+      setStatus();
+      validated = false;
+      showConfirmation(slot, contact);
+    } catch (err) {
+      setStatus(err instanceof SlotUnavailableError ? 'trial.unavailable' : 'trial.failed');
+      if (err instanceof SlotUnavailableError) loadSlots();
+    } finally {
+      submitBtn.disabled = false;
+    }
+  };
+
+  const addToCalendar = () => {
+    if (!booked) return;
+    const { slot, modalityName } = booked;
+
+    downloadFile('smart-active-aula-experimental.ics', 'text/calendar;charset=utf-8', buildCalendar({
+      timezone: TIMEZONE,
+      events: [{
+        uid:         `${slot.id}@smartactive-trial`,
+        summary:     t('trial.ics.summary', { modality: modalityName }),
+        date:        slot.date,
+        start:       slot.start,
+        duration:    slot.duration,
+        location:    LOCATION,
+        description: slot.coach ? t('trial.ics.description', { coach: slot.coach }) : '',
+        alarm:       60,
+      }],
+    }));
+  };
+
+  const restart = () => {
+    form.reset();
+    booked = null;
+    validated = false;
+    confirmation.hidden = true;
+    form.hidden = false;
+    loadSlots();
+    fields.modality.focus();
+  };
+
+  const init = async () => {
+    form         = document.querySelector('#trial-form');
+    slotsEl      = document.querySelector('#trial-slots');
+    statusEl     = document.querySelector('#trial-status');
+    confirmation = document.querySelector('#trial-confirmation');
+    summaryEl    = document.querySelector('#trial-summary');
+    if (!form || !slotsEl) return;
+
+    fields = Object.fromEntries(
+      ['modality', 'date', 'name', 'phone', 'email'].map(key => [key, form.querySelector(`#trial-${key}`)])
+    );
+    submitBtn = form.querySelector('[type="submit"]');
+    provider  = createProvider();
+
+    try {
+      config = { ...config, ...await fetchJSON(TRIAL_URL) };
+    } catch {
+      // Mantém os limites padrão de data
+    }
+    fields.date.min = dateFromToday(config.leadDays);
+    fields.date.max = dateFromToday(config.leadDays + config.horizonDays);
+
+    fields.modality.addEventListener('change', loadSlots);
+    fields.date.addEventListener('change', loadSlots);
+    fields.phone.addEventListener('input', () => { fields.phone.value = formatPhoneBR(fields.phone.value); });
+    form.addEventListener('submit', onSubmit);
+
+    document.querySelector('#trial-calendar')?.addEventListener('click', addToCalendar);
+    document.querySelector('#trial-again')?.addEventListener('click', restart);
+
+    document.addEventListener('i18n:changed', () => {
+      renderSlots();
+      setStatus(status);
+      if (validated) validate();
+      if (booked) renderSummary();
+    });
+
+    // Atalhos "Agendar" dos painéis dos cards
+    document.querySelectorAll('[data-trial-modality]').forEach(link => {
+      link.addEventListener('click', () => {
+        if (form.hidden) restart();
+        fields.modality.value = link.dataset.trialModality;
+        loadSlots();
       });
     });
   };
 
-  return { init, activate, clearActive };
+  return { init };
+})();
+
+
+/* ════════════════════════════════════════════════════════════════════
+   MÓDULO 13 — URL STATE
+   Reflete filtro, busca, ordenação e painel aberto na query string para que recarregar
+   ou compartilhar o link mantenha a tela:
+     ?modalidade=crossfit         → filtra pela categoria do card e abre o painel
+     ?categoria=orange,green      → categorias combinadas
+     ?busca=musculacao            → texto da busca
+     ?ordem=calories-desc         → ordenação dos cards (SortModule)
+   Mudanças feitas pelo usuário viram entradas no histórico (pushState), exceto
+   a digitação na busca, que só atualiza a entrada atual; voltar/avançar
+   (popstate) restaura o estado sem criar novas entradas. Fechar o painel pelo
+   diálogo volta sobre a entrada que abri-lo criou (createHistoryEntry), para
+   o "Voltar" não reabrir o painel.
+   ════════════════════════════════════════════════════════════════════ */
+const UrlStateModule = (() => {
+  const PARAM_MODALITY = 'modalidade';
+  const PARAM_CATEGORY = 'categoria';
+  const PARAM_QUERY    = 'busca';
+  const PARAM_SORT     = 'ordem';
+  const entry          = createHistoryEntry('detailPanel');
+
+  let restoring = false;
+
+  /** URL atual com os parâmetros refletindo o estado (hash e outros parâmetros mantidos). */
+  const buildUrl = () => {
+    const url = new URL(location.href);
+    [PARAM_MODALITY, PARAM_CATEGORY, PARAM_QUERY, PARAM_SORT].forEach(name => url.searchParams.delete(name));
+
+    const { categories, query } = FilterModule.state;
+    const open = DetailModule.current;
+    const card = open ? document.getElementById(open) : null;
+    // "?modalidade=x" sozinho já implica a categoria do card
+    const implied = !!card && !query && categories.length === 1 && categories[0] === card.dataset.category;
+
+    if (categories.length && !implied) url.searchParams.set(PARAM_CATEGORY, categories.join(','));
+    if (query) url.searchParams.set(PARAM_QUERY, query);
+    if (open) url.searchParams.set(PARAM_MODALITY, open);
+    if (SortModule.current !== 'default') url.searchParams.set(PARAM_SORT, SortModule.current);
+    return url;
+  };
+
+  const write = () => {
+    const url = buildUrl();
+    if (url.href === location.href) return;
+
+    // Na restauração só corrigimos a entrada atual (ex.: parâmetro inválido);
+    // digitar na busca (e o painel que ela abre/fecha) também não cria uma entrada por tecla
+    const typing = url.searchParams.get(PARAM_QUERY) !== new URLSearchParams(location.search).get(PARAM_QUERY);
+    // Abrir o painel marca a entrada: fechar pelo diálogo volta sobre ela
+    const opening = !!DetailModule.current &&
+      url.searchParams.get(PARAM_MODALITY) !== new URLSearchParams(location.search).get(PARAM_MODALITY);
+    if (restoring || typing) history.replaceState(history.state, '', url);
+    else if (opening) entry.push(url);
+    else history.pushState(null, '', url);
+  };
+
+  /** Painel fechado pelo usuário: sai da URL dele sem criar entrada nova. */
+  const onDetailChanged = ({ detail }) => {
+    if (detail.dismissed && !restoring) entry.leave(buildUrl());
+    else write();
+  };
+
+  /**
+   * Aplica o estado descrito na URL.
+   * @returns {HTMLElement|null} card aberto via ?modalidade, se houver
+   */
+  const restore = () => {
+    const params     = new URLSearchParams(location.search);
+    const categories = (params.get(PARAM_CATEGORY) ?? '').split(',').filter(Boolean);
+    const query      = (params.get(PARAM_QUERY) ?? '').trim();
+    const id         = params.get(PARAM_MODALITY);
+    const card       = id ? document.getElementById(id) : null;
+    const isCard     = !!card?.matches('#topics-grid .card');
+    const sort       = params.get(PARAM_SORT) ?? 'default';
+
+    if (isCard && !categories.length && !query) categories.push(card.dataset.category);
+
+    restoring = true;
+    try {
+      if (!SortModule.set(sort, { animate: false })) SortModule.set('default', { animate: false });
+
+      const current   = FilterModule.state;
+      const unchanged = current.query === query &&
+        [...current.categories].sort().join() === [...categories].sort().join();
+
+      if (!unchanged) {
+        FilterModule.setState({ categories, query });
+      } else if (!isCard) {
+        // Mesmo filtro, sem painel na URL: fecha o que a navbar abriu
+        DetailModule.clearActive();
+      }
+
+      if (isCard && !card.hidden) DetailModule.activate(id);
+      write();
+    } finally {
+      restoring = false;
+    }
+    return isCard && !card.hidden ? card : null;
+  };
+
+  const init = () => {
+    if (!document.querySelector('#topics-grid')) return;
+
+    document.addEventListener('filter:changed', write);
+    document.addEventListener('detail:changed', onDetailChanged);
+    document.addEventListener('sort:changed', write);
+    window.addEventListener('popstate', restore);
+
+    // Link compartilhado: abre direto no card
+    const card = restore();
+    card?.scrollIntoView({ block: 'start' });
+  };
+
+  return { init };
+})();
+
+
+/* ════════════════════════════════════════════════════════════════════
+   MÓDULO 14 — SORT
+   Reordena os cards pelo <select id="topic-sort"> usando os metadados de
+   cada card (data-intensity, data-duration, data-calories, data-beginner).
+     - O DOM é reordenado de verdade (não só com CSS order), então Tab,
+       as setas do KeyboardModule e leitores de tela seguem a ordem visual
+     - Cada card leva junto o seu painel de detalhes (#id-detail)
+     - Empates mantêm a ordem original (ordenação estável)
+     - Animação FLIP: mede as posições antes, move e anima a diferença;
+       com prefers-reduced-motion os cards só trocam de lugar
+   ════════════════════════════════════════════════════════════════════ */
+const SortModule = (() => {
+  /** critério → [chave em dataset, direção] */
+  const SORTS = {
+    'intensity-desc': ['intensity', -1],
+    'intensity-asc':  ['intensity',  1],
+    'duration-asc':   ['duration',   1],
+    'calories-desc':  ['calories',  -1],
+    'beginner-desc':  ['beginner',  -1],
+  };
+  const DEFAULT  = 'default';
+  const DURATION = 450; // ms
+
+  let grid, select;
+  /** @type {HTMLElement[]} cards na ordem original do HTML */
+  let cards   = [];
+  let current = DEFAULT;
+
+  /** @returns {HTMLElement[]} */
+  const sorted = (sort) => {
+    if (!SORTS[sort]) return cards;
+    const [key, dir] = SORTS[sort];
+    return cards
+      .map((card, index) => ({ card, index, value: Number(card.dataset[key]) || 0 }))
+      .sort((a, b) => (a.value - b.value) * dir || a.index - b.index)
+      .map(({ card }) => card);
+  };
+
+  /** Inverte o deslocamento de cada card e anima de volta para a posição nova. */
+  const flip = (first) => {
+    const moved = [];
+
+    first.forEach((rect, card) => {
+      const last = card.getBoundingClientRect();
+      const dx = rect.left - last.left;
+      const dy = rect.top - last.top;
+      if (!dx && !dy) return;
+
+      card.style.transition = 'none';
+      card.style.transform  = `translate(${dx}px, ${dy}px)`;
+      moved.push(card);
+    });
+
+    if (!moved.length) return;
+    void grid.offsetWidth; // força o layout com a posição invertida antes de animar
+
+    moved.forEach(card => {
+      card.style.transition = `transform ${DURATION}ms cubic-bezier(0.16, 1, 0.3, 1)`;
+      card.style.transform  = '';
+      card.addEventListener('transitionend', () => { card.style.transition = ''; }, { once: true });
+    });
+  };
+
+  const reorder = (order, animate) => {
+    const shouldAnimate = animate && !prefersReducedMotion();
+    const first = new Map(
+      shouldAnimate ? order.filter(card => !card.hidden).map(card => [card, card.getBoundingClientRect()]) : []
+    );
+
+    order.forEach(card => {
+      const panel = document.getElementById(`${card.id}-detail`);
+      grid.append(card);
+      if (panel) grid.append(panel);
+    });
+
+    if (shouldAnimate) flip(first);
+  };
+
+  /**
+   * Aplica um critério de ordenação.
+   * @param {string} sort — 'default' ou uma chave de SORTS
+   * @param {{ animate?: boolean }} [options]
+   * @returns {boolean} false se o critério não existe
+   */
+  const set = (sort, { animate = true } = {}) => {
+    if (!grid || (sort !== DEFAULT && !SORTS[sort])) return false;
+    if (select) select.value = sort;
+    if (sort === current) return true;
+
+    current = sort;
+    reorder(sorted(sort), animate);
+    document.dispatchEvent(new CustomEvent('sort:changed', { detail: { sort } }));
+    return true;
+  };
+
+  const init = () => {
+    grid = document.querySelector('#topics-grid');
+    if (!grid) return;
+
+    cards  = [...grid.querySelectorAll(':scope > .card')];
+    select = document.querySelector('#topic-sort');
+    select?.addEventListener('change', () => set(select.value));
+  };
+
+  return {
+    init, set,
+    get current() { return current; },
+  };
+})();
+
+
+/* ════════════════════════════════════════════════════════════════════
+   MÓDULO 15 — COMPARE
+   Checkbox "Comparar" em cada card e bandeja fixa (#compare-tray) com até
+   MAX modalidades, na ordem em que foram marcadas. "Comparar" abre a
+   comparação lado a lado do DetailModule; com ela aberta, marcar ou
+   desmarcar cards atualiza a tabela na hora.
+   ════════════════════════════════════════════════════════════════════ */
+const CompareModule = (() => {
+  const MAX = 3;
+
+  /** @type {string[]} */
+  let selected = [];
+  let tray, list, count, openBtn;
+
+  const titleOf = (id) =>
+    document.getElementById(id)?.querySelector('.card__title')?.textContent.trim() ?? id;
+
+  const render = () => {
+    document.querySelectorAll('#topics-grid .card__compare-input').forEach(input => {
+      input.checked = selected.includes(input.value);
+    });
+
+    tray.hidden = !selected.length;
+    count.textContent = t('compare.count', { count: selected.length, max: MAX });
+    openBtn.disabled = selected.length < 2;
+
+    list.innerHTML = selected.map(id => `
+      <li class="compare-tray__item">
+        ${escapeHTML(titleOf(id))}
+        <button
+          type="button"
+          class="compare-tray__remove"
+          data-remove="${escapeHTML(id)}"
+          aria-label="${escapeHTML(t('compare.remove', { name: titleOf(id) }))}"
+        ><i class="ri-close-line" aria-hidden="true"></i></button>
+      </li>`).join('');
+  };
+
+  /** Com a comparação aberta, acompanha a seleção (fecha se sobrar menos de 2). */
+  const sync = () => {
+    render();
+    if (DetailModule.comparing.length) DetailModule.compare(selected, { focus: false });
+  };
+
+  /**
+   * Marca ou desmarca um card para comparação.
+   * @param {string} id
+   * @param {boolean} on
+   * @returns {boolean} false se a bandeja já estava cheia
+   */
+  const toggle = (id, on) => {
+    if (on && !selected.includes(id)) {
+      if (selected.length >= MAX) {
+        ToastModule.show(t('compare.limit', { max: MAX }));
+        render(); // desfaz a marcação do checkbox
+        return false;
+      }
+      selected.push(id);
+    } else if (!on) {
+      selected = selected.filter(item => item !== id);
+    }
+    sync();
+    return true;
+  };
+
+  const clear = () => {
+    selected = [];
+    sync();
+  };
+
+  /** Insere o checkbox no rodapé de cada card (o nome do card completa o rótulo para leitores de tela). */
+  const addToggles = () => {
+    document.querySelectorAll('#topics-grid .card').forEach(card => {
+      const footer = card.querySelector('.card__footer');
+      if (!footer) return;
+
+      const label = document.createElement('label');
+      label.className = 'card__compare';
+      label.innerHTML = `
+        <input type="checkbox" class="card__compare-input" value="${escapeHTML(card.id)}">
+        <span data-i18n="compare.toggle">${escapeHTML(t('compare.toggle'))}</span>
+        <span class="visually-hidden">${escapeHTML(titleOf(card.id))}</span>`;
+      footer.querySelector('.card__cta')?.before(label);
+
+      label.querySelector('input').addEventListener('change', (e) => toggle(card.id, e.target.checked));
+    });
+  };
+
+  const init = () => {
+    tray    = document.querySelector('#compare-tray');
+    list    = document.querySelector('#compare-list');
+    count   = document.querySelector('#compare-count');
+    openBtn = document.querySelector('#compare-open');
+    if (!tray || !list || !count || !openBtn) return;
+
+    addToggles();
+
+    openBtn.addEventListener('click', () => DetailModule.compare(selected));
+    document.querySelector('#compare-clear')?.addEventListener('click', clear);
+    list.addEventListener('click', (e) => {
+      const id = e.target.closest('[data-remove]')?.dataset.remove;
+      if (id) toggle(id, false);
+    });
+
+    document.addEventListener('detail:compare', ({ detail }) => {
+      openBtn.setAttribute('aria-expanded', String(detail.ids.length > 0));
+    });
+    document.addEventListener('i18n:changed', render);
+
+    render();
+  };
+
+  return {
+    init, toggle, clear,
+    get selected() { return [...selected]; },
+  };
 })();
 
 
@@ -677,14 +1779,25 @@ const DetailModule = (() => {
    Inicializa todos os módulos após o DOM estar completamente carregado.
 
    Ordem importa:
+   - I18n antes de todos: aplica o idioma salvo e traduz mensagens geradas em JS
    - ToastModule primeiro: escuta eventos que outros módulos podem disparar
-   - ThemeModule depois: pode disparar 'theme:changed' que Toast escuta
+   - Theme depois: pode disparar 'theme:changed' que Toast escuta
    ════════════════════════════════════════════════════════════════════ */
 document.addEventListener('DOMContentLoaded', () => {
+  I18n.init();
   // Toast primeiro: escuta eventos de outros módulos
   ToastModule.init();
-  HeaderModule.init();
-  ThemeModule.init();
+  Nav.init({
+    header:        '#site-header',
+    menu:          '#mobile-nav',
+    toggle:        '#mobile-toggle',
+    links:         '.mobile-nav__link',
+    scrolledClass: 'scrolled',
+    scrolledAt:    10,
+    openClass:     'is-open',
+    swapIcon:      true,
+  });
+  Theme.init();
   FilterModule.init();
   BackToTopModule.init();
   AnimationsModule.init();
@@ -692,6 +1805,19 @@ document.addEventListener('DOMContentLoaded', () => {
   KeyboardModule.init();
   ScrollSpyModule.init();
   DetailModule.init();
+  ScheduleModule.init();
+  TrialModule.init();
+  SortModule.init();
+  CompareModule.init();
+  UrlStateModule.init(); // por último: restaura filtro/painel com todos os ouvintes prontos
+
+  // PWA: nova versão em espera é anunciada pelo toast
+  registerServiceWorker({
+    onUpdate: (apply) => ToastModule.show(t('toast.update'), {
+      duration: 0,
+      action: { label: t('toast.updateAction'), onClick: apply },
+    }),
+  });
 
   // CORRIGIDO: console.info removido de produção
   // Não expõe detalhes de arquitetura no console do usuário final
@@ -1,57 +1,16 @@
 /**
  * SMART ACTIVE — sobre.js
- * Página Institucional · Módulos: Nav, Scroll, FadeUp, Counters, Carousel, Newsletter
+ * Página Institucional · Módulos: FadeUp, Counters, SmoothScroll, Carousel, TeamDirectory, TrainerBooking, Newsletter
+ * (Nav, Toast, PWA, i18n, tema e utilitários vêm de ./core; chaves de serviços externos, de ./config.js)
  */
 
-'use strict';
-
-/* ═══════════════════════════════════════════════════════
-   UTILS
-   ═══════════════════════════════════════════════════════ */
-const $ = (sel, ctx = document) => ctx.querySelector(sel);
-const $$ = (sel, ctx = document) => [...ctx.querySelectorAll(sel)];
-
-const debounce = (fn, ms = 100) => {
-  let t;
-  return (...args) => { clearTimeout(t); t = setTimeout(() => fn(...args), ms); };
-};
-
-/* ═══════════════════════════════════════════════════════
-   NAV MODULE
-   ═══════════════════════════════════════════════════════ */
-const Nav = (() => {
-  const header   = $('#header');
-  const menu     = $('#nav-menu');
-  const toggle   = $('#nav-toggle');
-  const close    = $('#nav-close');
-  const links    = $$('.nav__link');
-  const scrollUp = $('#scroll-up');
-
-  const open  = () => { menu?.classList.add('show-menu');    toggle?.setAttribute('aria-expanded', 'true');  };
-  const shut  = () => { menu?.classList.remove('show-menu'); toggle?.setAttribute('aria-expanded', 'false'); };
-
-  const onScroll = () => {
-    const y = window.scrollY;
-    header?.classList.toggle('bg-header', y >= 60);
-    scrollUp?.classList.toggle('show-scroll', y >= 400);
-  };
-
-  const init = () => {
-    toggle?.addEventListener('click', open);
-    close?.addEventListener('click', shut);
-    links.forEach(l => l.addEventListener('click', shut));
-
-    // Close on outside tap
-    document.addEventListener('click', e => {
-      if (menu?.classList.contains('show-menu') && !menu.contains(e.target) && !toggle?.contains(e.target)) shut();
-    });
-
-    window.addEventListener('scroll', debounce(onScroll, 8), { passive: true });
-    onScroll();
-  };
-
-  return { init };
-})();
+import {
+  $, $$, debounce, escapeHTML, foldText, fetchJSON, downloadFile, createObserver,
+  isValidEmail, formatPhoneBR, isValidPhoneBR, phoneDigits, createSubmitter, bindSubmission, createOutbox,
+  buildCalendar, SlotUnavailableError, createLocalSlotProvider, createHTTPSlotProvider,
+  ToastModule, registerServiceWorker, Nav, I18n, t, localize, Theme, createDialog, createHistoryEntry, createCarousel,
+} from './core/index.js';
+import { SITE_CONFIG } from './config.js';
 
 /* ═══════════════════════════════════════════════════════
    FADE-UP (IntersectionObserver)
@@ -61,19 +20,11 @@ const FadeUp = (() => {
     const els = $$('.fade-up');
     if (!els.length) return;
 
-    if (!('IntersectionObserver' in window)) {
-      els.forEach(el => el.classList.add('is-visible'));
-      return;
-    }
-
-    const obs = new IntersectionObserver(
-      entries => entries.forEach(e => {
-        if (e.isIntersecting) { e.target.classList.add('is-visible'); obs.unobserve(e.target); }
-      }),
+    createObserver(
+      els,
+      (e, obs) => { e.target.classList.add('is-visible'); obs?.unobserve(e.target); },
       { threshold: 0.12, rootMargin: '0px 0px -40px 0px' }
     );
-
-    els.forEach(el => obs.observe(el));
   };
 
   return { init };
@@ -103,16 +54,13 @@ const Counters = (() => {
 
   const init = () => {
     const nums = $$('.inst-about__counter-num');
-    if (!nums.length || !('IntersectionObserver' in window)) return;
+    if (!nums.length) return;
 
-    const obs = new IntersectionObserver(
-      entries => entries.forEach(e => {
-        if (e.isIntersecting) { animate(e.target); obs.unobserve(e.target); }
-      }),
+    createObserver(
+      nums,
+      (e, obs) => { animate(e.target); obs?.unobserve(e.target); },
       { threshold: 0.5 }
     );
-
-    nums.forEach(el => obs.observe(el));
   };
 
   return { init };
@@ -142,169 +90,779 @@ const SmoothScroll = (() => {
 
 /* ═══════════════════════════════════════════════════════
    TEAM CAROUSEL
+   Motor em core/carousel.js (loop infinito, autoplay com
+   pausa, arraste, ARIA). Quantos cards cabem por largura
+   vem do CSS (--carousel-visible em .inst-team__carousel).
    ═══════════════════════════════════════════════════════ */
 const Carousel = (() => {
+  const AUTOPLAY_MS = 5000;
+
   const init = () => {
-    const carousel  = $('#teamCarousel');
-    if (!carousel) return;
-
-    const track     = $('#carouselTrack');
-    const btnPrev   = $('#carouselPrev');
-    const btnNext   = $('#carouselNext');
-    const dotsWrap  = $('#carouselDots');
-    const cards     = $$('.inst-personal-card', track);
-    const TOTAL     = cards.length;
-    const GAP       = 20; // px — matches CSS gap: 1.25rem ≈ 20px
-
-    let current  = 0;
-    let visible  = 4;
-    let autoPlay = null;
-
-    /* ── helpers ── */
-    const getVisible = () => {
-      const w = window.innerWidth;
-      if (w < 560)  return 1;
-      if (w < 768)  return 2;
-      if (w < 1024) return 3;
-      return 4;
-    };
+    const carousel = $('#teamCarousel');
+    const track    = $('#carouselTrack');
+    if (!carousel || !track) return;
+
+    const engine = createCarousel(carousel, {
+      track,
+      slideSelector: '.inst-personal-card',
+      prev:          $('#carouselPrev'),
+      next:          $('#carouselNext'),
+      dots:          $('#carouselDots'),
+      playButton:    $('#carouselPlay'),
+      autoplay:      AUTOPLAY_MS,
+      dotClass:      'inst-team__dot',
+    });
 
-    const cardStep = () => {
-      if (!cards[0]) return 0;
-      return cards[0].getBoundingClientRect().width + GAP;
-    };
+    /* ── cards trocados pelo TeamDirectory (carga, filtro, busca) ── */
+    document.addEventListener('team:changed', () => engine.refresh());
+  };
+
+  return { init };
+})();
+
+/* ═══════════════════════════════════════════════════════
+   TEAM DIRECTORY
+   Equipe a partir de assets/data/trainers.json: cards do
+   carrossel, filtro por especialidade, busca (sem acentos)
+   e perfil completo em diálogo — ?personal=<id> abre direto
+   e voltar/avançar do navegador abre/fecha o perfil.
+   "Agendar" (card e perfil) abre o TrainerBooking.
+   Cada renderização dispara 'team:changed' { count }.
+   ═══════════════════════════════════════════════════════ */
+const TeamDirectory = (() => {
+  const DATA_URL  = 'assets/data/trainers.json';
+  const PARAM     = 'personal';
+  const entry     = createHistoryEntry('teamProfile');
+  const SOCIAL_ICONS = {
+    instagram: 'ri-instagram-line',
+    youtube:   'ri-youtube-line',
+    linkedin:  'ri-linkedin-box-line',
+    tiktok:    'ri-tiktok-line',
+  };
 
-    const maxIdx = () => Math.max(0, TOTAL - visible);
+  let track, filtersEl, searchInput, statusEl, profileEl, profileCard, dialog;
+  /** @type {Record<string, string|Record<string, string>>} */
+  let specialties = {};
+  /** @type {Array<Object>} */
+  let trainers = [];
+  /** Texto pesquisável (normalizado) de cada personal, no idioma ativo. */
+  const haystacks = new Map();
+
+  let specialty = 'all';
+  let query     = '';
+  let loaded    = false;
+
+  const labelOf = (key) => localize(specialties[key]) ?? key;
+  const byId    = (id) => trainers.find(trainer => trainer.id === id);
+
+  /* ── filtro + busca ── */
+  const matches = (trainer) => {
+    if (specialty !== 'all' && !trainer.specialties.includes(specialty)) return false;
+    const terms = foldText(query).split(/\s+/).filter(Boolean);
+    return terms.every(term => haystacks.get(trainer.id).includes(term));
+  };
 
-    /* ── translate ── */
-    const translate = (idx, animate = true) => {
-      track.style.transition = animate ? 'transform .55s cubic-bezier(.4,0,.2,1)' : 'none';
-      track.style.transform  = `translateX(-${idx * cardStep()}px)`;
-    };
+  const socialLinks = (trainer, className, only) =>
+    Object.entries(trainer.social ?? {})
+      .filter(([network]) => SOCIAL_ICONS[network] && (!only || network === only))
+      .map(([network, url]) => `
+        <a href="${escapeHTML(url)}" class="${className}" target="_blank" rel="noopener noreferrer"
+           aria-label="${escapeHTML(t(`team.social.${network}`, { name: trainer.name }))}">
+          <i class="${SOCIAL_ICONS[network]}" aria-hidden="true"></i>
+        </a>`).join('');
+
+  const cardHTML = (trainer) => `
+    <article class="inst-personal-card" data-trainer="${escapeHTML(trainer.id)}"
+             aria-label="${escapeHTML(`${trainer.name} — ${labelOf(trainer.badge)}`)}">
+      <div class="inst-personal-card__img-wrap">
+        <img src="${escapeHTML(trainer.photo)}" alt="${escapeHTML(`${trainer.name} — ${localize(trainer.headline)}`)}" class="inst-personal-card__img" loading="lazy">
+        <span class="inst-personal-card__badge">${escapeHTML(labelOf(trainer.badge))}</span>
+        <div class="inst-personal-card__overlay" aria-hidden="true">
+          <button type="button" class="inst-personal-card__overlay-btn" data-profile="${escapeHTML(trainer.id)}" tabindex="-1">
+            ${escapeHTML(t('team.profile'))} <i class="ri-arrow-right-line"></i>
+          </button>
+        </div>
+      </div>
+      <div class="inst-personal-card__body">
+        <div class="inst-personal-card__meta">
+          <h3 class="inst-personal-card__name">${escapeHTML(trainer.name)}</h3>
+          <span class="inst-personal-card__specialty"><i class="ri-medal-line" aria-hidden="true"></i> ${escapeHTML(localize(trainer.headline))}</span>
+        </div>
+        <p class="inst-personal-card__desc">${escapeHTML(t('team.cref', { cref: trainer.cref }))}. ${escapeHTML(localize(trainer.summary))}</p>
+        <div class="inst-personal-card__footer">
+          ${socialLinks(trainer, 'inst-personal-card__social', 'instagram')}
+          <div class="inst-personal-card__actions">
+            <button type="button" class="button button--ghost inst-personal-card__cta" data-profile="${escapeHTML(trainer.id)}"
+                    aria-haspopup="dialog" aria-label="${escapeHTML(t('team.profileOf', { name: trainer.name }))}">
+              ${escapeHTML(t('team.profile'))}
+            </button>
+            <button type="button" class="button button--primary inst-personal-card__cta" data-book="${escapeHTML(trainer.id)}"
+                    aria-haspopup="dialog" aria-label="${escapeHTML(t('team.bookWith', { name: trainer.name }))}">
+              ${escapeHTML(t('team.book'))}
+            </button>
+          </div>
+        </div>
+      </div>
+    </article>`;
+
+  const renderFilters = () => {
+    const used = Object.keys(specialties).filter(key => trainers.some(trainer => trainer.specialties.includes(key)));
+    filtersEl.innerHTML = ['all', ...used].map(key => `
+      <button type="button" class="inst-team__filter" data-specialty="${escapeHTML(key)}" aria-pressed="${key === specialty}">
+        ${escapeHTML(key === 'all' ? t('team.all') : labelOf(key))}
+      </button>`).join('');
+  };
 
-    /* ── dots ── */
-    const buildDots = () => {
-      dotsWrap.innerHTML = '';
-      const total = maxIdx() + 1;
-      for (let i = 0; i < total; i++) {
-        const btn = document.createElement('button');
-        btn.className = 'inst-team__dot' + (i === 0 ? ' is-active' : '');
-        btn.setAttribute('role', 'tab');
-        btn.setAttribute('aria-label', `Ir para posição ${i + 1}`);
-        btn.setAttribute('aria-selected', i === 0 ? 'true' : 'false');
-        btn.addEventListener('click', () => goTo(i));
-        dotsWrap.appendChild(btn);
-      }
-    };
+  const render = () => {
+    const visible = trainers.filter(matches);
+    track.innerHTML = visible.map(cardHTML).join('');
+    track.removeAttribute('aria-busy');
 
-    const updateDots = () => {
-      $$('.inst-team__dot', dotsWrap).forEach((d, i) => {
-        d.classList.toggle('is-active', i === current);
-        d.setAttribute('aria-selected', i === current ? 'true' : 'false');
+    filtersEl.querySelectorAll('[data-specialty]').forEach(btn => {
+      btn.setAttribute('aria-pressed', String(btn.dataset.specialty === specialty));
+    });
+    statusEl.textContent = visible.length
+      ? t('team.count', { count: visible.length })
+      : t('team.empty');
+
+    document.dispatchEvent(new CustomEvent('team:changed', { detail: { count: visible.length } }));
+  };
+
+  /* ── perfil ── */
+  const availabilityHTML = (trainer) => (trainer.availability ?? []).map(({ days, from, to }) => {
+    // 7 de janeiro de 2024 foi um domingo: 7 + n = dia da semana n (0 = domingo)
+    const names = days.map(day => I18n.formatDate(new Date(2024, 0, 7 + day), { weekday: 'short' }));
+    return `<li><strong>${escapeHTML(names.join(', '))}</strong> <span>${escapeHTML(`${from}–${to}`)}</span></li>`;
+  }).join('');
+
+  const profileHTML = (trainer) => `
+    <button type="button" class="team-profile__close" data-dialog-close aria-label="${escapeHTML(t('team.close'))}">
+      <i class="ri-close-line" aria-hidden="true"></i>
+    </button>
+    <div class="team-profile__media">
+      <img src="${escapeHTML(trainer.photo)}" alt="${escapeHTML(`${trainer.name} — ${localize(trainer.headline)}`)}" class="team-profile__img">
+      <span class="inst-personal-card__badge">${escapeHTML(labelOf(trainer.badge))}</span>
+    </div>
+    <div class="team-profile__body">
+      <h2 class="team-profile__name" id="team-profile-name">${escapeHTML(trainer.name)}</h2>
+      <p class="team-profile__headline">${escapeHTML(localize(trainer.headline))} · ${escapeHTML(t('team.cref', { cref: trainer.cref }))}</p>
+
+      <h3 class="team-profile__title">${escapeHTML(t('team.specialties'))}</h3>
+      <ul class="team-profile__tags" role="list">
+        ${trainer.specialties.map(key => `<li>${escapeHTML(labelOf(key))}</li>`).join('')}
+      </ul>
+
+      <p class="team-profile__bio">${escapeHTML(localize(trainer.bio))}</p>
+
+      <h3 class="team-profile__title">${escapeHTML(t('team.availability'))}</h3>
+      <ul class="team-profile__availability" role="list">${availabilityHTML(trainer)}</ul>
+
+      <div class="team-profile__footer">
+        <div class="team-profile__social">${socialLinks(trainer, 'inst-personal-card__social')}</div>
+        <button type="button" class="button button--primary" data-book="${escapeHTML(trainer.id)}" aria-haspopup="dialog">
+          ${escapeHTML(t('team.book'))} <i class="ri-arrow-right-line" aria-hidden="true"></i>
+        </button>
+      </div>
+    </div>`;
+
+  /** URL atual com ?personal= refletindo o perfil aberto (hash e outros parâmetros mantidos). */
+  const urlFor = (id) => {
+    const url = new URL(location.href);
+    if (id) url.searchParams.set(PARAM, id);
+    else url.searchParams.delete(PARAM);
+    return url;
+  };
+
+  const openedId = () => (dialog?.isOpen ? profileCard.dataset.trainer : null);
+
+  /**
+   * Abre o perfil de um personal.
+   * @param {string} id
+   * @param {{ push?: boolean, opener?: HTMLElement|null }} [options]
+   *        push: cria uma entrada no histórico (false ao restaurar pela URL)
+   * @returns {boolean} false se o id não existe
+   */
+  const openProfile = (id, { push = true, opener = document.activeElement } = {}) => {
+    const trainer = byId(id);
+    if (!trainer || !dialog) return false;
+
+    profileCard.dataset.trainer = id;
+    profileCard.innerHTML = profileHTML(trainer);
+    if (dialog.isOpen) return true;
+
+    profileEl.hidden = false;
+    dialog.open({ opener: opener ?? track.querySelector(`[data-trainer="${id}"]:not([data-carousel-clone]) .inst-personal-card__cta[data-profile]`) });
+    if (push) entry.push(urlFor(id));
+    return true;
+  };
+
+  /**
+   * @param {{ updateUrl?: boolean }} [options]
+   *        updateUrl: tira o ?personal= (false quando a URL já mudou, no voltar/avançar)
+   */
+  const closeProfile = ({ updateUrl = true } = {}) => {
+    if (!dialog?.isOpen) return;
+    TrainerBooking.close(); // aberto por cima do perfil: fecha junto, na ordem
+    dialog.close();
+    profileEl.hidden = true;
+    if (updateUrl) entry.leave(urlFor(null));
+  };
+
+  /** Aplica ?personal= da URL (carga inicial e voltar/avançar). */
+  const restore = () => {
+    const id = new URLSearchParams(location.search).get(PARAM);
+    if (!id) return closeProfile({ updateUrl: false });
+    if (id === openedId()) return;
+
+    // Link antigo ou errado: some da URL sem criar entrada nova
+    if (!openProfile(id, { push: false, opener: null })) history.replaceState(history.state, '', urlFor(null));
+  };
+
+  /** (Re)monta o texto pesquisável; muda junto com o idioma. */
+  const index = () => {
+    trainers.forEach(trainer => haystacks.set(trainer.id, foldText([
+      trainer.name, trainer.cref,
+      ...[trainer.headline, trainer.summary, trainer.bio].map(localize),
+      ...trainer.specialties.map(labelOf),
+    ].join(' '))));
+  };
+
+  const load = async () => {
+    try {
+      const data = await fetchJSON(DATA_URL);
+      specialties = data.specialties ?? {};
+      trainers    = data.trainers ?? [];
+    } catch {
+      track.removeAttribute('aria-busy');
+      statusEl.textContent = t('team.loadError');
+      return;
+    }
+
+    index();
+    loaded = true;
+    renderFilters();
+    render();
+    restore();
+  };
+
+  const init = () => {
+    track       = $('#carouselTrack');
+    filtersEl   = $('#team-filters');
+    searchInput = $('#team-search');
+    statusEl    = $('#team-status');
+    profileEl   = $('#team-profile');
+    profileCard = $('#team-profile-card');
+    if (!track || !filtersEl || !statusEl) return;
+
+    if (profileEl && profileCard) {
+      // Fechar pelo usuário (Escape, botão, fundo) também tira o ?personal= da URL
+      dialog = createDialog(profileEl, {
+        onClose: () => {
+          profileEl.hidden = true;
+          entry.leave(urlFor(null));
+        },
       });
-    };
+    }
 
-    const updateArrows = () => {
-      if (btnPrev) btnPrev.disabled = current === 0;
-      if (btnNext) btnNext.disabled = current >= maxIdx();
-    };
+    filtersEl.addEventListener('click', e => {
+      const btn = e.target.closest('[data-specialty]');
+      if (!btn) return;
+      specialty = btn.dataset.specialty;
+      render();
+    });
 
-    /* ── navigation ── */
-    const goTo = (idx, animate = true) => {
-      current = Math.max(0, Math.min(idx, maxIdx()));
-      translate(current, animate);
-      updateDots();
-      updateArrows();
+    searchInput?.addEventListener('input', debounce(() => {
+      query = searchInput.value.trim();
+      render();
+    }, 200));
+
+    const book = (e) => {
+      const btn = e.target.closest('[data-book]');
+      if (!btn) return false;
+      TrainerBooking.open(byId(btn.dataset.book), { label: labelOf, opener: btn });
+      return true;
     };
 
-    const next = () => goTo(current >= maxIdx() ? 0 : current + 1);
-    const prev = () => goTo(current <= 0 ? maxIdx() : current - 1);
+    profileCard?.addEventListener('click', book);
 
-    /* ── autoplay ── */
-    const startAuto = () => {
-      if (autoPlay) return;
-      autoPlay = setInterval(next, 2400);
-    };
-    const stopAuto = () => { clearInterval(autoPlay); autoPlay = null; };
-
-    carousel.addEventListener('mouseenter', startAuto);
-    carousel.addEventListener('mouseleave', stopAuto);
-
-    /* ── touch / swipe ── */
-    let touchX = 0;
-    carousel.addEventListener('touchstart', e => { touchX = e.touches[0].clientX; stopAuto(); }, { passive: true });
-    carousel.addEventListener('touchend',   e => {
-      const dx = touchX - e.changedTouches[0].clientX;
-      if (Math.abs(dx) > 48) dx > 0 ? next() : prev();
-    }, { passive: true });
-
-    /* ── keyboard ── */
-    carousel.addEventListener('keydown', e => {
-      if (e.key === 'ArrowLeft')  { e.preventDefault(); prev(); }
-      if (e.key === 'ArrowRight') { e.preventDefault(); next(); }
+    track.addEventListener('click', e => {
+      if (book(e)) return;
+      const id = e.target.closest('[data-profile]')?.dataset.profile;
+      if (!id) return;
+      // O botão do overlay não recebe foco (tabindex=-1): o foco volta para "Perfil"
+      const opener = e.target.closest('.inst-personal-card')?.querySelector('.inst-personal-card__cta[data-profile]');
+      openProfile(id, { opener });
     });
 
-    /* ── buttons ── */
-    btnPrev?.addEventListener('click', prev);
-    btnNext?.addEventListener('click', next);
+    window.addEventListener('popstate', restore);
 
-    /* ── resize ── */
-    window.addEventListener('resize', debounce(() => {
-      visible = getVisible();
-      buildDots();
-      if (current > maxIdx()) current = maxIdx();
-      translate(current, false);
-      updateDots();
-      updateArrows();
-    }, 150));
+    document.addEventListener('i18n:changed', () => {
+      if (!loaded) return;
+      index();
+      renderFilters();
+      render();
+      const id = openedId();
+      if (id) profileCard.innerHTML = profileHTML(byId(id));
+    });
 
-    /* ── init ── */
-    visible = getVisible();
-    buildDots();
-    goTo(0, false);
+    load();
   };
 
-  return { init };
+  return { init, openProfile, closeProfile };
 })();
 
 /* ═══════════════════════════════════════════════════════
-   NEWSLETTER FORM
+   TRAINER BOOKING
+   Sessão com um personal, aberta pelo "Agendar" do card
+   ou do perfil: modalidade + duração → horário da semana
+   → contato → confirmação com .ics.
+     - Horários vêm de um SlotProvider (core/booking.js):
+       API REST quando o formulário define data-slots-api,
+       senão a disponibilidade de trainers.json + ocupação
+       de trainer-booking.json, com reservas em localStorage
+     - Um aluno por horário: o id do horário não inclui a
+       duração, então um início já reservado é rejeitado
+       (SlotUnavailableError) e a semana é recarregada
+     - A confirmação permite cancelar: a vaga volta para a
+       semana e o formulário reabre com o contato preenchido
    ═══════════════════════════════════════════════════════ */
-const Newsletter = (() => {
-  const form    = $('#contact-form');
-  const input   = $('#contact-user');
-  const message = $('#contact-message');
+const TrainerBooking = (() => {
+  const TRAINERS_URL = 'assets/data/trainers.json';
+  const BOOKING_URL  = 'assets/data/trainer-booking.json';
+  const STORAGE_KEY  = 'smart-active-personal-bookings';
+  const TIMEZONE     = 'America/Sao_Paulo';
+  const LOCATION     = 'SMART ACTIVE — Avenida Roberto Burle Mark, Ipatinga – MG';
+  const DAY_KEYS     = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+  let root, dialog, headerEl, form, fields, slotsEl, weekLabel, weekPrev, weekNext;
+  let statusEl, submitBtn, cancelBtn, confirmation, summaryEl;
+  let provider;
+  let config    = { leadDays: 1, weeks: 3, step: 60, durations: [30, 45, 60], defaultDuration: 60 };
+  let trainer   = null;
+  let labelOf   = key => key;
+  let week      = 0;
+  let slots     = new Map();
+  let requestId = 0;
+  let booked    = null;
+
+  /* ── datas (sempre no fuso da academia) ── */
+
+  /** Data de hoje + n dias em 'AAAA-MM-DD', no fuso de São Paulo. */
+  const dateFromToday = (days) => {
+    const [y, m, d] = new Intl.DateTimeFormat('en-CA', { timeZone: TIMEZONE }).format(new Date()).split('-').map(Number);
+    return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+  };
+
+  const addDays = (date, days) => {
+    const d = new Date(`${date}T12:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().slice(0, 10);
+  };
+
+  /** 'AAAA-MM-DD' → dia da semana como em trainers.json (0 = domingo … 6 = sábado). */
+  const weekday = (date) => new Date(`${date}T12:00:00Z`).getUTCDay();
 
-  const show = (text, type = 'success') => {
-    if (!message) return;
-    message.textContent = text;
-    message.className   = `footer__message ${type === 'success' ? 'color-green' : 'color-red'}`;
-    setTimeout(() => { message.textContent = ''; message.className = 'footer__message'; }, type === 'success' ? 4500 : 3500);
+  const formatDate = (date, options) => I18n.formatDate(`${date}T12:00:00Z`, { timeZone: 'UTC', ...options });
+
+  const toMinutes = (time) => {
+    const [h, m] = time.split(':').map(Number);
+    return h * 60 + m;
   };
+  const toTime = (minutes) =>
+    `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
 
-  const isEmail = s => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(s);
+  /** Semana exibida: 7 dias a partir do primeiro dia reservável. */
+  const weekRange = () => {
+    const from = addDays(dateFromToday(config.leadDays), week * 7);
+    return { from, to: addDays(from, 6) };
+  };
 
-  const onSubmit = e => {
+  /* ── provider padrão (JSON) ── */
+
+  /**
+   * Cada bloco semanal de disponibilidade vira horários a cada `step` minutos que
+   * comportem a duração pedida. Capacidade 1; trainer-booking.json lista os
+   * horários semanais já ocupados ('<personal>-<dia>-<HHMM>').
+   */
+  const expandSlots = ({ trainers, booking }, { trainer: id, from, to, duration }) => {
+    const availability = trainers.trainers.find(item => item.id === id)?.availability ?? [];
+    const length = Number(duration);
+    const step   = booking.step ?? 60;
+    const taken  = new Set(booking.taken ?? []);
+    const list   = [];
+
+    for (let date = from; date <= to; date = addDays(date, 1)) {
+      const day = weekday(date);
+      availability.filter(block => block.days.includes(day)).forEach(block => {
+        for (let start = toMinutes(block.from); start + length <= toMinutes(block.to); start += step) {
+          const key = `${id}-${DAY_KEYS[day]}-${toTime(start).replace(':', '')}`;
+          list.push({
+            id:       `${key}@${date}`,
+            date,
+            start:    toTime(start),
+            duration: length,
+            capacity: 1,
+            taken:    taken.has(key) ? 1 : 0,
+          });
+        }
+      });
+    }
+    return list.sort((a, b) => `${a.date}${a.start}`.localeCompare(`${b.date}${b.start}`));
+  };
+
+  const createProvider = () => {
+    const api = form.dataset.slotsApi;
+    if (api) return createHTTPSlotProvider(api);
+
+    return createLocalSlotProvider({
+      storageKey: STORAGE_KEY,
+      expand:     expandSlots,
+      load: async () => {
+        const [trainers, booking] = await Promise.all([fetchJSON(TRAINERS_URL), fetchJSON(BOOKING_URL)]);
+        return { trainers, booking };
+      },
+    });
+  };
+
+  /* ── cabeçalho e opções ── */
+
+  const renderHeader = () => {
+    headerEl.innerHTML = `
+      <img src="${escapeHTML(trainer.photo)}" alt="" class="team-booking__photo">
+      <div>
+        <p class="team-booking__label">${escapeHTML(t('booking.label'))}</p>
+        <h2 class="team-booking__title" id="team-booking-title">${escapeHTML(t('booking.title', { name: trainer.name }))}</h2>
+        <p class="team-booking__headline">${escapeHTML(localize(trainer.headline))} · ${escapeHTML(t('team.cref', { cref: trainer.cref }))}</p>
+      </div>`;
+  };
+
+  /** Preenche os selects mantendo a escolha atual (troca de idioma). */
+  const renderOptions = () => {
+    const { modality, duration } = fields;
+    const current = { modality: modality.value, duration: duration.value || String(config.defaultDuration) };
+
+    modality.innerHTML = `<option value="">${escapeHTML(t('booking.choose'))}</option>` +
+      trainer.specialties.map(key => `<option value="${escapeHTML(key)}">${escapeHTML(labelOf(key))}</option>`).join('');
+    duration.innerHTML = config.durations.map(min => `
+      <option value="${min}"${min === config.defaultDuration ? ' selected' : ''}>${escapeHTML(t('booking.minutes', { count: min }))}</option>`).join('');
+
+    modality.value = current.modality;
+    duration.value = current.duration;
+  };
+
+  /* ── validação ── */
+
+  /**
+   * Mostra/limpa o erro de um campo.
+   * @param {string} name  — chave em fields ou 'slot'
+   * @param {string} [message]
+   */
+  const setError = (name, message = '') => {
+    const errorEl = $(`#booking-${name}-error`);
+    if (errorEl) errorEl.textContent = message;
+    fields[name]?.setAttribute('aria-invalid', String(!!message));
+  };
+
+  const selectedSlotId = () => form.querySelector('input[name="slot"]:checked')?.value;
+
+  /** @returns {Record<string, string>} mensagens de erro por campo (vazio = válido) */
+  const validate = () => {
+    const errors = {};
+    const { modality, name, phone, email } = fields;
+
+    if (!modality.value) errors.modality = t('booking.errors.modality');
+    if (!selectedSlotId()) errors.slot = t('booking.errors.slot');
+
+    if (name.value.trim().split(/\s+/).filter(Boolean).length < 2) errors.name = t('booking.errors.name');
+
+    if (!phone.value.trim()) errors.phone = t('booking.errors.phone');
+    else if (!isValidPhoneBR(phone.value)) errors.phone = t('booking.errors.phoneInvalid');
+
+    if (!email.value.trim()) errors.email = t('booking.errors.email');
+    else if (!isValidEmail(email.value.trim())) errors.email = t('booking.errors.emailInvalid');
+
+    ['modality', 'slot', 'name', 'phone', 'email'].forEach(key => setError(key, errors[key]));
+    return errors;
+  };
+
+  /* ── horários da semana ── */
+
+  const hint = (key) => `<p class="team-booking__hint">${escapeHTML(t(key))}</p>`;
+
+  const slotTemplate = (slot) => {
+    const full = slot.remaining === 0;
+    return `
+      <label class="team-booking__slot${full ? ' is-full' : ''}">
+        <input type="radio" name="slot" value="${escapeHTML(slot.id)}"${full ? ' disabled' : ''}>
+        <span class="team-booking__slot-time">${escapeHTML(slot.start)}</span>
+        ${full ? `<span class="team-booking__slot-taken">${escapeHTML(t('booking.taken'))}</span>` : ''}
+      </label>`;
+  };
+
+  const dayTemplate = ([date, list]) => `
+    <fieldset class="team-booking__day">
+      <legend class="team-booking__day-name">${escapeHTML(formatDate(date, { weekday: 'long', day: 'numeric', month: 'short' }))}</legend>
+      <div class="team-booking__day-slots">${list.map(slotTemplate).join('')}</div>
+    </fieldset>`;
+
+  const renderWeek = () => {
+    const { from, to } = weekRange();
+    const short = { day: 'numeric', month: 'short' };
+    weekLabel.textContent = t('booking.week', { from: formatDate(from, short), to: formatDate(to, short) });
+    weekPrev.disabled = week === 0;
+    weekNext.disabled = week >= config.weeks - 1;
+    return { from, to };
+  };
+
+  const loadSlots = async () => {
+    const selected = selectedSlotId();
+    const { from, to } = renderWeek();
+    slots = new Map();
+    setError('slot');
+
+    // Respostas antigas (troca rápida de semana/duração) são descartadas
+    const current = ++requestId;
+    slotsEl.innerHTML = hint('booking.loading');
+
+    try {
+      const list = await provider.list({ trainer: trainer.id, from, to, duration: fields.duration.value });
+      if (current !== requestId) return;
+
+      const days = new Map();
+      list.forEach(slot => {
+        slots.set(slot.id, slot);
+        days.set(slot.date, [...(days.get(slot.date) ?? []), slot]);
+      });
+
+      slotsEl.innerHTML = list.some(slot => slot.remaining > 0)
+        ? [...days].map(dayTemplate).join('')
+        : hint('booking.noSlots');
+
+      const previous = selected && slotsEl.querySelector(`input[name="slot"][value="${CSS.escape(selected)}"]:not(:disabled)`);
+      if (previous) previous.checked = true;
+    } catch {
+      if (current !== requestId) return;
+      slotsEl.innerHTML = hint('booking.loadError');
+    }
+  };
+
+  /* ── envio e confirmação ── */
+
+  const endOf = (slot) => toTime(toMinutes(slot.start) + slot.duration);
+
+  const renderSummary = () => {
+    const { slot, contact, modality } = booked;
+    const rows = [
+      ['trainer',  trainer.name],
+      ['modality', labelOf(modality)],
+      ['date',     formatDate(slot.date, { weekday: 'long', day: 'numeric', month: 'long' })],
+      ['time',     `${slot.start}–${endOf(slot)}`],
+      ['duration', t('booking.minutes', { count: slot.duration })],
+      ['name',     contact.name],
+    ];
+
+    summaryEl.innerHTML = rows
+      .map(([term, value]) => `<div><dt>${escapeHTML(t(`booking.summary.${term}`))}</dt><dd>${escapeHTML(value)}</dd></div>`)
+      .join('');
+  };
+
+  const onSubmit = async (e) => {
     e.preventDefault();
-    const email = input?.value.trim() ?? '';
-
-    if (!email)          return show('Preencha o campo de e-mail 👆', 'error');
-    if (!isEmail(email)) return show('Por favor, insira um e-mail válido 📧', 'error');
-
-    if (typeof emailjs !== 'undefined') {
-      emailjs.sendForm('service_rkph8fe', 'template_1ypfxkg', '#contact-form', 'CKUdbbQoDpRLMSNDq')
-        .then(
-          () => { show('Inscrição realizada com sucesso! 🎉'); form.reset(); },
-          () => show('Erro ao enviar. Tente novamente 😔', 'error')
-        );
-    } else {
-      // Fallback sem EmailJS carregado
-      show('Inscrição realizada com sucesso! 🎉');
-      form.reset();
+    statusEl.textContent = '';
+
+    const errors = Object.keys(validate());
+    if (errors.length) {
+      (fields[errors[0]] ?? form.querySelector('input[name="slot"]:not(:disabled)'))?.focus();
+      return;
+    }
+
+    const slot = slots.get(selectedSlotId());
+    const contact = {
+      name:  fields.name.value.trim(),
+      phone: phoneDigits(fields.phone.value),
+      email: fields.email.value.trim(),
+    };
+    const modality = fields.modality.value;
+
+    submitBtn.disabled = true;
+    statusEl.textContent = t('booking.sending');
+
+    try {
+      // Personal, modalidade e duração seguem junto do contato (a API recebe tudo no corpo)
+      const booking = await provider.book(slot.id, { ...contact, trainer: trainer.id, modality, duration: slot.duration });
+      statusEl.textContent = '';
+      booked = { slot, contact, modality, booking };
+      renderSummary();
+      form.hidden = true;
+      confirmation.hidden = false;
+      confirmation.focus();
+    } catch (err) {
+      const unavailable = err instanceof SlotUnavailableError;
+      statusEl.textContent = t(unavailable ? 'booking.unavailable' : 'booking.failed');
+      if (unavailable) loadSlots();
+    } finally {
+      submitBtn.disabled = false;
+    }
+  };
+
+  const addToCalendar = () => {
+    if (!booked) return;
+    const { slot, modality } = booked;
+
+    downloadFile(`smart-active-personal-${trainer.id}.ics`, 'text/calendar;charset=utf-8', buildCalendar({
+      timezone: TIMEZONE,
+      events: [{
+        uid:         `${slot.id}@smartactive-personal`,
+        summary:     t('booking.ics.summary', { modality: labelOf(modality), name: trainer.name }),
+        date:        slot.date,
+        start:       slot.start,
+        duration:    slot.duration,
+        location:    LOCATION,
+        description: t('booking.ics.description', { name: trainer.name, cref: trainer.cref, duration: slot.duration }),
+        alarm:       60,
+      }],
+    }));
+  };
+
+  /** Volta ao formulário (contato preenchido) para escolher outro horário. */
+  const again = () => {
+    booked = null;
+    confirmation.hidden = true;
+    form.hidden = false;
+    loadSlots().then(() => (form.querySelector('input[name="slot"]:not(:disabled)') ?? fields.modality).focus());
+  };
+
+  /** Desfaz a reserva confirmada e volta ao formulário com o aviso. */
+  const cancel = async () => {
+    if (!booked) return;
+    cancelBtn.disabled = true;
+
+    try {
+      await provider.cancel(booked.booking.id);
+    } catch {
+      ToastModule.show(t('booking.cancelFailed'));
+      return;
+    } finally {
+      cancelBtn.disabled = false;
     }
+
+    again();
+    statusEl.textContent = t('booking.cancelled');
   };
 
-  const init = () => { form?.addEventListener('submit', onSubmit); };
+  /* ── abrir / fechar ── */
+
+  const reset = () => {
+    form.reset();
+    booked = null;
+    week = 0;
+    statusEl.textContent = '';
+    confirmation.hidden = true;
+    form.hidden = false;
+    ['modality', 'slot', 'name', 'phone', 'email'].forEach(key => setError(key));
+  };
+
+  /**
+   * Abre o agendamento com um personal.
+   * @param {Object} next — personal de trainers.json
+   * @param {{ label?: (key: string) => string, opener?: HTMLElement|null }} [options]
+   *        label: nome de exibição de cada especialidade
+   */
+  const open = (next, { label = labelOf, opener = document.activeElement } = {}) => {
+    if (!dialog || !next || dialog.isOpen) return;
+
+    if (trainer?.id !== next.id) reset();
+    trainer = next;
+    labelOf = label;
+
+    renderHeader();
+    renderOptions();
+    if (!confirmation.hidden) renderSummary();
+    root.hidden = false;
+    dialog.open({ opener, initialFocus: confirmation.hidden ? fields.modality : confirmation });
+    if (confirmation.hidden) loadSlots();
+  };
+
+  const close = () => {
+    if (!dialog?.isOpen) return;
+    dialog.close();
+    root.hidden = true;
+  };
+
+  const init = async () => {
+    root         = $('#team-booking');
+    headerEl     = $('#booking-header');
+    form         = $('#team-booking-form');
+    slotsEl      = $('#booking-slots');
+    weekLabel    = $('#booking-week-label');
+    weekPrev     = $('#booking-week-prev');
+    weekNext     = $('#booking-week-next');
+    statusEl     = $('#booking-status');
+    confirmation = $('#booking-confirmation');
+    summaryEl    = $('#booking-summary');
+    if (!root || !form || !slotsEl) return;
+
+    fields = Object.fromEntries(
+      ['modality', 'duration', 'name', 'phone', 'email'].map(key => [key, $(`#booking-${key}`, form)])
+    );
+    submitBtn = form.querySelector('[type="submit"]');
+    cancelBtn = $('#booking-cancel');
+    provider  = createProvider();
+    dialog    = createDialog(root, { onClose: () => { root.hidden = true; } });
+
+    fields.modality.addEventListener('change', () => setError('modality'));
+    fields.duration.addEventListener('change', loadSlots);
+    fields.phone.addEventListener('input', () => { fields.phone.value = formatPhoneBR(fields.phone.value); });
+    form.addEventListener('submit', onSubmit);
+
+    weekPrev.addEventListener('click', () => { week = Math.max(0, week - 1); loadSlots(); });
+    weekNext.addEventListener('click', () => { week = Math.min(config.weeks - 1, week + 1); loadSlots(); });
+    $('#booking-calendar')?.addEventListener('click', addToCalendar);
+    $('#booking-again')?.addEventListener('click', again);
+    cancelBtn?.addEventListener('click', cancel);
+
+    document.addEventListener('i18n:changed', () => {
+      if (!dialog.isOpen) return;
+      renderHeader();
+      renderOptions();
+      if (booked) renderSummary();
+      else loadSlots();
+    });
+
+    try {
+      config = { ...config, ...await fetchJSON(BOOKING_URL) };
+    } catch {
+      // Mantém durações e horizonte padrão
+    }
+  };
+
+  return { init, open, close };
+})();
+
+/* ═══════════════════════════════════════════════════════
+   NEWSLETTER FORM
+   ═══════════════════════════════════════════════════════ */
+const Newsletter = (() => {
+  const init = () => {
+    const form  = $('#contact-form');
+    const input = $('#contact-user');
+    if (!form) return;
+
+    const submitter = createSubmitter(SITE_CONFIG.forms);
+    bindSubmission(form, {
+      name: 'newsletter',
+      collect: () => {
+        const email = input?.value.trim() ?? '';
+        if (!email)               return { error: 'empty' };
+        if (!isValidEmail(email)) return { error: 'invalid' };
+        return { data: { user_email: email }, key: email };
+      },
+      submitter,
+      outbox:   createOutbox({ submit: submitter }),
+      // Confirmação fica um pouco mais na tela (rodapé longo da página institucional)
+      messages: { element: $('#contact-message'), text: outcome => t(`newsletter.${outcome}`), successMs: 4500 },
+    });
+  };
   return { init };
 })();
 
@@ -312,10 +870,22 @@ const Newsletter = (() => {
    BOOTSTRAP
    ═══════════════════════════════════════════════════════ */
 document.addEventListener('DOMContentLoaded', () => {
+  I18n.init(); // primeiro: os demais módulos usam t() e ouvem 'i18n:changed'
+  ToastModule.init();
+  Theme.init(); // depois do Toast: as trocas de tema são anunciadas nele
   Nav.init();
   FadeUp.init();
   Counters.init();
   SmoothScroll.init();
   Carousel.init();
+  TeamDirectory.init(); // depois do Carousel: ele escuta 'team:changed'
+  TrainerBooking.init();
   Newsletter.init();
+
+  registerServiceWorker({
+    onUpdate: (apply) => ToastModule.show(t('toast.update'), {
+      duration: 0,
+      action: { label: t('toast.updateAction'), onClick: apply },
+    }),
+  });
 });
@@ -0,0 +1,27 @@
+/**
+ * theme-boot.js — SMART - ACTIVE | Tema antes da primeira pintura
+ *
+ * Script clássico (não é módulo) carregado no <head> sem defer: marca o
+ * <html> com data-theme antes de o CSS pintar a página, evitando o flash
+ * do tema errado. Seletor, eventos e reação ao sistema ficam em
+ * core/theme.js — a regra de resolução abaixo precisa ser a mesma de lá.
+ */
+(() => {
+  const root  = document.documentElement;
+  const modes = ['dark', 'light', 'contrast', 'system'];
+  const query = (q) => !!window.matchMedia && window.matchMedia(q).matches;
+
+  let mode = null;
+  try {
+    mode = localStorage.getItem('smart-active-theme');
+  } catch {
+    // armazenamento bloqueado: segue o sistema
+  }
+  if (!modes.includes(mode)) mode = 'system';
+
+  root.dataset.themeMode = mode;
+  root.dataset.theme = mode !== 'system' ? mode
+    : query('(prefers-contrast: more)') ? 'contrast'
+    : query('(prefers-color-scheme: light)') ? 'light'
+    : 'dark';
+})();
@@ -0,0 +1,178 @@
+/**
+ * sw.js — SMART - ACTIVE | Service worker
+ *
+ * Estratégias:
+ *   - Páginas (navegação)  → rede primeiro; sem conexão, a cópia em cache
+ *   - CSS / JS             → cache imediato + atualização em segundo plano
+ *   - assets/data/*.json   → cache imediato + atualização em segundo plano
+ *   - ícones / manifesto   → precache versionado (cache primeiro)
+ *   - assets/img/*         → cache em tempo de execução, limitado a IMG_LIMIT itens
+ *
+ * CSS e JS do próprio site nunca ficam presos a uma versão: a cópia em cache
+ * responde na hora e a da rede a substitui para a próxima visita. Por isso
+ * uma mudança de código não exige alterar VERSION.
+ *
+ * VERSION só precisa mudar quando muda o próprio worker ou a lista de
+ * precache. O navegador instala o novo worker com um precache novo; ele fica
+ * em espera até a página pedir SKIP_WAITING (toast "Nova versão disponível")
+ * e, ao ativar, apaga os caches de versões anteriores.
+ */
+
+const VERSION     = '2026.10.19-19';
+const PREFIX      = 'smart-active-';
+const PRECACHE    = `${PREFIX}precache-${VERSION}`;
+const DATA_CACHE  = `${PREFIX}data-${VERSION}`;
+const IMG_CACHE   = `${PREFIX}img`;
+const IMG_LIMIT   = 80;
+
+const PRECACHE_URLS = [
+  './',
+  'index.html',
+  'page.html',
+  'sobre.html',
+  'manifest.webmanifest',
+
+  'assets/css/styles.css',
+  'assets/css/page.css',
+  'assets/css/sobre.css',
+
+  'assets/js/main.js',
+  'assets/js/mainpage.js',
+  'assets/js/sobre.js',
+  'assets/js/config.js',
+  'assets/js/theme-boot.js',
+  'assets/js/scrollreveal.min.js',
+  'assets/js/core/index.js',
+  'assets/js/core/utils.js',
+  'assets/js/core/nav.js',
+  'assets/js/core/toast.js',
+  'assets/js/core/pwa.js',
+  'assets/js/core/ics.js',
+  'assets/js/core/validation.js',
+  'assets/js/core/booking.js',
+  'assets/js/core/forms.js',
+  'assets/js/core/outbox.js',
+  'assets/js/core/i18n.js',
+  'assets/js/core/theme.js',
+  'assets/js/core/dialog.js',
+  'assets/js/core/carousel.js',
+  'assets/js/i18n/pt-BR.js',
+  'assets/js/i18n/en.js',
+  'assets/js/i18n/es.js',
+
+  'assets/data/plans.json',
+  'assets/data/recommendation.json',
+  'assets/data/schedule.json',
+  'assets/data/trial.json',
+  'assets/data/trainers.json',
+  'assets/data/trainer-booking.json',
+  'assets/data/space.json',
+
+  'assets/img/logo.ico',
+  'assets/img/logo1.ico',
+  'assets/img/icon.ico',
+  'assets/img/icon-256.png',
+];
+
+
+/* ── Ciclo de vida ──────────────────────────────────────────────── */
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(PRECACHE).then(cache => cache.addAll(PRECACHE_URLS))
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  const keep = new Set([PRECACHE, DATA_CACHE, IMG_CACHE]);
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys.filter(key => key.startsWith(PREFIX) && !keep.has(key)).map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+// A página confirma a atualização pelo toast
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+
+/* ── Estratégias ────────────────────────────────────────────────── */
+
+const networkFirst = async (request) => {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(PRECACHE);
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch {
+    return (await caches.match(request, { ignoreSearch: true }))
+      ?? (await caches.match('index.html'))
+      ?? Response.error();
+  }
+};
+
+const cacheFirst = async (request) =>
+  (await caches.match(request)) ?? fetch(request);
+
+/** @param {string} cacheName — onde guardar a resposta nova */
+const staleWhileRevalidate = async (request, cacheName) => {
+  const cache  = await caches.open(cacheName);
+  const cached = await cache.match(request) ?? await caches.match(request);
+  const update = fetch(request)
+    .then(response => {
+      if (response.ok) cache.put(request, response.clone());
+      return response;
+    })
+    .catch(() => cached ?? Response.error());
+
+  return cached ?? update;
+};
+
+/** Remove as entradas mais antigas quando o cache passa do limite. */
+const trimCache = async (name, limit) => {
+  const cache = await caches.open(name);
+  const keys  = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - limit)).map(key => cache.delete(key)));
+};
+
+const imageCache = async (request) => {
+  const cache  = await caches.open(IMG_CACHE);
+  const cached = await cache.match(request) ?? await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    await cache.put(request, response.clone());
+    trimCache(IMG_CACHE, IMG_LIMIT);
+  }
+  return response;
+};
+
+
+/* ── Roteamento ─────────────────────────────────────────────────── */
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return; // CDNs e APIs externas seguem direto para a rede
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request));
+  } else if (url.pathname.includes('/assets/img/')) {
+    event.respondWith(imageCache(request));
+  } else if (url.pathname.includes('/assets/data/')) {
+    event.respondWith(staleWhileRevalidate(request, DATA_CACHE));
+  } else if (/\.(?:js|css)$/.test(url.pathname)) {
+    event.respondWith(staleWhileRevalidate(request, PRECACHE));
+  } else {
+    event.respondWith(cacheFirst(request));
+  }
+});
@@ -0,0 +1,161 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import { SlotUnavailableError, createLocalSlotProvider, createHTTPSlotProvider } from '../assets/js/core/booking.js';
+import { startStubServer } from './helpers/stub-server.js';
+
+const CONTACT = { name: 'Ana Souza', phone: '31987654321', email: 'Ana@Exemplo.com' };
+
+describe('createLocalSlotProvider', () => {
+  const STORAGE_KEY = 'test-bookings';
+  const data = {
+    slots: [
+      { id: 'yoga@2026-10-26',  date: '2026-10-26', start: '07:00', duration: 60, capacity: 2, taken: 1 },
+      { id: 'box@2026-10-26',   date: '2026-10-26', start: '19:00', duration: 60, capacity: 2, taken: 2 },
+    ],
+  };
+  const provider = () => createLocalSlotProvider({
+    storageKey: STORAGE_KEY,
+    load:       async () => data,
+    expand:     ({ slots }, { date }) => slots.filter(slot => slot.date === date),
+  });
+
+  beforeEach(() => localStorage.clear());
+
+  it('lista os horários com as vagas restantes, sem capacity/taken', async () => {
+    const slots = await provider().list({ date: '2026-10-26' });
+
+    expect(slots.map(s => [s.id, s.remaining])).toEqual([['yoga@2026-10-26', 1], ['box@2026-10-26', 0]]);
+    expect(slots[0]).not.toHaveProperty('capacity');
+    expect(slots[0]).not.toHaveProperty('taken');
+  });
+
+  it('reserva a última vaga, grava no localStorage e desconta da lista', async () => {
+    const slots = provider();
+    await slots.list({ date: '2026-10-26' });
+
+    const booking = await slots.book('yoga@2026-10-26', CONTACT);
+
+    expect(booking).toMatchObject({ slotId: 'yoga@2026-10-26', email: 'ana@exemplo.com' });
+    expect(JSON.parse(localStorage.getItem(STORAGE_KEY))).toHaveLength(1);
+    expect((await slots.list({ date: '2026-10-26' }))[0].remaining).toBe(0);
+  });
+
+  it('cancelar tira a reserva do localStorage e devolve a vaga', async () => {
+    const slots = provider();
+    await slots.list({ date: '2026-10-26' });
+    const booking = await slots.book('yoga@2026-10-26', CONTACT);
+
+    await slots.cancel(booking.id);
+
+    expect(JSON.parse(localStorage.getItem(STORAGE_KEY))).toEqual([]);
+    expect((await slots.list({ date: '2026-10-26' }))[0].remaining).toBe(1);
+  });
+
+  it('rejeita horário lotado com SlotUnavailableError', async () => {
+    const slots = provider();
+    await slots.list({ date: '2026-10-26' });
+
+    await expect(slots.book('box@2026-10-26', CONTACT)).rejects.toBeInstanceOf(SlotUnavailableError);
+    expect(localStorage.getItem(STORAGE_KEY)).toBeNull();
+  });
+
+  it('rejeita quando outra aba ocupou a vaga depois da listagem', async () => {
+    const slots = provider();
+    await slots.list({ date: '2026-10-26' });
+    localStorage.setItem(STORAGE_KEY, JSON.stringify([{ id: 'x', slotId: 'yoga@2026-10-26', email: 'outra@exemplo.com' }]));
+
+    await expect(slots.book('yoga@2026-10-26', CONTACT)).rejects.toBeInstanceOf(SlotUnavailableError);
+  });
+
+  it('rejeita a segunda reserva do mesmo e-mail no mesmo horário', async () => {
+    const slots = createLocalSlotProvider({
+      storageKey: STORAGE_KEY,
+      load:       async () => ({ slots: [{ ...data.slots[0], taken: 0 }] }),
+      expand:     ({ slots: all }) => all,
+    });
+    await slots.list({});
+    await slots.book('yoga@2026-10-26', CONTACT);
+
+    const again = slots.book('yoga@2026-10-26', { ...CONTACT, email: 'ana@exemplo.com' });
+    await expect(again).rejects.toThrow(SlotUnavailableError);
+    await expect(again).rejects.toThrow('Você já tem uma reserva neste horário.');
+  });
+
+  it('recusa horário que não veio de list()', async () => {
+    await expect(provider().book('nao-existe', CONTACT)).rejects.not.toBeInstanceOf(SlotUnavailableError);
+  });
+});
+
+describe('createHTTPSlotProvider (servidor local)', () => {
+  let server;
+  let reply;
+
+  beforeAll(async () => {
+    server = await startStubServer((req) => reply(req));
+  });
+  afterAll(() => server.close());
+  beforeEach(() => { server.requests.length = 0; });
+
+  it('busca GET /slots com a consulta na query string', async () => {
+    const slots = [{ id: 'yoga@2026-10-26', date: '2026-10-26', start: '07:00', duration: 60, remaining: 3 }];
+    reply = () => ({ body: slots });
+
+    const list = await createHTTPSlotProvider(`${server.url}/api/`).list({ modality: 'yoga', date: '2026-10-26' });
+
+    expect(list).toEqual(slots);
+    expect(server.requests[0].method).toBe('GET');
+    expect(server.requests[0].path).toBe('/api/slots');
+    expect(Object.fromEntries(server.requests[0].query)).toEqual({ modality: 'yoga', date: '2026-10-26' });
+  });
+
+  it('envia POST /bookings em JSON e devolve a reserva', async () => {
+    reply = ({ body }) => ({ status: 201, body: { id: 'b1', slotId: body.slotId, createdAt: '2026-10-19T12:00:00Z' } });
+
+    const booking = await createHTTPSlotProvider(`${server.url}/api`).book('yoga@2026-10-26', CONTACT);
+
+    expect(booking).toEqual({ id: 'b1', slotId: 'yoga@2026-10-26', createdAt: '2026-10-19T12:00:00Z' });
+    const [req] = server.requests;
+    expect(req.method).toBe('POST');
+    expect(req.path).toBe('/api/bookings');
+    expect(req.headers['content-type']).toBe('application/json');
+    expect(req.body).toEqual({ slotId: 'yoga@2026-10-26', ...CONTACT });
+  });
+
+  it('cancela com DELETE /bookings/:id; 404 conta como já cancelada', async () => {
+    reply = () => ({ status: 204 });
+    await createHTTPSlotProvider(`${server.url}/api`).cancel('b 1');
+
+    expect(server.requests[0].method).toBe('DELETE');
+    expect(server.requests[0].path).toBe('/api/bookings/b%201');
+
+    reply = () => ({ status: 404 });
+    await expect(createHTTPSlotProvider(`${server.url}/api`).cancel('b1')).resolves.toBeUndefined();
+
+    reply = () => ({ status: 500 });
+    await expect(createHTTPSlotProvider(`${server.url}/api`).cancel('b1')).rejects.toThrow('HTTP 500');
+  });
+
+  it('409 vira SlotUnavailableError com a mensagem do servidor', async () => {
+    reply = () => ({ status: 409, body: { message: 'Turma lotada.' } });
+
+    const booking = createHTTPSlotProvider(`${server.url}/api`).book('box@2026-10-26', CONTACT);
+
+    await expect(booking).rejects.toBeInstanceOf(SlotUnavailableError);
+    await expect(booking).rejects.toThrow('Turma lotada.');
+  });
+
+  it('409 sem corpo JSON usa a mensagem padrão', async () => {
+    reply = () => ({ status: 409 });
+
+    await expect(createHTTPSlotProvider(`${server.url}/api`).book('box@2026-10-26', CONTACT))
+      .rejects.toThrow(new SlotUnavailableError().message);
+  });
+
+  it('outros erros HTTP não viram SlotUnavailableError', async () => {
+    reply = () => ({ status: 500, body: { message: 'falhou' } });
+
+    const booking = createHTTPSlotProvider(`${server.url}/api`).book('box@2026-10-26', CONTACT);
+
+    await expect(booking).rejects.toThrow('HTTP 500');
+    await expect(booking).rejects.not.toBeInstanceOf(SlotUnavailableError);
+  });
+});
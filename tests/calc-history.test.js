@@ -0,0 +1,50 @@
+import { describe, it, expect, beforeAll, vi } from 'vitest';
+import { loadPage } from './helpers/page.js';
+
+const STORAGE_KEY = 'smart-active-bmi-history';
+
+const existing = { id: 'kept', date: '2026-01-10T12:00:00.000Z', cm: 175, kg: 80, bmi: 26.1, bodyFat: 21.4 };
+
+beforeAll(() => loadPage('index.html', 'assets/js/main.js', {
+  prepare: () => localStorage.setItem(STORAGE_KEY, JSON.stringify([existing])),
+}));
+
+describe('CalcHistory import', () => {
+  let input;
+
+  const stored = () => JSON.parse(localStorage.getItem(STORAGE_KEY));
+
+  /** Feeds a file to the hidden import input, as picking it in the dialog would. */
+  const importJSON = async (entries) => {
+    const file = new File([JSON.stringify(entries)], 'history.json', { type: 'application/json' });
+    Object.defineProperty(input, 'files', { value: [file], configurable: true });
+    const before = stored().length;
+    input.dispatchEvent(new Event('change'));
+    await vi.waitFor(() => expect(stored().length).toBe(before + entries.length));
+  };
+
+  beforeAll(() => {
+    input = document.querySelector('#calculate-import');
+  });
+
+  it('gives imported entries fresh ids, even when one collides with a saved entry', async () => {
+    await importJSON([{ ...existing, id: 'kept', date: '2026-02-10T12:00:00.000Z' }]);
+
+    const ids = stored().map(e => e.id);
+    expect(ids).toHaveLength(2);
+    expect(new Set(ids).size).toBe(2);
+    expect(stored().find(e => e.date === existing.date).id).toBe('kept');
+    expect(document.querySelectorAll('.calculate__history-item[data-id="kept"]')).toHaveLength(1);
+  });
+
+  it('drops body-fat values outside the calculator range', async () => {
+    await importJSON([
+      { date: '2026-03-01T12:00:00.000Z', cm: 175, kg: 79, bmi: 25.8, bodyFat: 140 },
+      { date: '2026-03-08T12:00:00.000Z', cm: 175, kg: 78, bmi: 25.5, bodyFat: '<img src=x>' },
+      { date: '2026-03-15T12:00:00.000Z', cm: 175, kg: 77, bmi: 25.1, bodyFat: 19.9 },
+    ]);
+
+    const fat = Object.fromEntries(stored().map(e => [e.date.slice(0, 10), e.bodyFat]));
+    expect(fat).toMatchObject({ '2026-01-10': 21.4, '2026-03-01': null, '2026-03-08': null, '2026-03-15': 19.9 });
+  });
+});
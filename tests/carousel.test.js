@@ -0,0 +1,184 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createCarousel } from '../assets/js/core/carousel.js';
+import { t } from '../assets/js/core/i18n.js';
+
+const AUTOPLAY = 1000;
+
+/** Quatro slides, dois visíveis por vez (--carousel-visible no contêiner). */
+const mount = () => {
+  document.body.innerHTML = `
+    <button id="outside">Fora</button>
+    <section id="root" aria-label="Equipe" style="--carousel-visible: 2">
+      <div id="viewport">
+        <div id="track">
+          ${[1, 2, 3, 4].map(n => `<article id="slide-${n}"><a href="#p${n}">Perfil ${n}</a></article>`).join('')}
+        </div>
+      </div>
+      <button id="prev">Anterior</button>
+      <button id="next">Próximo</button>
+      <button id="play">Pausar</button>
+    </section>`;
+};
+
+const $ = (selector) => document.querySelector(selector);
+
+/** pointerenter/pointerleave com o tipo de ponteiro. */
+const pointer = (type, pointerType = 'mouse') =>
+  $('#root').dispatchEvent(Object.assign(new Event(type), { pointerType }));
+
+const setHidden = (hidden) => {
+  Object.defineProperty(document, 'hidden', { configurable: true, get: () => hidden });
+  document.dispatchEvent(new Event('visibilitychange'));
+};
+
+describe('createCarousel', () => {
+  let carousel;
+  let announcer;
+
+  const create = (options = {}) => {
+    carousel = createCarousel($('#root'), {
+      track: $('#track'), prev: $('#prev'), next: $('#next'), playButton: $('#play'), ...options,
+    });
+    announcer = $('#root [aria-live]');
+  };
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    setHidden(false);
+    mount();
+  });
+
+  afterEach(() => {
+    carousel?.pause();
+    vi.useRealTimers();
+  });
+
+  describe('cópias para o loop', () => {
+    beforeEach(() => create());
+
+    it('copia os últimos slides para o início e os primeiros para o fim', () => {
+      const children = [...$('#track').children];
+      const clones = children.filter(el => el.hasAttribute('data-carousel-clone'));
+
+      expect(children).toHaveLength(8);
+      expect(clones).toEqual([children[0], children[1], children[6], children[7]]);
+      expect(clones.map(el => el.querySelector('a').getAttribute('href'))).toEqual(['#p3', '#p4', '#p1', '#p2']);
+    });
+
+    it('as cópias ficam fora da árvore de acessibilidade e do Tab, sem ids repetidos', () => {
+      $('#track').querySelectorAll('[data-carousel-clone]').forEach(clone => {
+        expect(clone.getAttribute('aria-hidden')).toBe('true');
+        expect(clone.hasAttribute('id')).toBe(false);
+        expect(clone.querySelector('a').getAttribute('tabindex')).toBe('-1');
+      });
+      expect(document.querySelectorAll('#slide-1')).toHaveLength(1);
+    });
+
+    it('marca só os slides reais como grupos do carrossel', () => {
+      expect($('#root').getAttribute('role')).toBe('region');
+      expect($('#root').getAttribute('aria-roledescription')).toBe(t('carousel.roledescription'));
+      expect($('#slide-2').getAttribute('role')).toBe('group');
+      expect($('#slide-2').getAttribute('aria-label')).toBe(t('carousel.slideLabel', { n: 2, total: 4 }));
+    });
+
+    it('dá a volta nas duas pontas', () => {
+      carousel.prev();
+      expect(carousel.index).toBe(3);
+      carousel.next();
+      expect(carousel.index).toBe(0);
+    });
+
+    it('refresh() não acumula cópias', () => {
+      carousel.refresh();
+      expect($('#track').querySelectorAll('[data-carousel-clone]')).toHaveLength(4);
+    });
+  });
+
+  describe('autoplay', () => {
+    beforeEach(() => create({ autoplay: AUTOPLAY }));
+
+    it('avança sozinho a cada intervalo', () => {
+      expect(carousel.playing).toBe(true);
+      vi.advanceTimersByTime(AUTOPLAY * 2);
+      expect(carousel.index).toBe(2);
+    });
+
+    it('pausa com o mouse em cima e retoma ao sair; toque não pausa', () => {
+      pointer('pointerenter');
+      vi.advanceTimersByTime(AUTOPLAY * 3);
+      expect(carousel.playing).toBe(false);
+      expect(carousel.index).toBe(0);
+
+      pointer('pointerleave');
+      vi.advanceTimersByTime(AUTOPLAY);
+      expect(carousel.index).toBe(1);
+
+      pointer('pointerenter', 'touch');
+      expect(carousel.playing).toBe(true);
+    });
+
+    it('pausa com o foco dentro e retoma quando o foco sai', () => {
+      $('#slide-1 a').focus();
+      vi.advanceTimersByTime(AUTOPLAY * 3);
+      expect(carousel.playing).toBe(false);
+
+      $('#outside').focus();
+      expect(carousel.playing).toBe(true);
+    });
+
+    it('pausa com a aba em segundo plano', () => {
+      setHidden(true);
+      vi.advanceTimersByTime(AUTOPLAY * 3);
+      expect(carousel.playing).toBe(false);
+      expect(carousel.index).toBe(0);
+
+      setHidden(false);
+      expect(carousel.playing).toBe(true);
+    });
+
+    it('o botão pausa e retoma, atualizando o rótulo', () => {
+      $('#play').click();
+      expect(carousel.playing).toBe(false);
+      expect($('#play').getAttribute('aria-label')).toBe(t('carousel.play'));
+
+      $('#play').click();
+      expect(carousel.playing).toBe(true);
+      expect($('#play').getAttribute('aria-label')).toBe(t('carousel.pause'));
+    });
+
+    it('fica desligado para quem prefere menos movimento', () => {
+      carousel.pause();
+      const matchMedia = vi.spyOn(window, 'matchMedia').mockImplementation(query => ({
+        matches: query.includes('reduce'), media: query, addEventListener() {}, removeEventListener() {},
+      }));
+      mount();
+      create({ autoplay: AUTOPLAY });
+
+      expect(carousel.playing).toBe(false);
+      matchMedia.mockRestore();
+    });
+  });
+
+  describe('região viva', () => {
+    beforeEach(() => create({ autoplay: AUTOPLAY }));
+
+    it('anuncia a posição quando a navegação parte do usuário', () => {
+      $('#next').click();
+      expect(announcer.textContent).toBe(t('carousel.announce', { n: 2, total: 4 }));
+
+      carousel.goTo(3);
+      expect(announcer.textContent).toBe(t('carousel.announce', { n: 4, total: 4 }));
+    });
+
+    it('fica em silêncio nos avanços do autoplay', () => {
+      vi.advanceTimersByTime(AUTOPLAY);
+      expect(carousel.index).toBe(1);
+      expect(announcer.textContent).toBe('');
+    });
+
+    it('é polite e atômica', () => {
+      expect(announcer.getAttribute('aria-live')).toBe('polite');
+      expect(announcer.getAttribute('aria-atomic')).toBe('true');
+    });
+  });
+});
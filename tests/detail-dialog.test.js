@@ -0,0 +1,102 @@
+import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest';
+import { loadPage, press, flush } from './helpers/page.js';
+
+/** Painéis de detalhes de page.html abertos pelo "Explorar" de cada card. */
+describe('page.html — painel de detalhes como diálogo', () => {
+  beforeAll(() => loadPage('page.html', 'assets/js/mainpage.js'));
+
+  const modality = () => new URLSearchParams(location.search).get('modalidade');
+
+  /** Espera o history.back() do fechamento chegar e o popstate rodar. */
+  const settle = async () => {
+    await vi.waitFor(() => expect(modality()).toBeNull());
+    await flush();
+  };
+
+  afterEach(async () => {
+    const open = document.querySelector('.card-detail[aria-modal="true"]');
+    if (open) press(open, 'Escape');
+    await settle();
+  });
+
+  const openFrom = (cardId) => {
+    const cta = document.querySelector(`#${cardId} .card__cta`);
+    cta.focus();
+    cta.click();
+    return { cta, panel: document.getElementById(`${cardId}-detail`) };
+  };
+
+  it('abre o painel como modal com o foco dentro dele', () => {
+    const { panel } = openFrom('cardio');
+
+    expect(panel.hidden).toBe(false);
+    expect(panel.getAttribute('role')).toBe('dialog');
+    expect(panel.getAttribute('aria-modal')).toBe('true');
+    expect(panel.contains(document.activeElement)).toBe(true);
+  });
+
+  it('deixa o resto da página inert e trava a rolagem', () => {
+    const { panel } = openFrom('cardio');
+
+    const outside = [...document.body.children].filter(el => !el.contains(panel) && el.tagName !== 'SCRIPT');
+    expect(outside.length).toBeGreaterThan(0);
+    outside.forEach(el => expect(el.hasAttribute('inert')).toBe(true));
+    expect(document.documentElement.style.overflow).toBe('hidden');
+  });
+
+  it('Tab e Shift+Tab ficam presos no painel', () => {
+    const { panel } = openFrom('cardio');
+    const focusables = [...panel.querySelectorAll('button:not([disabled]), a[href]')]
+      .filter(el => el.getClientRects().length);
+    const first = focusables[0];
+    const last  = focusables.at(-1);
+
+    last.focus();
+    press(document.activeElement, 'Tab');
+    expect(document.activeElement).toBe(first);
+
+    press(document.activeElement, 'Tab', { shiftKey: true });
+    expect(document.activeElement).toBe(last);
+  });
+
+  it('Escape fecha, devolve o foco ao .card__cta e libera a página', () => {
+    const { cta, panel } = openFrom('cardio');
+
+    press(document.activeElement, 'Escape');
+
+    expect(panel.hasAttribute('aria-modal')).toBe(false);
+    expect(panel.hidden).toBe(true);
+    expect(document.activeElement).toBe(cta);
+    expect(document.querySelectorAll('body [inert]')).toHaveLength(0);
+    expect(document.documentElement.style.overflow).toBe('');
+  });
+
+  it('o botão fechar também devolve o foco ao .card__cta', () => {
+    const { cta, panel } = openFrom('weight');
+
+    panel.querySelector('.card-detail__close').click();
+
+    expect(panel.hidden).toBe(true);
+    expect(document.activeElement).toBe(cta);
+  });
+
+  it('fechar volta sobre a entrada do painel: o "Voltar" seguinte sai da página, sem reabrir o painel', async () => {
+    const base = location.pathname;
+    history.replaceState(null, '', `${base}?origem=1`);
+    history.pushState(null, '', base);
+
+    const { panel } = openFrom('crossfit');
+    expect(modality()).toBe('crossfit');
+
+    press(document.activeElement, 'Escape');
+    await settle();
+    expect(location.search).toBe('');
+    expect(panel.hidden).toBe(true);
+
+    history.back();
+    await vi.waitFor(() => expect(location.search).toBe('?origem=1'));
+    await flush();
+    expect(panel.hidden).toBe(true);
+    expect(panel.classList.contains('is-active')).toBe(false);
+  });
+});
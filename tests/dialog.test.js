@@ -0,0 +1,197 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createDialog, createHistoryEntry } from '../assets/js/core/dialog.js';
+import { press } from './helpers/page.js';
+
+/** Conteúdo de fundo + dois diálogos (o segundo é empilhado sobre o primeiro). */
+const mount = () => {
+  document.body.innerHTML = `
+    <header id="page"><button id="opener">Abrir</button><a href="#x" id="link">Link</a></header>
+    <div id="first" aria-label="Primeiro" hidden>
+      <button id="first-a">A</button>
+      <button id="first-b">B</button>
+      <button id="first-close" data-dialog-close>Fechar</button>
+    </div>
+    <div id="second" aria-label="Segundo" hidden>
+      <input id="second-input">
+      <button id="second-close" data-dialog-close>Fechar</button>
+    </div>`;
+};
+
+const $ = (selector) => document.querySelector(selector);
+
+/** Abre como as páginas fazem: mostra o elemento e abre o diálogo. */
+const show = (dialog, element, options) => {
+  element.hidden = false;
+  dialog.open(options);
+};
+
+describe('createDialog', () => {
+  let first, second, closed;
+
+  beforeEach(() => {
+    mount();
+    closed = [];
+    first  = createDialog($('#first'),  { onClose: (reason) => closed.push(['first', reason]) });
+    second = createDialog($('#second'), { onClose: (reason) => closed.push(['second', reason]) });
+  });
+
+  afterEach(() => {
+    second.close();
+    first.close();
+  });
+
+  it('marca o elemento como diálogo modal e desfaz ao fechar', () => {
+    $('#opener').focus();
+    show(first, $('#first'));
+
+    expect($('#first').getAttribute('role')).toBe('dialog');
+    expect($('#first').getAttribute('aria-modal')).toBe('true');
+    expect(first.isOpen).toBe(true);
+
+    first.close();
+    expect($('#first').hasAttribute('role')).toBe(false);
+    expect($('#first').hasAttribute('aria-modal')).toBe(false);
+  });
+
+  it('leva o foco para dentro e o devolve a quem abriu', () => {
+    $('#opener').focus();
+    show(first, $('#first'));
+    expect(document.activeElement).toBe($('#first-a'));
+
+    first.close();
+    expect(document.activeElement).toBe($('#opener'));
+  });
+
+  it('Tab e Shift+Tab dão a volta dentro do diálogo', () => {
+    show(first, $('#first'));
+
+    $('#first-close').focus();
+    expect(press(document.activeElement, 'Tab').defaultPrevented).toBe(true);
+    expect(document.activeElement).toBe($('#first-a'));
+
+    expect(press(document.activeElement, 'Tab', { shiftKey: true }).defaultPrevented).toBe(true);
+    expect(document.activeElement).toBe($('#first-close'));
+
+    // No meio da lista o navegador segue normalmente
+    $('#first-a').focus();
+    expect(press(document.activeElement, 'Tab').defaultPrevented).toBe(false);
+  });
+
+  it('aplica inert ao resto da página e remove ao fechar', () => {
+    show(first, $('#first'));
+
+    expect($('#page').hasAttribute('inert')).toBe(true);
+    expect($('#second').hasAttribute('inert')).toBe(true);
+    expect($('#first').hasAttribute('inert')).toBe(false);
+
+    first.close();
+    expect(document.querySelectorAll('[inert]')).toHaveLength(0);
+  });
+
+  it('trava a rolagem enquanto houver diálogo aberto e libera ao fechar o último', () => {
+    document.documentElement.style.overflow = 'auto';
+
+    show(first, $('#first'));
+    expect(document.documentElement.style.overflow).toBe('hidden');
+
+    show(second, $('#second'));
+    second.close();
+    expect(document.documentElement.style.overflow).toBe('hidden');
+
+    first.close();
+    expect(document.documentElement.style.overflow).toBe('auto');
+  });
+
+  it('Escape fecha só o diálogo do topo da pilha', () => {
+    $('#opener').focus();
+    show(first, $('#first'));
+    const inner = $('#first-b');
+    inner.focus();
+    show(second, $('#second'));
+
+    // O diálogo de cima sai do inert aplicado pelo de baixo
+    expect($('#second').hasAttribute('inert')).toBe(false);
+    expect($('#first').hasAttribute('inert')).toBe(true);
+
+    press(document.activeElement, 'Escape');
+    expect(second.isOpen).toBe(false);
+    expect(first.isOpen).toBe(true);
+    expect(closed).toEqual([['second', 'escape']]);
+    expect(document.activeElement).toBe(inner);
+    expect($('#first').hasAttribute('inert')).toBe(false);
+
+    press(document.activeElement, 'Escape');
+    expect(first.isOpen).toBe(false);
+    expect(closed).toEqual([['second', 'escape'], ['first', 'escape']]);
+    expect(document.activeElement).toBe($('#opener'));
+  });
+
+  it('só o diálogo do topo prende o Tab', () => {
+    show(first, $('#first'));
+    show(second, $('#second'));
+
+    $('#second-close').focus();
+    press(document.activeElement, 'Tab');
+    expect(document.activeElement).toBe($('#second-input'));
+  });
+
+  it('botões [data-dialog-close] e clique no fundo chamam onClose; close() não', () => {
+    show(first, $('#first'));
+    $('#first-close').click();
+    expect(closed).toEqual([['first', 'button']]);
+
+    show(first, $('#first'));
+    $('#first').click();
+    expect(closed).toEqual([['first', 'button'], ['first', 'backdrop']]);
+
+    show(first, $('#first'));
+    first.close();
+    expect(closed).toHaveLength(2);
+  });
+});
+
+describe('createHistoryEntry', () => {
+  const entry = createHistoryEntry('testDialog');
+  const param = () => new URLSearchParams(location.search).get('item');
+
+  /** Espera o history.back() assíncrono chegar. */
+  const backAt = (item) => vi.waitFor(() => expect(param()).toBe(item));
+
+  beforeEach(() => history.replaceState(null, '', '?item=lista'));
+  afterEach(() => vi.restoreAllMocks());
+
+  it('push cria uma entrada marcada com a chave', () => {
+    entry.push('?item=a');
+
+    expect(param()).toBe('a');
+    expect(history.state).toEqual({ testDialog: true });
+  });
+
+  it('leave volta sobre a entrada criada por push, sem criar outra', async () => {
+    entry.push('?item=a');
+    const pushState = vi.spyOn(history, 'pushState');
+
+    entry.leave('?item=lista');
+    await backAt('lista');
+
+    expect(pushState).not.toHaveBeenCalled();
+    expect(history.state?.testDialog).toBeFalsy();
+
+    // O diálogo virou a entrada seguinte: "Avançar" volta para ele
+    history.forward();
+    await backAt('a');
+  });
+
+  it('leave reescreve a entrada atual quando ela não foi criada por push (link direto)', () => {
+    history.replaceState({ outro: true }, '', '?item=a');
+    const back = vi.spyOn(history, 'back');
+    const pushState = vi.spyOn(history, 'pushState');
+
+    entry.leave('?item=lista');
+
+    expect(param()).toBe('lista');
+    expect(history.state).toEqual({ outro: true });
+    expect(back).not.toHaveBeenCalled();
+    expect(pushState).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,250 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach, vi } from 'vitest';
+import { SubmissionError, createSubmitter, bindSubmission } from '../assets/js/core/forms.js';
+import { startStubServer } from './helpers/stub-server.js';
+
+const BACKOFF_MS = 40;
+const SUBMISSION = { name: 'newsletter', data: { user_email: 'ana@exemplo.com' } };
+
+/** Erro com que a promessa rejeita (falha o teste se ela resolver). */
+const rejection = (promise) => promise.then(
+  () => { throw new Error('deveria ter rejeitado'); },
+  (err) => err,
+);
+
+describe('createSubmitter + jsonTransport (servidor local)', () => {
+  let server;
+  /** Respostas na ordem das tentativas; a última se repete. */
+  let replies;
+
+  beforeAll(async () => {
+    server = await startStubServer(() => (replies.length > 1 ? replies.shift() : replies[0]));
+  });
+  afterAll(() => server.close());
+  beforeEach(() => { server.requests.length = 0; });
+
+  const submitter = (options = {}) => createSubmitter({
+    transport: 'json',
+    backoffMs: BACKOFF_MS,
+    json:      { endpoint: `${server.url}/api/forms`, headers: { 'X-Site': 'smart-active' } },
+    ...options,
+  });
+
+  it('envia POST JSON com o nome do formulário e os campos', async () => {
+    replies = [{ status: 200, body: { ok: true } }];
+
+    await expect(submitter()(SUBMISSION)).resolves.toEqual({ ok: true });
+
+    const [req] = server.requests;
+    expect(req.method).toBe('POST');
+    expect(req.path).toBe('/api/forms');
+    expect(req.headers['content-type']).toBe('application/json');
+    expect(req.headers['x-site']).toBe('smart-active');
+    expect(req.body).toEqual({ form: 'newsletter', user_email: 'ana@exemplo.com' });
+  });
+
+  it('resolve com null em 204', async () => {
+    replies = [{ status: 204 }];
+    await expect(submitter()(SUBMISSION)).resolves.toBeNull();
+  });
+
+  it.each([500, 502, 503, 429])('repete após HTTP %i e resolve quando o servidor se recupera', async (status) => {
+    replies = [{ status }, { status }, { status: 200, body: { ok: true } }];
+
+    await expect(submitter()(SUBMISSION)).resolves.toEqual({ ok: true });
+    expect(server.requests).toHaveLength(3);
+  });
+
+  it('repete após erro de rede (conexão derrubada)', async () => {
+    replies = [{ destroy: true }, { status: 200, body: { ok: true } }];
+
+    await expect(submitter()(SUBMISSION)).resolves.toEqual({ ok: true });
+    expect(server.requests).toHaveLength(2);
+  });
+
+  it('espera backoffMs e depois o dobro entre as tentativas', async () => {
+    replies = [{ status: 503 }, { status: 503 }, { status: 200, body: {} }];
+    await submitter()(SUBMISSION);
+
+    const [first, second, third] = server.requests.map(req => req.receivedAt);
+    expect(second - first).toBeGreaterThanOrEqual(BACKOFF_MS - 5);
+    expect(third - second).toBeGreaterThanOrEqual(2 * BACKOFF_MS - 5);
+  });
+
+  it.each([400, 403, 404, 422])('não repete HTTP %i e rejeita com SubmissionError não repetível', async (status) => {
+    replies = [{ status, body: { message: 'recusado' } }];
+
+    const err = await rejection(submitter()(SUBMISSION));
+
+    expect(err).toBeInstanceOf(SubmissionError);
+    expect(err).toMatchObject({ status, retryable: false });
+    expect(server.requests).toHaveLength(1);
+  });
+
+  it('desiste depois de `retries` tentativas extras com o último erro, ainda marcado como repetível', async () => {
+    replies = [{ status: 503 }];
+
+    const err = await rejection(submitter({ retries: 2 })(SUBMISSION));
+
+    expect(err).toBeInstanceOf(SubmissionError);
+    expect(err).toMatchObject({ status: 503, retryable: true });
+    expect(err.message).toContain('HTTP 503');
+    expect(server.requests).toHaveLength(3);
+  });
+
+  it('sem conexão com o servidor rejeita com status 0 e repetível', async () => {
+    const offline = await startStubServer(() => ({}));
+    await offline.close();
+
+    const err = await rejection(createSubmitter({
+      transport: 'json', retries: 1, backoffMs: 1, json: { endpoint: `${offline.url}/api/forms` },
+    })(SUBMISSION));
+
+    expect(err).toBeInstanceOf(SubmissionError);
+    expect(err).toMatchObject({ status: 0, retryable: true });
+    expect(err.cause).toBeInstanceOf(Error);
+  });
+
+  it('retries: 0 não repete nem falhas transitórias', async () => {
+    replies = [{ status: 500 }];
+
+    await rejection(submitter({ retries: 0 })(SUBMISSION));
+    expect(server.requests).toHaveLength(1);
+  });
+});
+
+describe('createSubmitter com transporte próprio', () => {
+  it('embrulha erros comuns em SubmissionError sem repetir', async () => {
+    let calls = 0;
+    const submit = createSubmitter({
+      backoffMs: 1,
+      transport: { send: async () => { calls++; throw new TypeError('quebrou'); } },
+    });
+
+    const err = await rejection(submit(SUBMISSION));
+
+    expect(err).toBeInstanceOf(SubmissionError);
+    expect(err).toMatchObject({ message: 'quebrou', retryable: false });
+    expect(err.cause).toBeInstanceOf(TypeError);
+    expect(calls).toBe(1);
+  });
+
+  it('recusa nome de transporte desconhecido', () => {
+    expect(() => createSubmitter({ transport: 'fax' })).toThrow('fax');
+  });
+});
+
+describe('bindSubmission', () => {
+  let form, input, message;
+
+  /** Liga o formulário de teste; `outbox` e `submitter` substituem os reais. */
+  const bind = ({ submitter = vi.fn().mockResolvedValue(null), outbox = {} } = {}) => {
+    outbox = { enqueue: vi.fn(async () => {}), flush: vi.fn(async () => []), ...outbox };
+    bindSubmission(form, {
+      name: 'newsletter',
+      collect: () => (input.value ? { data: { user_email: input.value }, key: input.value } : { error: 'empty' }),
+      submitter,
+      outbox,
+      messages: { element: message, text: (outcome) => `msg:${outcome}` },
+    });
+    return { submitter, outbox };
+  };
+
+  const submit = async () => {
+    form.requestSubmit();
+    await vi.waitFor(() => expect(form.getAttribute('aria-busy')).toBe('false'));
+  };
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <form id="f"><input id="email"><button type="submit">Enviar</button></form>
+      <p id="message" class="footer__message"></p>`;
+    form    = document.querySelector('#f');
+    input   = document.querySelector('#email');
+    message = document.querySelector('#message');
+  });
+
+  afterEach(() => vi.restoreAllMocks());
+
+  it('erro de validação aparece na mensagem e nada é enviado', () => {
+    const { submitter } = bind();
+
+    form.requestSubmit();
+
+    expect(message.textContent).toBe('msg:empty');
+    expect(message.classList.contains('color-red')).toBe(true);
+    expect(submitter).not.toHaveBeenCalled();
+  });
+
+  it('envia com nome, formulário e campos; confirma e limpa o formulário', async () => {
+    const { submitter } = bind();
+    input.value = 'ana@exemplo.com';
+
+    await submit();
+
+    expect(submitter).toHaveBeenCalledWith({ name: 'newsletter', form, data: { user_email: 'ana@exemplo.com' } });
+    expect(message.textContent).toBe('msg:success');
+    expect(message.className).toBe('footer__message color-green');
+    expect(input.value).toBe('');
+  });
+
+  it('desabilita o botão enquanto envia', async () => {
+    let finish;
+    bind({ submitter: vi.fn(() => new Promise(resolve => { finish = resolve; })) });
+    input.value = 'ana@exemplo.com';
+
+    form.requestSubmit();
+    expect(form.getAttribute('aria-busy')).toBe('true');
+    expect(form.querySelector('button').disabled).toBe(true);
+    expect(message.textContent).toBe('msg:sending');
+
+    finish();
+    await vi.waitFor(() => expect(form.querySelector('button').disabled).toBe(false));
+  });
+
+  it('falha transitória vai para a fila com a chave do formulário', async () => {
+    const { outbox } = bind({
+      submitter: vi.fn().mockRejectedValue(new SubmissionError('HTTP 503', { retryable: true })),
+    });
+    input.value = 'Ana@Exemplo.com';
+
+    await submit();
+
+    expect(outbox.enqueue).toHaveBeenCalledWith({ name: 'newsletter', data: { user_email: 'Ana@Exemplo.com' } }, 'Ana@Exemplo.com');
+    expect(message.textContent).toBe('msg:queued');
+    expect(input.value).toBe('');
+  });
+
+  it('sem conexão e sem IndexedDB mostra "offline" e mantém o campo', async () => {
+    vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+    const { submitter } = bind({ outbox: { enqueue: vi.fn().mockRejectedValue(new Error('IndexedDB indisponível')) } });
+    input.value = 'ana@exemplo.com';
+
+    await submit();
+
+    expect(submitter).not.toHaveBeenCalled();
+    expect(message.textContent).toBe('msg:offline');
+    expect(input.value).toBe('ana@exemplo.com');
+  });
+
+  it('falha definitiva mostra o erro sem enfileirar', async () => {
+    const { outbox } = bind({
+      submitter: vi.fn().mockRejectedValue(new SubmissionError('HTTP 422', { status: 422 })),
+    });
+    input.value = 'ana@exemplo.com';
+
+    await submit();
+
+    expect(outbox.enqueue).not.toHaveBeenCalled();
+    expect(message.textContent).toBe('msg:failed');
+    expect(input.value).toBe('ana@exemplo.com');
+  });
+
+  it('avisa quando a fila é reenviada ao ligar e ao voltar a conexão', async () => {
+    const flush = vi.fn(async () => []).mockResolvedValueOnce([{ key: 'newsletter:ana@exemplo.com' }]);
+    bind({ outbox: { flush } });
+    await vi.waitFor(() => expect(message.textContent).toBe('msg:flushed'));
+
+    window.dispatchEvent(new Event('online'));
+    expect(flush).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,26 @@
+/**
+ * Acesso direto ao store da fila offline (core/outbox.js) no IndexedDB,
+ * para conferir o que ficou guardado sem passar pela API do outbox.
+ */
+
+const open = () => new Promise((resolve, reject) => {
+  const req = indexedDB.open('smart-active', 1);
+  req.onupgradeneeded = () => req.result.createObjectStore('outbox', { keyPath: 'key' });
+  req.onsuccess = () => resolve(req.result);
+  req.onerror   = () => reject(req.error);
+});
+
+const run = async (mode, operation) => {
+  const db = await open();
+  return new Promise((resolve, reject) => {
+    const tx  = db.transaction('outbox', mode);
+    const req = operation(tx.objectStore('outbox'));
+    tx.oncomplete = () => { db.close(); resolve(req.result); };
+    tx.onerror    = () => { db.close(); reject(tx.error); };
+  });
+};
+
+/** @returns {Promise<object[]>} itens da fila, na ordem das chaves */
+export const storedOutbox = () => run('readonly', store => store.getAll());
+
+export const clearOutbox = () => run('readwrite', store => store.clear());
@@ -0,0 +1,53 @@
+/**
+ * Carrega uma página do site no document do jsdom e executa o script dela,
+ * como o navegador faria: HTML do disco, fetch servindo os arquivos do
+ * repositório e DOMContentLoaded no fim.
+ */
+import { readFile } from 'node:fs/promises';
+import { resolve } from 'node:path';
+import { vi } from 'vitest';
+
+const ROOT = resolve(import.meta.dirname, '../..');
+
+/** Resposta de fetch com um arquivo do repositório (404 se não existir). */
+export const serveFile = async (url) => {
+  const path = String(url).replace(/^https?:\/\/[^/]+\//, '').replace(/^\.?\//, '').split(/[?#]/)[0];
+  try {
+    const body = await readFile(resolve(ROOT, path), 'utf8');
+    return new Response(body, { status: 200, headers: { 'Content-Type': 'application/json' } });
+  } catch {
+    return new Response('', { status: 404 });
+  }
+};
+
+/**
+ * URLs de outra origem (ex.: o servidor de stub-server.js) vão para o fetch
+ * real; o resto é servido do disco.
+ * @param {string} html   — página, ex.: 'index.html'
+ * @param {string} script — módulo de entrada, ex.: 'assets/js/main.js'
+ * @param {Object} [options]
+ * @param {(document: Document) => void} [options.prepare] — ajusta o HTML antes do script rodar
+ */
+export const loadPage = async (html, script, { prepare } = {}) => {
+  const source = await readFile(resolve(ROOT, html), 'utf8');
+  const parsed = new DOMParser().parseFromString(source, 'text/html');
+  document.replaceChild(document.adoptNode(parsed.documentElement), document.documentElement);
+  prepare?.(document);
+
+  const realFetch = globalThis.fetch;
+  const isExternal = (url) => /^https?:/.test(String(url)) && new URL(String(url)).origin !== location.origin;
+  vi.stubGlobal('fetch', vi.fn((url, init) => isExternal(url) ? realFetch(url, init) : serveFile(url)));
+  await import(/* @vite-ignore */ resolve(ROOT, script));
+  document.dispatchEvent(new Event('DOMContentLoaded'));
+  await flush();
+};
+
+/** Espera os fetch e timers curtos da inicialização. */
+export const flush = (ms = 50) => new Promise(resolve => setTimeout(resolve, ms));
+
+/** @returns {KeyboardEvent} o evento, para conferir defaultPrevented */
+export const press = (target, key, init = {}) => {
+  const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...init });
+  target.dispatchEvent(event);
+  return event;
+};
@@ -0,0 +1,65 @@
+/**
+ * Servidor HTTP local para os testes dos clientes de API (SlotProvider,
+ * envio de formulários). Sobe em uma porta livre de 127.0.0.1 e responde
+ * com o que o handler do teste devolver; cada requisição fica registrada.
+ */
+import { createServer } from 'node:http';
+
+/**
+ * @typedef {Object} StubRequest
+ * @property {string} method
+ * @property {string} path   — sem a query string
+ * @property {URLSearchParams} query
+ * @property {Record<string, string>} headers
+ * @property {any} body      — JSON já decodificado (ou o texto, se não for JSON)
+ * @property {number} receivedAt — Date.now() na chegada
+ */
+
+/**
+ * @typedef {Object} StubResponse
+ * @property {number} [status]   — padrão 200
+ * @property {any}    [body]     — serializado como JSON
+ * @property {Record<string, string>} [headers]
+ * @property {boolean} [destroy] — derruba a conexão (erro de rede no cliente)
+ */
+
+/**
+ * @param {(req: StubRequest) => StubResponse | Promise<StubResponse>} handler
+ * @returns {Promise<{ url: string, requests: StubRequest[], close: () => Promise<void> }>}
+ */
+export const startStubServer = async (handler) => {
+  const requests = [];
+
+  const server = createServer(async (req, res) => {
+    const receivedAt = Date.now();
+    let raw = '';
+    for await (const chunk of req) raw += chunk;
+
+    const url = new URL(req.url, 'http://127.0.0.1');
+    let body = raw;
+    try { body = raw ? JSON.parse(raw) : null; } catch { /* texto puro */ }
+
+    const request = { method: req.method, path: url.pathname, query: url.searchParams, headers: req.headers, body, receivedAt };
+    requests.push(request);
+
+    const { status = 200, body: payload, headers = {}, destroy = false } = (await handler(request)) ?? {};
+    if (destroy) {
+      req.socket.destroy();
+      return;
+    }
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(payload === undefined ? '' : JSON.stringify(payload));
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    requests,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(() => resolve());
+    }),
+  };
+};
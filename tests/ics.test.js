@@ -0,0 +1,191 @@
+import { describe, it, expect } from 'vitest';
+import { buildCalendar, escapeText, foldLine, nextWeekday } from '../assets/js/core/ics.js';
+
+const TZ = 'America/Sao_Paulo';
+const NOW = new Date('2026-10-19T12:00:00Z'); // segunda-feira, 09:00 em São Paulo
+const BYDAY = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+const octets = (text) => new TextEncoder().encode(text).length;
+
+/** Desfaz a dobra de linhas (RFC 5545 §3.1) e separa as linhas de conteúdo. */
+const unfold = (ics) => ics.replace(/\r\n[ \t]/g, '').split('\r\n').filter(Boolean);
+
+/** Linhas de um componente (ex.: 'VEVENT'), na ordem em que aparecem. */
+const component = (lines, name) => lines.slice(lines.indexOf(`BEGIN:${name}`), lines.indexOf(`END:${name}`) + 1);
+
+const calendar = (event = {}) => buildCalendar({
+  now: NOW,
+  name: 'SMART ACTIVE — Minhas aulas',
+  events: [{
+    uid: 'yoga-qua-0700@smartactive',
+    summary: 'Yoga — SMART ACTIVE',
+    date: '2026-10-21',
+    weekday: 3,
+    start: '07:00',
+    duration: 60,
+    location: 'Av. Paulista, 1000, São Paulo; SP',
+    description: 'Professor(a): Ana\nSala: 2',
+    alarm: 30,
+    ...event,
+  }],
+});
+
+describe('buildCalendar (RFC 5545)', () => {
+  it('termina todas as linhas em CRLF, sem LF solto', () => {
+    const ics = calendar();
+    expect(ics.endsWith('\r\n')).toBe(true);
+    expect(ics.replace(/\r\n/g, '')).not.toMatch(/[\r\n]/);
+  });
+
+  it('abre e fecha o VCALENDAR com VERSION e PRODID', () => {
+    const lines = unfold(calendar());
+    expect(lines[0]).toBe('BEGIN:VCALENDAR');
+    expect(lines.at(-1)).toBe('END:VCALENDAR');
+    expect(lines).toContain('VERSION:2.0');
+    expect(lines.some(line => line.startsWith('PRODID:'))).toBe(true);
+  });
+
+  it('dobra linhas longas em até 75 octetos', () => {
+    const ics = calendar({ description: 'Treino funcional com foco em mobilidade, '.repeat(8) });
+    ics.split('\r\n').forEach(line => expect(octets(line)).toBeLessThanOrEqual(75));
+    expect(unfold(ics)).toContain(`DESCRIPTION:${escapeText('Treino funcional com foco em mobilidade, '.repeat(8))}`);
+  });
+
+  it('tem VTIMEZONE com o mesmo TZID do DTSTART e do DTEND', () => {
+    const lines = unfold(calendar());
+    const tz = component(lines, 'VTIMEZONE');
+    const event = component(lines, 'VEVENT');
+
+    expect(tz).toContain(`TZID:${TZ}`);
+    expect(event).toContain(`DTSTART;TZID=${TZ}:20261021T070000`);
+    expect(event).toContain(`DTEND;TZID=${TZ}:20261021T080000`);
+    // VTIMEZONE vem antes do evento que o usa
+    expect(lines.indexOf('BEGIN:VTIMEZONE')).toBeLessThan(lines.indexOf('BEGIN:VEVENT'));
+  });
+
+  it.each([1, 2, 3, 4, 5, 6, 7])('RRULE BYDAY concorda com o dia do DTSTART (dia ISO %i)', (weekday) => {
+    const date = nextWeekday(weekday, TZ, { now: NOW });
+    const event = component(unfold(calendar({ date, weekday })), 'VEVENT');
+
+    const dtstart = event.find(line => line.startsWith('DTSTART'));
+    const [, y, m, d] = dtstart.match(/:(\d{4})(\d{2})(\d{2})T/);
+    const isoDay = new Date(Date.UTC(+y, m - 1, +d)).getUTCDay() || 7;
+
+    expect(event).toContain(`RRULE:FREQ=WEEKLY;BYDAY=${BYDAY[isoDay - 1]}`);
+    expect(isoDay).toBe(weekday);
+  });
+
+  it('inclui VALARM com TRIGGER relativo antes do início', () => {
+    const alarm = component(unfold(calendar({ alarm: 30 })), 'VALARM');
+    expect(alarm).toContain('ACTION:DISPLAY');
+    expect(alarm).toContain('TRIGGER:-PT30M');
+    expect(alarm.some(line => line.startsWith('DESCRIPTION:'))).toBe(true);
+  });
+
+  it('omite VALARM sem alarme e RRULE sem dia da semana', () => {
+    const lines = unfold(calendar({ alarm: undefined, weekday: undefined }));
+    expect(lines).not.toContain('BEGIN:VALARM');
+    expect(lines.some(line => line.startsWith('RRULE'))).toBe(false);
+  });
+
+  it('escapa os valores TEXT do evento', () => {
+    const event = component(unfold(calendar()), 'VEVENT');
+    expect(event).toContain('LOCATION:Av. Paulista\\, 1000\\, São Paulo\\; SP');
+    expect(event).toContain('DESCRIPTION:Professor(a): Ana\\nSala: 2');
+  });
+
+  it('recusa fuso sem VTIMEZONE conhecido', () => {
+    expect(() => buildCalendar({ events: [], timezone: 'Europe/Lisbon' })).toThrow(/VTIMEZONE/);
+  });
+});
+
+describe('escapeText', () => {
+  it('escapa barra invertida, ponto e vírgula, vírgula e quebras de linha', () => {
+    expect(escapeText('a\\b;c,d\ne\r\nf')).toBe('a\\\\b\\;c\\,d\\ne\\nf');
+  });
+
+  it('escapa a barra antes dos outros (sem escape duplo)', () => {
+    expect(escapeText('\\,')).toBe('\\\\\\,');
+  });
+
+  it('trata null/undefined como vazio', () => {
+    expect(escapeText(undefined)).toBe('');
+    expect(escapeText(null)).toBe('');
+  });
+});
+
+describe('foldLine', () => {
+  const check = (line) => {
+    const folded = foldLine(line);
+    const parts = folded.split('\r\n');
+    parts.forEach((part, i) => {
+      expect(octets(part)).toBeLessThanOrEqual(75);
+      if (i) expect(part.startsWith(' ')).toBe(true);
+      // Cada pedaço é UTF-8 válido sozinho: nenhum caractere partido ao meio
+      expect(part).not.toMatch(/[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?:[^\uD800-\uDBFF]|^)[\uDC00-\uDFFF]/);
+      expect(() => new TextDecoder('utf-8', { fatal: true }).decode(new TextEncoder().encode(part))).not.toThrow();
+    });
+    expect(folded.replace(/\r\n /g, '')).toBe(line);
+    return parts;
+  };
+
+  it('não mexe em linhas de até 75 octetos', () => {
+    const line = `SUMMARY:${'a'.repeat(67)}`;
+    expect(octets(line)).toBe(75);
+    expect(foldLine(line)).toBe(line);
+  });
+
+  it('dobra no 76º octeto', () => {
+    const parts = check(`SUMMARY:${'a'.repeat(68)}`);
+    expect(parts).toHaveLength(2);
+    expect(octets(parts[0])).toBe(75);
+  });
+
+  it('não parte caracteres de 2 bytes na fronteira', () => {
+    // 'SUMMARY:' (8) + 66 'a' = 74 octetos; o 'ç' (2 bytes) não cabe inteiro
+    const parts = check(`SUMMARY:${'a'.repeat(66)}çãé`);
+    expect(octets(parts[0])).toBe(74);
+    expect(parts[1]).toBe(' çãé');
+  });
+
+  it('não parte caracteres de 3 e 4 bytes (incluindo pares substitutos)', () => {
+    check(`DESCRIPTION:${'—'.repeat(40)}`);
+    check(`DESCRIPTION:${'💪'.repeat(40)}`);
+    check(`DESCRIPTION:${'a'}${'💪🏋️‍♀️ç—'.repeat(30)}`);
+  });
+
+  it('conta o espaço inicial das linhas de continuação no limite', () => {
+    const parts = check(`X:${'b'.repeat(300)}`);
+    parts.slice(1, -1).forEach(part => expect(octets(part)).toBe(75));
+  });
+});
+
+describe('nextWeekday', () => {
+  // 2026-10-19 é segunda (ISO 1); 12:00Z = 09:00 em São Paulo
+  it('devolve a próxima data do dia da semana pedido', () => {
+    expect(nextWeekday(3, TZ, { now: NOW })).toBe('2026-10-21');
+    expect(nextWeekday(7, TZ, { now: NOW })).toBe('2026-10-25');
+  });
+
+  it('usa hoje quando a aula ainda não começou', () => {
+    expect(nextWeekday(1, TZ, { now: NOW, time: '18:00' })).toBe('2026-10-19');
+    expect(nextWeekday(1, TZ, { now: NOW, time: '09:01' })).toBe('2026-10-19');
+  });
+
+  it('passa para a semana seguinte quando a aula de hoje já começou', () => {
+    expect(nextWeekday(1, TZ, { now: NOW, time: '07:00' })).toBe('2026-10-26');
+    expect(nextWeekday(1, TZ, { now: NOW, time: '09:00' })).toBe('2026-10-26');
+  });
+
+  it('usa a data e a hora do fuso do calendário, não as do navegador', () => {
+    // 02:30Z de terça = 23:30 de segunda em São Paulo
+    const lateMonday = new Date('2026-10-20T02:30:00Z');
+    expect(nextWeekday(1, TZ, { now: lateMonday, time: '23:45' })).toBe('2026-10-19');
+    expect(nextWeekday(1, TZ, { now: lateMonday, time: '06:00' })).toBe('2026-10-26');
+    expect(nextWeekday(2, TZ, { now: lateMonday })).toBe('2026-10-20');
+  });
+
+  it('sem horário, hoje sempre conta', () => {
+    expect(nextWeekday(1, TZ, { now: NOW })).toBe('2026-10-19');
+  });
+});
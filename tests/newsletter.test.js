@@ -0,0 +1,129 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach, vi } from 'vitest';
+import { loadPage } from './helpers/page.js';
+import { startStubServer } from './helpers/stub-server.js';
+import { storedOutbox, clearOutbox } from './helpers/outbox.js';
+import { t } from '../assets/js/core/i18n.js';
+
+const stub = vi.hoisted(() => ({ url: '' }));
+
+// Same config as production, but posting JSON to the local stub server with a short backoff
+vi.mock('../assets/js/config.js', async (importOriginal) => {
+  const { SITE_CONFIG } = await importOriginal();
+  return {
+    SITE_CONFIG: {
+      ...SITE_CONFIG,
+      forms: { ...SITE_CONFIG.forms, transport: 'json', retries: 2, backoffMs: 10, json: { endpoint: `${stub.url}/api/forms` } },
+    },
+  };
+});
+
+/** Footer newsletter form on index.html (ContactForm): submitter retries, honest errors and the offline outbox. */
+describe('index.html — newsletter signup', () => {
+  let server;
+  let reply;
+  const $ = (selector) => document.querySelector(selector);
+
+  const signup = (email) => {
+    $('#contact-user').value = email;
+    $('#contact-form').requestSubmit();
+  };
+  const settled = () => vi.waitFor(() => expect($('#contact-form').getAttribute('aria-busy')).toBe('false'));
+
+  beforeAll(async () => {
+    server = await startStubServer((req) => reply(req));
+    stub.url = server.url;
+    await loadPage('index.html', 'assets/js/main.js');
+  });
+
+  afterAll(() => server.close());
+
+  beforeEach(async () => {
+    server.requests.length = 0;
+    await clearOutbox();
+  });
+
+  afterEach(() => vi.restoreAllMocks());
+
+  it('posts the signup and confirms it', async () => {
+    reply = () => ({ status: 200, body: { ok: true } });
+
+    signup('ana@example.com');
+    await settled();
+
+    expect(server.requests).toHaveLength(1);
+    expect(server.requests[0].body).toEqual({ form: 'newsletter', user_email: 'ana@example.com' });
+    expect($('#contact-message').textContent).toBe(t('newsletter.success'));
+    expect($('#contact-user').value).toBe('');
+  });
+
+  it('shows the real error on a 4xx without retrying or queueing, and keeps the e-mail', async () => {
+    reply = () => ({ status: 422, body: { message: 'rejected' } });
+
+    signup('ana@example.com');
+    await settled();
+
+    expect(server.requests).toHaveLength(1);
+    expect($('#contact-message').textContent).toBe(t('newsletter.failed'));
+    expect($('#contact-message').classList.contains('color-red')).toBe(true);
+    expect($('#contact-user').value).toBe('ana@example.com');
+    expect(await storedOutbox()).toEqual([]);
+  });
+
+  it('retries a 503 and succeeds when the server recovers', async () => {
+    const replies = [{ status: 503 }, { status: 429 }, { status: 200, body: {} }];
+    reply = () => replies.shift();
+
+    signup('ana@example.com');
+    await settled();
+
+    expect(server.requests).toHaveLength(3);
+    expect($('#contact-message').textContent).toBe(t('newsletter.success'));
+    expect(await storedOutbox()).toEqual([]);
+  });
+
+  it('hands off to the outbox after the retries run out, then sends it when back online', async () => {
+    reply = () => ({ status: 503 });
+
+    signup('Ana@Example.com');
+    await settled();
+
+    expect(server.requests).toHaveLength(3);
+    expect($('#contact-message').textContent).toBe(t('newsletter.queued'));
+    expect($('#contact-user').value).toBe('');
+    expect(await storedOutbox()).toMatchObject([
+      { key: 'newsletter:ana@example.com', name: 'newsletter', data: { user_email: 'Ana@Example.com' } },
+    ]);
+
+    server.requests.length = 0;
+    reply = () => ({ status: 200, body: {} });
+    window.dispatchEvent(new Event('online'));
+
+    await vi.waitFor(() => expect($('#contact-message').textContent).toBe(t('newsletter.flushed')));
+    expect(server.requests.map(req => req.body)).toEqual([{ form: 'newsletter', user_email: 'Ana@Example.com' }]);
+    expect(await storedOutbox()).toEqual([]);
+  });
+
+  it('queues straight away while offline, without touching the network', async () => {
+    vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+    reply = () => ({ status: 200, body: {} });
+
+    signup('bia@example.com');
+    await settled();
+
+    expect(server.requests).toHaveLength(0);
+    expect($('#contact-message').textContent).toBe(t('newsletter.queued'));
+    expect((await storedOutbox()).map(item => item.key)).toEqual(['newsletter:bia@example.com']);
+  });
+
+  it('queues a signup that fails on a dropped connection', async () => {
+    reply = () => ({ destroy: true });
+
+    signup('ana@example.com');
+    await settled();
+
+    expect(server.requests).toHaveLength(3);
+    expect($('#contact-message').textContent).toBe(t('newsletter.queued'));
+    expect(await storedOutbox()).toHaveLength(1);
+  });
+});
@@ -0,0 +1,114 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createOutbox } from '../assets/js/core/outbox.js';
+import { SubmissionError } from '../assets/js/core/forms.js';
+import { storedOutbox, clearOutbox } from './helpers/outbox.js';
+
+const signup = (email) => ({ name: 'newsletter', data: { user_email: email } });
+
+describe('createOutbox (IndexedDB)', () => {
+  beforeEach(() => clearOutbox());
+  afterEach(() => vi.restoreAllMocks());
+
+  it('guarda o envio com chave formulário + e-mail e zero tentativas', async () => {
+    const outbox = createOutbox({ submit: vi.fn() });
+
+    await outbox.enqueue(signup('ana@exemplo.com'), 'Ana@Exemplo.com');
+
+    const [item] = await storedOutbox();
+    expect(item).toMatchObject({
+      key: 'newsletter:ana@exemplo.com', name: 'newsletter', data: { user_email: 'ana@exemplo.com' }, attempts: 0,
+    });
+    expect(Date.parse(item.queuedAt)).not.toBeNaN();
+  });
+
+  it('reenfileirar o mesmo e-mail substitui o pedido anterior', async () => {
+    const outbox = createOutbox({ submit: vi.fn() });
+
+    await outbox.enqueue(signup('ana@exemplo.com'), 'ana@exemplo.com');
+    await outbox.enqueue(signup('ANA@exemplo.com'), 'ANA@exemplo.com');
+    await outbox.enqueue(signup('bia@exemplo.com'), 'bia@exemplo.com');
+
+    expect(await outbox.size()).toBe(2);
+  });
+
+  it('não tenta enviar enquanto o navegador está offline', async () => {
+    vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+    const submit = vi.fn();
+    const outbox = createOutbox({ submit });
+    await outbox.enqueue(signup('ana@exemplo.com'), 'ana@exemplo.com');
+
+    expect(await outbox.flush()).toEqual([]);
+    expect(submit).not.toHaveBeenCalled();
+    expect(await outbox.size()).toBe(1);
+  });
+
+  it('envia a fila, esvazia o store e avisa onFlush', async () => {
+    const submit = vi.fn().mockResolvedValue(null);
+    const onFlush = vi.fn();
+    const outbox = createOutbox({ submit, onFlush });
+    await outbox.enqueue(signup('ana@exemplo.com'), 'ana@exemplo.com');
+    await outbox.enqueue(signup('bia@exemplo.com'), 'bia@exemplo.com');
+
+    const sent = await outbox.flush();
+
+    expect(sent.map(item => item.key)).toEqual(['newsletter:ana@exemplo.com', 'newsletter:bia@exemplo.com']);
+    expect(submit).toHaveBeenCalledWith({ name: 'newsletter', data: { user_email: 'ana@exemplo.com' } });
+    expect(onFlush).toHaveBeenCalledWith(sent);
+    expect(await storedOutbox()).toEqual([]);
+  });
+
+  it('falha transitória mantém o item, conta a tentativa e para a fila', async () => {
+    const submit = vi.fn().mockRejectedValue(new SubmissionError('Sem conexão com o servidor.', { retryable: true }));
+    const onFlush = vi.fn();
+    const outbox = createOutbox({ submit, onFlush });
+    await outbox.enqueue(signup('ana@exemplo.com'), 'ana@exemplo.com');
+    await outbox.enqueue(signup('bia@exemplo.com'), 'bia@exemplo.com');
+
+    expect(await outbox.flush()).toEqual([]);
+
+    expect(submit).toHaveBeenCalledTimes(1);
+    expect((await storedOutbox()).map(item => item.attempts)).toEqual([1, 0]);
+    expect(onFlush).not.toHaveBeenCalled();
+  });
+
+  it('descarta o item recusado pelo serviço (não repetível) e segue a fila', async () => {
+    const submit = vi.fn()
+      .mockRejectedValueOnce(new SubmissionError('HTTP 422', { status: 422, retryable: false }))
+      .mockResolvedValueOnce(null);
+    const outbox = createOutbox({ submit });
+    await outbox.enqueue(signup('ana@exemplo.com'), 'ana@exemplo.com');
+    await outbox.enqueue(signup('bia@exemplo.com'), 'bia@exemplo.com');
+
+    const sent = await outbox.flush();
+
+    expect(sent.map(item => item.key)).toEqual(['newsletter:bia@exemplo.com']);
+    expect(await storedOutbox()).toEqual([]);
+  });
+
+  it('flush simultâneos compartilham uma única execução', async () => {
+    const submit = vi.fn().mockResolvedValue(null);
+    const outbox = createOutbox({ submit });
+    await outbox.enqueue(signup('ana@exemplo.com'), 'ana@exemplo.com');
+
+    const [a, b] = await Promise.all([outbox.flush(), outbox.flush()]);
+
+    expect(a).toBe(b);
+    expect(submit).toHaveBeenCalledTimes(1);
+  });
+
+  it('start() esvazia a fila quando a conexão volta', async () => {
+    const online = vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+    const onFlush = vi.fn();
+    const outbox = createOutbox({ submit: vi.fn().mockResolvedValue(null), onFlush });
+    await outbox.enqueue(signup('ana@exemplo.com'), 'ana@exemplo.com');
+    outbox.start();
+
+    online.mockReturnValue(true);
+    window.dispatchEvent(new Event('online'));
+
+    await vi.waitFor(() => expect(onFlush).toHaveBeenCalledOnce());
+    expect(await outbox.size()).toBe(0);
+    window.removeEventListener('online', outbox.flush);
+  });
+});
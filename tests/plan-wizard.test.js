@@ -0,0 +1,54 @@
+import { describe, it, expect, beforeAll, vi } from 'vitest';
+import { loadPage } from './helpers/page.js';
+
+beforeAll(() => loadPage('index.html', 'assets/js/main.js'));
+
+describe('PlanWizard', () => {
+  let form, result;
+
+  /** Picks one option per step and moves on, like clicking through the wizard. */
+  const answer = (values) => {
+    values.forEach(value => {
+      const input = form.querySelector(`.wizard__step:not([hidden]) input[value="${value}"]`);
+      input.checked = true;
+      input.dispatchEvent(new Event('change', { bubbles: true }));
+      form.querySelector('[type="submit"]').click();
+    });
+  };
+
+  const recommended = () => [...document.querySelectorAll('.is-recommended')]
+    .map(card => card.dataset.program ?? card.dataset.plan);
+
+  beforeAll(async () => {
+    form   = document.querySelector('#wizard-form');
+    result = document.querySelector('#wizard-result');
+    // The first step appears once both data files have loaded
+    await vi.waitFor(() => expect(form.querySelector('input')).not.toBeNull());
+  });
+
+  it('highlights the recommended program and plan', () => {
+    answer(['emagrecer', 'iniciante', '1-2', 'ate-100']);
+
+    expect(result.hidden).toBe(false);
+    expect(result.dataset).toMatchObject({ program: 'cardio', plan: 'basico' });
+    expect(recommended()).toEqual(['cardio', 'basico']);
+    expect(result.querySelector('.wizard__result-title').textContent).toContain('Básico');
+  });
+
+  it('clears the highlighted cards when restarting', () => {
+    result.querySelector('[data-wizard="restart"]').click();
+
+    expect(result.hidden).toBe(true);
+    expect(form.hidden).toBe(false);
+    expect(recommended()).toEqual([]);
+  });
+
+  it('takes the candidate plans from the catalog, not from the cards on the page', () => {
+    document.querySelector('.pricing__card[data-plan="diamond"]').remove();
+
+    answer(['hipertrofia', 'avancado', '5+', 'livre']);
+
+    expect(result.dataset).toMatchObject({ program: 'musculacao', plan: 'diamond' });
+    expect(result.querySelector('.wizard__result-title').textContent).toContain('Diamond');
+  });
+});
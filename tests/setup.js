@@ -0,0 +1,29 @@
+/**
+ * Lacunas do jsdom usadas pelas páginas: matchMedia, layout, CSS.escape e Blob.text().
+ * Sem layout, getClientRects() volta sempre vazio e todo elemento pareceria
+ * invisível para o foco dos diálogos; aqui só o que está dentro de [hidden] some.
+ */
+window.matchMedia ??= (query) => ({
+  matches: false, media: query,
+  addEventListener() {}, removeEventListener() {}, addListener() {}, removeListener() {},
+});
+
+Element.prototype.getClientRects = function () {
+  return this.closest('[hidden]') ? [] : [this.getBoundingClientRect()];
+};
+Element.prototype.scrollIntoView ??= function () {};
+window.scrollTo = () => {};
+
+/** Simplificado: basta para os ids de horário usados nos seletores. */
+globalThis.CSS ??= {};
+CSS.escape ??= (value) => String(value).replace(/[^\w-]/g, (char) => `\\${char}`);
+
+/** Blob.text() não existe no jsdom; as importações de arquivo usam file.text(). */
+Blob.prototype.text ??= function () {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload  = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(this);
+  });
+};
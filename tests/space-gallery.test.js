@@ -0,0 +1,132 @@
+import { describe, it, expect, beforeAll, beforeEach, vi } from 'vitest';
+import { loadPage, press, flush } from './helpers/page.js';
+
+beforeAll(() => loadPage('index.html', 'assets/js/main.js'));
+
+describe('SpaceGallery thumbnail listbox', () => {
+  let track, thumbs;
+
+  const selected = () => thumbs.findIndex(thumb => thumb.getAttribute('aria-selected') === 'true');
+
+  beforeAll(() => {
+    track  = document.querySelector('#space-track');
+    thumbs = [...track.querySelectorAll('.space__thumb')];
+  });
+
+  beforeEach(() => {
+    // Back to the first image with focus outside the strip
+    thumbs[0].click();
+    document.activeElement?.blur();
+  });
+
+  it('exposes the strip as a listbox of options', () => {
+    expect(track.getAttribute('role')).toBe('listbox');
+    expect(track.getAttribute('aria-label')).toBeTruthy();
+    thumbs.forEach(thumb => expect(thumb.getAttribute('role')).toBe('option'));
+  });
+
+  it('keeps exactly one selected, tabbable thumb', () => {
+    expect(selected()).toBe(0);
+    expect(thumbs.map(thumb => thumb.tabIndex)).toEqual(thumbs.map((_, i) => (i === 0 ? 0 : -1)));
+  });
+
+  it('moves selection and focus with the arrow keys while the strip has focus', () => {
+    thumbs[0].focus();
+
+    expect(press(document.activeElement, 'ArrowRight').defaultPrevented).toBe(true);
+    expect(selected()).toBe(1);
+    expect(document.activeElement).toBe(thumbs[1]);
+
+    press(document.activeElement, 'ArrowDown');
+    expect(selected()).toBe(2);
+
+    press(document.activeElement, 'ArrowUp');
+    press(document.activeElement, 'ArrowLeft');
+    expect(selected()).toBe(0);
+    expect(document.activeElement).toBe(thumbs[0]);
+  });
+
+  it('wraps around at both ends', () => {
+    thumbs[0].focus();
+    press(document.activeElement, 'ArrowLeft');
+    expect(selected()).toBe(thumbs.length - 1);
+    press(document.activeElement, 'ArrowRight');
+    expect(selected()).toBe(0);
+  });
+
+  it('jumps to the first and last image with Home and End', () => {
+    thumbs[3].click();
+    thumbs[3].focus();
+
+    expect(press(document.activeElement, 'End').defaultPrevented).toBe(true);
+    expect(selected()).toBe(thumbs.length - 1);
+    expect(document.activeElement).toBe(thumbs.at(-1));
+
+    press(document.activeElement, 'Home');
+    expect(selected()).toBe(0);
+    expect(document.activeElement).toBe(thumbs[0]);
+  });
+
+  it('keeps aria-selected and tabIndex in step with clicks and the nav buttons', () => {
+    thumbs[4].click();
+    expect(selected()).toBe(4);
+    expect(thumbs[4].tabIndex).toBe(0);
+    expect(thumbs.filter(thumb => thumb.tabIndex === 0)).toHaveLength(1);
+
+    document.querySelector('#space-next').click();
+    expect(selected()).toBe(5);
+    expect(thumbs[5].tabIndex).toBe(0);
+    expect(thumbs[4].tabIndex).toBe(-1);
+    expect(thumbs[4].getAttribute('aria-selected')).toBe('false');
+  });
+
+  it('ignores arrows, Home and End outside the gallery', () => {
+    for (const key of ['ArrowRight', 'ArrowLeft', 'Home', 'End']) {
+      press(document.body, key);
+      expect(selected()).toBe(0);
+    }
+  });
+
+  it('leaves ArrowUp/ArrowDown page scrolling alone outside the gallery', () => {
+    const link = document.querySelector('.nav__link');
+    link.focus();
+
+    expect(press(link, 'ArrowDown').defaultPrevented).toBe(false);
+    expect(press(link, 'ArrowUp').defaultPrevented).toBe(false);
+    expect(press(document.body, 'ArrowDown').defaultPrevented).toBe(false);
+    expect(selected()).toBe(0);
+  });
+});
+
+describe('SpaceGallery lightbox history', () => {
+  let lightbox;
+  const $ = (selector) => document.querySelector(selector);
+
+  /** Waits for history.back() to land and the popstate/hashchange handlers to run. */
+  const settle = async () => {
+    await vi.waitFor(() => expect(location.hash).toBe(''));
+    await flush();
+  };
+
+  beforeAll(() => { lightbox = $('#space-lightbox'); });
+
+  beforeEach(() => {
+    document.querySelectorAll('.space__thumb')[0].click();
+  });
+
+  it('opening pushes a #space-<n> entry that browsing rewrites in place', async () => {
+    $('#space-open').click();
+    expect(lightbox.hidden).toBe(false);
+    expect(location.hash).toBe('#space-1');
+    expect(history.state?.spaceLightbox).toBe(true);
+
+    $('#space-lightbox-next').click();
+    press(lightbox, 'ArrowRight');
+    expect(location.hash).toBe('#space-3');
+
+    // A single Back leaves the lightbox
+    history.back();
+    await settle();
+    expect(lightbox.hidden).toBe(true);
+  });
+});
@@ -0,0 +1,36 @@
+import { describe, it, expect, beforeAll, vi } from 'vitest';
+import { loadPage, flush } from './helpers/page.js';
+
+/** Perfil do personal em sobre.html (TeamDirectory): ?personal= no histórico. */
+describe('sobre.html — histórico do perfil do personal', () => {
+  let profile;
+  const $ = (selector) => document.querySelector(selector);
+  const param = () => new URLSearchParams(location.search).get('personal');
+
+  const openFromCard = () => $('#carouselTrack .inst-personal-card__cta[data-profile]').click();
+
+  /** Espera o history.back() chegar e os handlers de popstate rodarem. */
+  const settle = async () => {
+    await vi.waitFor(() => expect(param()).toBeNull());
+    await flush();
+  };
+
+  beforeAll(async () => {
+    await loadPage('sobre.html', 'assets/js/sobre.js');
+    profile = $('#team-profile');
+    await vi.waitFor(() => expect($('#carouselTrack .inst-personal-card__cta[data-profile]')).not.toBeNull());
+  });
+
+  it('abrir cria uma entrada com ?personal= e um único "Voltar" fecha o perfil', async () => {
+    openFromCard();
+    const id = $('#team-profile-card').dataset.trainer;
+
+    expect(profile.hidden).toBe(false);
+    expect(param()).toBe(id);
+    expect(history.state?.teamProfile).toBe(true);
+
+    history.back();
+    await settle();
+    expect(profile.hidden).toBe(true);
+  });
+});
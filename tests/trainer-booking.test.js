@@ -0,0 +1,119 @@
+import { describe, it, expect, beforeAll, beforeEach, vi } from 'vitest';
+import { loadPage, press } from './helpers/page.js';
+import { t } from '../assets/js/core/i18n.js';
+
+const STORAGE_KEY = 'smart-active-personal-bookings';
+
+/**
+ * Agendamento com personal em sobre.html (TrainerBooking), com o provider
+ * local: disponibilidade de trainers.json + ocupação de trainer-booking.json.
+ * Thiago atende 05:30–09:00 de segunda a sexta, então a duração muda quantos
+ * inícios cabem no bloco; 'thiago-ramos-tue-0530' já vem ocupado.
+ */
+describe('sobre.html — agendamento com personal', () => {
+  const $ = (selector) => document.querySelector(selector);
+  let root, form, slotsEl, confirmation;
+
+  /** Horários da semana exibida: { 'mon-0530': input, ... } */
+  const slotInputs = () => Object.fromEntries([...slotsEl.querySelectorAll('input[name="slot"]')]
+    .map(input => [input.value.replace(/^thiago-ramos-/, '').split('@')[0], input]));
+
+  const startsOn = (day) => Object.keys(slotInputs()).filter(key => key.startsWith(`${day}-`)).sort();
+
+  const waitForSlots = () => vi.waitFor(() => expect(slotsEl.querySelector('input[name="slot"]')).not.toBeNull());
+
+  const setDuration = async (minutes) => {
+    const duration = $('#booking-duration');
+    duration.value = String(minutes);
+    duration.dispatchEvent(new Event('change'));
+    await waitForSlots();
+  };
+
+  const fill = ({ slot, name = 'Ana Souza', phone = '31987654321', email = 'ana@exemplo.com' }) => {
+    $('#booking-modality').value = 'crossfit';
+    slotInputs()[slot].checked = true;
+    $('#booking-name').value  = name;
+    $('#booking-phone').value = phone;
+    $('#booking-email').value = email;
+  };
+
+  const stored = () => JSON.parse(localStorage.getItem(STORAGE_KEY) ?? '[]');
+
+  beforeAll(async () => {
+    await loadPage('sobre.html', 'assets/js/sobre.js');
+    root         = $('#team-booking');
+    form         = $('#team-booking-form');
+    slotsEl      = $('#booking-slots');
+    confirmation = $('#booking-confirmation');
+    await vi.waitFor(() => expect($('#carouselTrack [data-book="thiago-ramos"]')).not.toBeNull());
+  });
+
+  beforeEach(async () => {
+    localStorage.removeItem(STORAGE_KEY);
+    if (!root.hidden) press(document.activeElement, 'Escape');
+    $('#carouselTrack [data-book="thiago-ramos"]').click();
+    if (!confirmation.hidden) $('#booking-again').click();
+    await setDuration(60);
+  });
+
+  it('abre o agendamento do personal do card', () => {
+    expect(root.hidden).toBe(false);
+    expect($('#booking-header').textContent).toContain('Thiago Ramos');
+    expect([...$('#booking-modality').options].map(o => o.value)).toEqual(['', 'crossfit', 'funcional', 'musculacao']);
+  });
+
+  it('monta os horários a cada hora que comportam a duração escolhida', async () => {
+    expect(startsOn('mon')).toEqual(['mon-0530', 'mon-0630', 'mon-0730']);
+
+    await setDuration(45);
+    expect(startsOn('mon')).toEqual(['mon-0530', 'mon-0630', 'mon-0730']);
+
+    await setDuration(30);
+    expect(startsOn('mon')).toEqual(['mon-0530', 'mon-0630', 'mon-0730', 'mon-0830']);
+
+    // Sábado e domingo não estão na disponibilidade
+    expect(startsOn('sat')).toEqual([]);
+    expect(startsOn('sun')).toEqual([]);
+  });
+
+  it('mostra como ocupados os horários de trainer-booking.json', () => {
+    const taken = slotInputs()['tue-0530'];
+
+    expect(taken.disabled).toBe(true);
+    expect(taken.closest('.team-booking__slot').classList.contains('is-full')).toBe(true);
+    expect(taken.closest('.team-booking__slot').textContent).toContain(t('booking.taken'));
+    expect(slotInputs()['tue-0630'].disabled).toBe(false);
+  });
+
+  it('grava a reserva, confirma e ocupa o horário na volta ao formulário', async () => {
+    fill({ slot: 'wed-0630' });
+    form.requestSubmit();
+
+    await vi.waitFor(() => expect(confirmation.hidden).toBe(false));
+    expect(form.hidden).toBe(true);
+    expect(stored()).toHaveLength(1);
+    expect(stored()[0]).toMatchObject({ trainer: 'thiago-ramos', modality: 'crossfit', duration: 60, email: 'ana@exemplo.com' });
+    expect(stored()[0].slotId).toMatch(/^thiago-ramos-wed-0630@\d{4}-\d{2}-\d{2}$/);
+    expect($('#booking-summary').textContent).toContain('06:30–07:30');
+
+    $('#booking-again').click();
+    await waitForSlots();
+    expect(slotInputs()['wed-0630'].disabled).toBe(true);
+  });
+
+  it('cancelar apaga a reserva e devolve o horário', async () => {
+    fill({ slot: 'thu-0730' });
+    form.requestSubmit();
+    await vi.waitFor(() => expect(confirmation.hidden).toBe(false));
+    expect(stored()).toHaveLength(1);
+
+    $('#booking-cancel').click();
+
+    await vi.waitFor(() => expect(form.hidden).toBe(false));
+    expect(confirmation.hidden).toBe(true);
+    expect(stored()).toEqual([]);
+    expect($('#booking-status').textContent).toBe(t('booking.cancelled'));
+    await waitForSlots();
+    expect(slotInputs()['thu-0730'].disabled).toBe(false);
+  });
+});
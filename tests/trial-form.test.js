@@ -0,0 +1,180 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from 'vitest';
+import { loadPage } from './helpers/page.js';
+import { startStubServer } from './helpers/stub-server.js';
+import { t } from '../assets/js/core/i18n.js';
+
+/** Formulário de aula experimental de page.html com o SlotProvider HTTP apontando para um servidor local. */
+describe('page.html — agendamento de aula experimental (API)', () => {
+  let server;
+  let bookingReply;
+  const $ = (selector) => document.querySelector(selector);
+
+  const SLOTS = [
+    { id: 'crossfit-mon-0600@D', start: '06:00', duration: 60, coach: 'Rafael', room: 'Box 1', remaining: 0 },
+    { id: 'crossfit-mon-1800@D', start: '18:00', duration: 60, coach: 'Rafael', room: 'Box 1', remaining: 1 },
+    { id: 'crossfit-mon-1900@D', start: '19:00', duration: 60, coach: 'Júlia',  room: 'Box 1', remaining: 3 },
+  ];
+
+  const slotRequests = () => server.requests.filter(req => req.path === '/api/slots');
+  const bookingRequests = () => server.requests.filter(req => req.path === '/api/bookings');
+
+  const change = (el, value, type = 'change') => {
+    el.value = value;
+    el.dispatchEvent(new Event(type, { bubbles: true }));
+  };
+
+  const chooseModalityAndDate = async () => {
+    const before = slotRequests().length;
+    change($('#trial-modality'), 'crossfit');
+    change($('#trial-date'), $('#trial-date').min);
+    await vi.waitFor(() => {
+      expect(slotRequests().length).toBeGreaterThan(before);
+      expect($('#trial-slots input[name="slot"]')).not.toBeNull();
+    });
+  };
+
+  const fillContact = ({ name = 'Ana Souza', phone = '31987654321', email = 'ana@exemplo.com' } = {}) => {
+    change($('#trial-name'), name, 'input');
+    change($('#trial-phone'), phone, 'input');
+    change($('#trial-email'), email, 'input');
+  };
+
+  const pickSlot = (id) => {
+    const input = [...document.querySelectorAll('#trial-slots input[name="slot"]')].find(el => el.value === id);
+    input.checked = true;
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+  };
+
+  beforeAll(async () => {
+    server = await startStubServer((req) => {
+      if (req.path === '/api/slots') {
+        const date = req.query.get('date');
+        return { body: SLOTS.map(slot => ({ ...slot, id: slot.id.replace('D', date), date })) };
+      }
+      if (req.path === '/api/bookings') return bookingReply(req);
+      return { status: 404 };
+    });
+
+    await loadPage('page.html', 'assets/js/mainpage.js', {
+      prepare: (doc) => { doc.querySelector('#trial-form').dataset.slotsApi = `${server.url}/api`; },
+    });
+    // init() só liga os campos depois de ler os limites de data de trial.json
+    await vi.waitFor(() => expect($('#trial-date').min).not.toBe(''));
+  });
+
+  afterAll(() => server.close());
+
+  beforeEach(async () => {
+    if ($('#trial-form').hidden) $('#trial-again').click();
+    $('#trial-form').reset();
+    server.requests.length = 0;
+    bookingReply = () => ({ status: 500 });
+    await chooseModalityAndDate();
+  });
+
+  it('lista os horários do servidor com as vagas e desabilita os lotados', () => {
+    const [req] = slotRequests();
+    expect(req.query.get('modality')).toBe('crossfit');
+    expect(req.query.get('date')).toBe($('#trial-date').min);
+
+    const labels = [...document.querySelectorAll('.trial__slot')];
+    expect(labels.map(l => l.querySelector('.trial__slot-time').textContent)).toEqual(['06:00', '18:00', '19:00']);
+    expect(labels[0].querySelector('input').disabled).toBe(true);
+    expect(labels[0].querySelector('.trial__slot-remaining').textContent).toBe(t('trial.full'));
+    expect(labels[1].querySelector('.trial__slot-remaining').textContent).toBe(t('trial.remaining', { count: 1 }));
+    expect(labels[2].querySelector('.trial__slot-remaining').textContent).toBe(t('trial.remaining', { count: 3 }));
+  });
+
+  it('aplica a máscara de telefone enquanto se digita', () => {
+    const phone = $('#trial-phone');
+
+    change(phone, '3198', 'input');
+    expect(phone.value).toBe('(31) 98');
+
+    change(phone, '+55 31 98765-4321', 'input');
+    expect(phone.value).toBe('(31) 98765-4321');
+
+    change(phone, '3138241234', 'input');
+    expect(phone.value).toBe('(31) 3824-1234');
+  });
+
+  it('mostra os erros por campo e não envia nada ao servidor', () => {
+    change($('#trial-modality'), '');
+    change($('#trial-date'), '');
+    fillContact({ name: 'Ana', phone: '(31) 88765-4321', email: 'ana@exemplo' });
+
+    $('#trial-form').requestSubmit();
+
+    expect($('#trial-modality-error').textContent).toBe(t('trial.errors.modality'));
+    expect($('#trial-date-error').textContent).toBe(t('trial.errors.date'));
+    expect($('#trial-slot-error').textContent).toBe(t('trial.errors.slot'));
+    expect($('#trial-name-error').textContent).toBe(t('trial.errors.name'));
+    expect($('#trial-phone-error').textContent).toBe(t('trial.errors.phoneInvalid'));
+    expect($('#trial-email-error').textContent).toBe(t('trial.errors.emailInvalid'));
+    ['modality', 'date', 'name', 'phone', 'email'].forEach(key => {
+      expect($(`#trial-${key}`).getAttribute('aria-invalid')).toBe('true');
+    });
+    expect(document.activeElement).toBe($('#trial-modality'));
+    expect(bookingRequests()).toHaveLength(0);
+  });
+
+  it('limpa o erro do telefone quando o número fica válido', () => {
+    fillContact({ phone: '' });
+    $('#trial-form').requestSubmit();
+    expect($('#trial-phone-error').textContent).toBe(t('trial.errors.phone'));
+
+    change($('#trial-phone'), '31987654321', 'input');
+    $('#trial-form').requestSubmit();
+    expect($('#trial-phone-error').textContent).toBe('');
+    expect($('#trial-phone').getAttribute('aria-invalid')).toBe('false');
+  });
+
+  it('409 do servidor mostra "horário indisponível" e recarrega os horários', async () => {
+    bookingReply = () => ({ status: 409, body: { message: 'Turma lotada.' } });
+    pickSlot(`crossfit-mon-1800@${$('#trial-date').min}`);
+    fillContact();
+    const listed = slotRequests().length;
+
+    $('#trial-form').requestSubmit();
+
+    await vi.waitFor(() => expect($('#trial-status').textContent).toBe(t('trial.unavailable')));
+    await vi.waitFor(() => expect(slotRequests().length).toBe(listed + 1));
+    expect(bookingRequests()[0].body).toEqual({
+      slotId: `crossfit-mon-1800@${$('#trial-date').min}`,
+      name:   'Ana Souza',
+      phone:  '31987654321',
+      email:  'ana@exemplo.com',
+    });
+    expect($('#trial-form').hidden).toBe(false);
+    expect($('#trial-confirmation').hidden).toBe(true);
+    expect($('#trial-form [type="submit"]').disabled).toBe(false);
+  });
+
+  it('outros erros do servidor mostram a falha genérica sem recarregar', async () => {
+    bookingReply = () => ({ status: 503 });
+    pickSlot(`crossfit-mon-1900@${$('#trial-date').min}`);
+    fillContact();
+    const listed = slotRequests().length;
+
+    $('#trial-form').requestSubmit();
+
+    await vi.waitFor(() => expect($('#trial-status').textContent).toBe(t('trial.failed')));
+    expect(slotRequests().length).toBe(listed);
+  });
+
+  it('confirma a reserva aceita com o resumo', async () => {
+    bookingReply = ({ body }) => ({ status: 201, body: { id: 'b1', slotId: body.slotId, createdAt: new Date().toISOString() } });
+    pickSlot(`crossfit-mon-1900@${$('#trial-date').min}`);
+    fillContact();
+
+    $('#trial-form').requestSubmit();
+
+    await vi.waitFor(() => expect($('#trial-confirmation').hidden).toBe(false));
+    expect($('#trial-form').hidden).toBe(true);
+    expect($('#trial-status').textContent).toBe('');
+    const summary = $('#trial-summary').textContent;
+    expect(summary).toContain('19:00');
+    expect(summary).toContain('Júlia');
+    expect(summary).toContain('Ana Souza');
+  });
+});
@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest';
+import { isValidEmail, phoneDigits, formatPhoneBR, isValidPhoneBR } from '../assets/js/core/validation.js';
+
+describe('phoneDigits', () => {
+  it.each([
+    ['(31) 98765-4321',     '31987654321'],
+    ['+55 31 98765-4321',   '31987654321'],
+    ['031 98765-4321',      '31987654321'],
+    ['31 98765-4321 ramal', '31987654321'],
+    ['3198765432199',       '31987654321'],
+  ])('%s → %s', (input, digits) => {
+    expect(phoneDigits(input)).toBe(digits);
+  });
+
+  it('aceita vazio e null', () => {
+    expect(phoneDigits('')).toBe('');
+    expect(phoneDigits(null)).toBe('');
+  });
+});
+
+describe('formatPhoneBR', () => {
+  it('aplica a máscara progressivamente enquanto se digita um celular', () => {
+    const typed = '31987654321';
+    const steps = [...typed].map((_, i) => formatPhoneBR(typed.slice(0, i + 1)));
+
+    expect(steps).toEqual([
+      '(3', '(31', '(31) 9', '(31) 98', '(31) 987', '(31) 9876', '(31) 9876-5',
+      '(31) 9876-54', '(31) 9876-543', '(31) 9876-5432', '(31) 98765-4321',
+    ]);
+  });
+
+  it('formata fixo de 10 dígitos como (DD) NNNN-NNNN', () => {
+    expect(formatPhoneBR('3138241234')).toBe('(31) 3824-1234');
+  });
+
+  it('é idempotente e corta o excesso', () => {
+    expect(formatPhoneBR('(31) 98765-4321')).toBe('(31) 98765-4321');
+    expect(formatPhoneBR('(31) 98765-43219')).toBe('(31) 98765-4321');
+  });
+
+  it('apaga tudo quando não sobra dígito', () => {
+    expect(formatPhoneBR('(')).toBe('');
+  });
+});
+
+describe('isValidPhoneBR', () => {
+  it.each([
+    '(31) 98765-4321',
+    '(11) 91234-5678',
+    '(31) 3824-1234',
+    '+55 (21) 2345-6789',
+  ])('aceita %s', (phone) => {
+    expect(isValidPhoneBR(phone)).toBe(true);
+  });
+
+  it.each([
+    ['(20) 98765-4321', 'DDD inexistente'],
+    ['(31) 88765-4321', 'celular sem o 9'],
+    ['(31) 9876-5432',  'fixo começando em 9'],
+    ['(31) 6824-1234',  'fixo começando em 6'],
+    ['(31) 98765-432',  'dígitos faltando'],
+    ['',                'vazio'],
+  ])('recusa %s (%s)', (phone) => {
+    expect(isValidPhoneBR(phone)).toBe(false);
+  });
+});
+
+describe('isValidEmail', () => {
+  it('aceita endereços comuns e recusa os malformados', () => {
+    expect(isValidEmail('ana.souza+aulas@exemplo.com.br')).toBe(true);
+    expect(isValidEmail('ana@exemplo')).toBe(false);
+    expect(isValidEmail('ana souza@exemplo.com')).toBe(false);
+    expect(isValidEmail('@exemplo.com')).toBe(false);
+  });
+});